@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+'use strict';
+
+// See src/cli.js; dist/cli.js is built by `npm run build`
+require('../dist/cli.js').runCli();
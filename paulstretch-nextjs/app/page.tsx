@@ -5,7 +5,7 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Button } from '@/components/ui/button'
 import { Slider } from '@/components/ui/slider'
 import { Progress } from '@/components/ui/progress'
-import { Upload, Download, Play, Pause, Settings, Gauge, FileAudio, Volume2 } from 'lucide-react'
+import { Upload, Download, Play, Pause, Settings, Gauge, FileAudio, Volume2, X } from 'lucide-react'
 import { Toast } from '@/components/ui/toast'
 import WaveSurfer from 'wavesurfer.js'
 
@@ -23,6 +23,7 @@ export default function Home() {
   const [stretchFactor, setStretchFactor] = useState([8])
   const [windowSize, setWindowSize] = useState([0.05])
   const [outputUrl, setOutputUrl] = useState<string | null>(null)
+  const [encoding, setEncoding] = useState(false)
   const [performanceMetrics, setPerformanceMetrics] = useState<any>(null)
   const [isPlaying, setIsPlaying] = useState(false)
   const [toast, setToast] = useState<ToastState>({ show: false })
@@ -31,6 +32,9 @@ export default function Home() {
   const [volume, setVolume] = useState([1])
   const audioRef = useRef<HTMLAudioElement>(null)
   const paulStretchRef = useRef<any>(null)
+  const abortControllerRef = useRef<AbortController | null>(null)
+  // The stretched audio itself, encoded to FLAC only when downloaded
+  const stretchedBufferRef = useRef<AudioBuffer | null>(null)
   const fileInputRef = useRef<HTMLInputElement>(null)
   const waveformRef = useRef<HTMLDivElement>(null)
   const wavesurferRef = useRef<WaveSurfer | null>(null)
@@ -157,6 +161,7 @@ export default function Home() {
       
       setFile(e.target.files[0])
       setOutputUrl(null)
+      stretchedBufferRef.current = null
       setPerformanceMetrics(null)
       setIsPlaying(false)
       setCurrentTime(0)
@@ -188,21 +193,29 @@ export default function Home() {
     setCurrentTime(0)
     setDuration(0)
     setOutputUrl(null)
+    stretchedBufferRef.current = null
     setPerformanceMetrics(null)
     setProcessing(true)
     setProgress(0)
     
+    // Lets the Cancel button stop loading and stretching
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+    const { signal } = abortController
+    
+    let paulstretch: any = null
+    
     try {
       const startTime = performance.now()
       
       // Initialize with stretch parameters
-      const paulstretch = new paulStretchRef.current({
+      paulstretch = new paulStretchRef.current({
         stretchFactor: stretchFactor[0],
         windowSize: windowSize[0]
       })
       
       // Load audio first, then stretch with progress tracking
-      const audioBuffer = await paulstretch.loadAudio(file)
+      const audioBuffer = await paulstretch.loadAudio(file, { signal })
       
       // Set up progress tracking via callback parameter
       let lastProgress = 0
@@ -213,10 +226,11 @@ export default function Home() {
           setProgress(actualProgress)
           lastProgress = actualProgress
         }
-      })
+      }, { signal })
       
-      // Convert to blob for playback/download
-      const blob = await paulstretch.toBlob(stretchedBuffer)
+      // WAV for playback, which is quick to build; FLAC waits for the download
+      const blob = await paulstretch.toBlob(stretchedBuffer, 'audio/wav', { signal })
+      stretchedBufferRef.current = stretchedBuffer
       
       const endTime = performance.now()
       const processingTime = ((endTime - startTime) / 1000).toFixed(2)
@@ -235,14 +249,24 @@ export default function Home() {
       setProgress(100)
       showToast('Processing Complete!', `Your audio has been stretched by ${stretchFactor[0]}x`, 'success')
     } catch (error) {
-      console.error('Processing error:', error)
-      showToast('Processing Error', (error as Error).message, 'error')
+      if ((error as Error).name === 'AbortError') {
+        showToast('Processing Cancelled', 'The stretch was stopped before it finished', 'info')
+      } else {
+        console.error('Processing error:', error)
+        showToast('Processing Error', (error as Error).message, 'error')
+      }
     } finally {
+      paulstretch?.dispose()
+      abortControllerRef.current = null
       setProcessing(false)
       setProgress(0)
     }
   }
 
+  const cancelProcessing = () => {
+    abortControllerRef.current?.abort()
+  }
+
   const togglePlayback = () => {
     if (!wavesurferRef.current) return
     
@@ -253,15 +277,26 @@ export default function Home() {
     }
   }
 
-  const downloadAudio = () => {
-    if (!outputUrl) return
+  const downloadAudio = async () => {
+    if (!stretchedBufferRef.current || !paulStretchRef.current) return
     
-    const a = document.createElement('a')
-    a.href = outputUrl
-    a.download = `stretched_${file?.name || 'audio.wav'}`
-    a.click()
+    setEncoding(true)
+    let paulstretch: any = null
     
-    showToast('Download Started', 'Your processed audio file is being downloaded', 'info')
+    try {
+      // Lossless FLAC, a fraction of the WAV size
+      paulstretch = new paulStretchRef.current({ useWorkers: false })
+      const filename = `stretched_${(file?.name || 'audio').replace(/\.[^.]*$/, '')}.flac`
+      await paulstretch.download(stretchedBufferRef.current, filename, { format: 'flac' })
+      
+      showToast('Download Started', 'Your processed audio file is being downloaded', 'info')
+    } catch (error) {
+      console.error('Download error:', error)
+      showToast('Download Error', (error as Error).message, 'error')
+    } finally {
+      paulstretch?.dispose()
+      setEncoding(false)
+    }
   }
 
   return (
@@ -414,6 +449,14 @@ export default function Home() {
                 <p className="text-sm text-muted-foreground text-center">
                   Processing your audio file...
                 </p>
+                <Button
+                  onClick={cancelProcessing}
+                  variant="outline"
+                  className="w-full"
+                >
+                  <X className="w-4 h-4 mr-2" />
+                  Cancel
+                </Button>
               </div>
             )}
           </CardContent>
@@ -536,9 +579,9 @@ export default function Home() {
                 onPause={() => setIsPlaying(false)}
               />
               
-              <Button onClick={downloadAudio} variant="default" size="lg" className="w-full">
+              <Button onClick={downloadAudio} disabled={encoding} variant="default" size="lg" className="w-full">
                 <Download className="w-4 h-4 mr-2" />
-                Download Processed Audio
+                {encoding ? 'Encoding FLAC...' : 'Download Processed Audio'}
               </Button>
             </CardContent>
           </Card>
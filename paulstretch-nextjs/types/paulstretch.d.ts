@@ -1,28 +1,184 @@
 declare module 'paulstretch' {
+  interface StretchBreakpoint {
+    time: number;
+    factor: number;
+  }
+
+  interface StretchProgress {
+    stage: 'decode' | 'analyze' | 'stretch' | 'normalize' | 'encode';
+    fraction: number;
+    framesDone: number | null;
+    framesTotal: number | null;
+    etaMs: number | null;
+    samplesPerSecond: number | null;
+  }
+
   interface PaulStretchOptions {
-    stretchFactor?: number;
+    stretchFactor?: number | StretchBreakpoint[] | ((time: number) => number);
     windowSize?: number;
+    window?: 'paulstretch' | 'hann' | 'blackman-harris' | 'kaiser' | { type: 'kaiser'; beta?: number };
     audioContext?: AudioContext;
+    seed?: number;
+    pitchShift?: number | { semitones?: number; cents?: number };
+    harmonics?: { frequency: number; count?: number; bandwidth?: number } | null;
+    octaves?: Partial<Record<'-2' | '-1' | '0' | '1' | '1.5' | '2', number>> | null;
+    spread?: number;
+    filter?:
+      | { frequency: number; gain: number }[]
+      | { type: 'lowpass' | 'highpass'; frequency: number; slope?: number }
+      | { type: 'bandpass'; low: number; high: number; slope?: number }
+      | null;
+    stereoMode?: 'independent' | 'linked' | 'midSide';
+    backend?: 'auto' | 'wasm' | 'js';
+    normalize?: 'none' | 'peak-linked' | 'peak-per-channel' | { lufs: number; truePeak?: number };
+    useWorkers?: boolean;
+    numWorkers?: number;
+    workerTimeout?: number;
+    workerRetries?: number;
+    workerFallback?: boolean;
+    onProgress?: ((progress: StretchProgress) => void) | null;
   }
 
-  export default class PaulStretch {
-    constructor(options?: PaulStretchOptions);
+  export class PaulStretchError extends Error {}
+  export class WorkerError extends PaulStretchError {}
+  export class WorkerTimeoutError extends WorkerError {}
+  export class WorkerCrashError extends WorkerError {}
+  export class AbortError extends PaulStretchError {}
+
+  interface SignalOptions {
+    signal?: AbortSignal;
+  }
+
+  interface StretchStreamOptions extends SignalOptions {
+    blockSize?: number;
+    limiter?: boolean | { ceiling?: number; lookahead?: number; release?: number };
+  }
+
+  interface StretchStream extends AsyncIterable<Float32Array[]> {
+    readonly numberOfChannels: number;
+    readonly length: number;
+    readonly sampleRate: number;
+  }
+
+  interface AudioBufferLike {
+    readonly numberOfChannels: number;
+    readonly length: number;
+    readonly sampleRate: number;
+    getChannelData(channel: number): Float32Array;
+  }
+
+  export class SampleBuffer implements AudioBufferLike {
+    constructor(options: { numberOfChannels?: number; length: number; sampleRate: number });
+    static fromChannels(channels: Float32Array[], sampleRate: number): SampleBuffer;
+    readonly numberOfChannels: number;
+    readonly length: number;
+    readonly sampleRate: number;
+    readonly duration: number;
+    getChannelData(channel: number): Float32Array;
+    copyFromChannel(destination: Float32Array, channel: number, startInChannel?: number): void;
+    copyToChannel(source: Float32Array, channel: number, startInChannel?: number): void;
+  }
+
+  type PaulStretchCoreOptions = Omit<PaulStretchOptions, 'audioContext'>;
+
+  export function stretchChannels(
+    channels: Float32Array[],
+    sampleRate: number,
+    options?: PaulStretchCoreOptions & SignalOptions
+  ): Promise<Float32Array[]>;
+
+  type AudioInput = File | Blob | string | ArrayBuffer | ArrayBufferView;
+
+  export interface DecodedAudio {
+    sampleRate: number;
+    channels: Float32Array[];
+    // Speaker mask of WAVE_FORMAT_EXTENSIBLE files
+    channelMask: number | null;
+  }
+
+  // Built-in WAV and AIFF decoder, at the file's own sample rate
+  export function decodeAudioFile(bytes: ArrayBuffer | ArrayBufferView): DecodedAudio;
+
+  export interface WavEncodingOptions {
+    bitDepth?: 16 | 24 | 32;
+    float?: boolean;
+    dither?: 'tpdf' | 'none';
+    noiseShaping?: boolean;
+    // 'auto' writes RIFF and switches to RF64 past 4 GB
+    container?: 'auto' | 'riff' | 'rf64' | 'wave64';
+  }
+
+  export interface FlacEncodingOptions {
+    format: 'flac';
+    bitDepth?: 16 | 24;
+    dither?: 'tpdf' | 'none';
+    noiseShaping?: boolean;
+    // Samples per frame, 16-65535 (default 4096)
+    blockSize?: number;
+    // Highest LPC order tried, 0-32 (default 8)
+    lpcOrder?: number;
+  }
+
+  export type EncodingOptions = (WavEncodingOptions & { format?: 'wav' }) | FlacEncodingOptions;
+
+  export class PaulStretchCore {
+    constructor(options?: PaulStretchCoreOptions);
     
     // Core methods
-    loadAudio(input: File | Blob | string): Promise<AudioBuffer>;
-    stretch(audioBuffer: AudioBuffer, stretchFactor?: number, windowSize?: number): Promise<AudioBuffer>;
+    loadAudio(input: AudioInput, options?: SignalOptions): Promise<AudioBufferLike>;
+    stretch(
+      audioBuffer: AudioBufferLike,
+      progressCallback?: ((progress: number, channel: number, numChannels: number) => void) | null,
+      options?: SignalOptions
+    ): Promise<AudioBufferLike>;
+    freeze(
+      audioBuffer: AudioBufferLike,
+      atSeconds: number,
+      durationSeconds: number,
+      options?: SignalOptions
+    ): Promise<AudioBufferLike>;
+    stretchStream(audioBuffer: AudioBufferLike, options?: StretchStreamOptions): StretchStream;
+    dispose(): void;
+    
+    // Structured progress events, see the onProgress option
+    onProgress: ((progress: StretchProgress) => void) | null;
+  }
+
+  export default class PaulStretch extends PaulStretchCore {
+    constructor(options?: PaulStretchOptions);
+    
+    // Core methods, rendering into AudioBuffers
+    loadAudio(input: AudioInput, options?: SignalOptions): Promise<AudioBuffer>;
+    stretch(
+      audioBuffer: AudioBufferLike,
+      progressCallback?: ((progress: number, channel: number, numChannels: number) => void) | null,
+      options?: SignalOptions
+    ): Promise<AudioBuffer>;
+    freeze(
+      audioBuffer: AudioBufferLike,
+      atSeconds: number,
+      durationSeconds: number,
+      options?: SignalOptions
+    ): Promise<AudioBuffer>;
     
     // Utility methods
-    toBlob(audioBuffer: AudioBuffer, format?: string): Promise<Blob>;
-    toUrl(audioBuffer: AudioBuffer, format?: string): Promise<string>;
-    play(audioBuffer: AudioBuffer): Promise<void>;
-    download(audioBuffer: AudioBuffer, filename?: string, format?: string): Promise<void>;
+    toBlob(audioBuffer: AudioBufferLike, encoding?: EncodingOptions | string, options?: SignalOptions): Promise<Blob>;
+    toUrl(audioBuffer: AudioBufferLike, encoding?: EncodingOptions | string, options?: SignalOptions): Promise<string>;
+    play(audioBuffer: AudioBuffer, options?: SignalOptions): Promise<void>;
+    download(
+      audioBuffer: AudioBufferLike,
+      filename?: string | null,
+      encoding?: EncodingOptions | string,
+      options?: SignalOptions
+    ): Promise<void>;
     
     // Convenience methods
-    processAndPlay(input: File | Blob | string): Promise<AudioBuffer>;
-    processAndDownload(input: File | Blob | string, filename?: string, format?: string): Promise<AudioBuffer>;
-    
-    // Progress callback
-    onProgress?: (progress: number) => void;
+    processAndPlay(input: AudioInput, options?: SignalOptions): Promise<AudioBuffer>;
+    processAndDownload(
+      input: AudioInput,
+      filename?: string | null,
+      encoding?: EncodingOptions | string,
+      options?: SignalOptions
+    ): Promise<AudioBuffer>;
   }
-}
\ No newline at end of file
+}
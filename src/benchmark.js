@@ -2,6 +2,26 @@ import PaulStretch from './index.js';
 import PaulStretchOptimized from './paulstretch-optimized.js';
 import PaulStretchFFT from './paulstretch-fft.js';
 import PaulStretchParallel from './paulstretch-parallel.js';
+import { FFT } from './utils/fft.js';
+import { ReferenceFFT } from './utils/fft-reference.js';
+
+// Heap in use, in bytes: performance.memory in Chromium, process.memoryUsage()
+// in Node, null where neither exists. Worker heaps are not included, but input
+// copies posted to workers are held on this side until they are sent.
+function usedMemory() {
+    if (typeof performance !== 'undefined' && performance.memory) {
+        return performance.memory.usedJSHeapSize;
+    }
+    if (typeof process !== 'undefined' && typeof process.memoryUsage === 'function') {
+        const { heapUsed, arrayBuffers } = process.memoryUsage();
+        return heapUsed + (arrayBuffers || 0);
+    }
+    return null;
+}
+
+function formatBytes(bytes) {
+    return bytes === null ? 'n/a' : `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+}
 
 class Benchmark {
     constructor() {
@@ -27,19 +47,31 @@ class Benchmark {
     }
 
     async measurePerformance(implementation, audioBuffer, options = {}) {
+        const memoryBefore = usedMemory();
+        let memoryPeak = memoryBefore;
+        const sampleMemory = () => {
+            const memory = usedMemory();
+            if (memory !== null && memory > memoryPeak) {
+                memoryPeak = memory;
+            }
+        };
+        
         const startTime = performance.now();
         let progressUpdates = 0;
         
         const progressCallback = (progress) => {
             progressUpdates++;
+            sampleMemory();
         };
         
         try {
             const result = await implementation.stretch(audioBuffer, progressCallback);
             const endTime = performance.now();
+            sampleMemory();
             
             return {
                 duration: endTime - startTime,
+                peakMemory: memoryBefore === null ? null : memoryPeak - memoryBefore,
                 outputLength: result.length,
                 progressUpdates,
                 success: true
@@ -62,6 +94,7 @@ class Benchmark {
         
         const implementations = [
             { name: 'Original', class: PaulStretch },
+            { name: 'Original (JS)', class: PaulStretch, options: { backend: 'js' } },
             { name: 'Optimized', class: PaulStretchOptimized },
             { name: 'FFT', class: PaulStretchFFT },
             { name: 'Parallel', class: PaulStretchParallel }
@@ -73,12 +106,14 @@ class Benchmark {
             console.log(`Testing ${impl.name}...`);
             
             try {
-                const instance = new impl.class(options);
+                const instance = new impl.class({ ...options, ...impl.options });
                 const result = await this.measurePerformance(instance, audioBuffer, options);
                 
                 results[impl.name] = {
                     duration: result.duration,
                     durationFormatted: `${result.duration.toFixed(2)}ms`,
+                    peakMemory: result.peakMemory,
+                    peakMemoryFormatted: formatBytes(result.peakMemory),
                     samplesPerSecond: audioBuffer.length / (result.duration / 1000),
                     success: result.success,
                     error: result.error
@@ -116,6 +151,62 @@ class Benchmark {
         return results;
     }
 
+    // Time one analysis/resynthesis round trip of a real frame: the original
+    // FFT class (per-butterfly twiddles, zeroed imaginary half, all `size`
+    // points) against the packed real-input transform the engines use now.
+    // `size` must be a power of two. Results have the shape runBenchmark
+    // returns, so printResults shows them.
+    benchmarkFFT(size = 16384, iterations = 200) {
+        const reference = new ReferenceFFT(size);
+        const fft = new FFT(size);
+        const frame = Float64Array.from({ length: size }, () => Math.random() * 2 - 1);
+        const packed = new Float64Array(size);
+        const real = new Float64Array(size);
+        const imag = new Float64Array(size);
+        
+        const time = (roundTrip) => {
+            for (let i = 0; i < 10; i++) roundTrip(); // warm up
+            const startTime = performance.now();
+            for (let i = 0; i < iterations; i++) roundTrip();
+            return (performance.now() - startTime) / iterations;
+        };
+        const result = (duration) => ({
+            duration,
+            durationFormatted: `${duration.toFixed(3)}ms`,
+            peakMemory: null,
+            peakMemoryFormatted: formatBytes(null),
+            samplesPerSecond: size / (duration / 1000),
+            success: true
+        });
+        
+        const results = {
+            'Reference FFT': result(time(() => {
+                real.set(frame);
+                imag.fill(0);
+                reference.forward(real, imag);
+                reference.inverse(real, imag);
+            })),
+            'Real FFT': result(time(() => {
+                packed.set(frame);
+                fft.realForward(packed);
+                fft.realInverse(packed);
+            }))
+        };
+        
+        const baselineDuration = results['Reference FFT'].duration;
+        for (const name in results) {
+            results[name].speedup = (baselineDuration / results[name].duration).toFixed(2) + 'x';
+        }
+        
+        this.results.push({
+            fftSize: size,
+            timestamp: new Date().toISOString(),
+            results
+        });
+        
+        return results;
+    }
+
     async runFullBenchmarkSuite() {
         const testCases = [
             { duration: 0.5, stretchFactor: 4 },
@@ -126,6 +217,9 @@ class Benchmark {
         
         const allResults = [];
         
+        console.log('\n--- FFT round trip, 16384 points ---');
+        this.printResults(this.benchmarkFFT(16384));
+        
         for (const testCase of testCases) {
             console.log(`\n--- Test Case: ${testCase.duration}s audio, ${testCase.stretchFactor}x stretch ---`);
             const results = await this.runBenchmark(testCase.duration, testCase.stretchFactor);
@@ -140,14 +234,14 @@ class Benchmark {
 
     printResults(results) {
         console.log('\nBenchmark Results:');
-        console.log('-'.repeat(60));
+        console.log('-'.repeat(80));
         
         const sortedResults = Object.entries(results)
             .filter(([_, r]) => r.success)
             .sort((a, b) => a[1].duration - b[1].duration);
         
         for (const [name, result] of sortedResults) {
-            console.log(`${name.padEnd(15)} | ${result.durationFormatted.padEnd(12)} | Speedup: ${(result.speedup || '1.00x').padEnd(8)} | ${Math.floor(result.samplesPerSecond).toLocaleString()} samples/sec`);
+            console.log(`${name.padEnd(15)} | ${result.durationFormatted.padEnd(12)} | Speedup: ${(result.speedup || '1.00x').padEnd(8)} | Memory: +${result.peakMemoryFormatted.padEnd(8)} | ${Math.floor(result.samplesPerSecond).toLocaleString()} samples/sec`);
         }
         
         // Show errors if any
@@ -0,0 +1,445 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import packageJson from '../package.json';
+import { PaulStretchError } from './utils/errors.js';
+import { stretchChannels } from './core.js';
+import { WAV_BIT_DEPTHS, validateWavEncoding } from './utils/wav.js';
+import { encodeAudioParts, validateAudioEncoding } from './utils/encode.js';
+import { decodeAudioFile } from './utils/decode.js';
+import { validateNormalization } from './utils/normalize.js';
+import { validateStereoMode } from './utils/stereo.js';
+import { validateWindow } from './utils/windows.js';
+import { validateBackend } from './frame-kernel.js';
+
+// The `paulstretch` command: renders WAV, AIFF and FLAC files with the core in
+// Node.
+// Built into dist/cli.js and started by bin/paulstretch.js.
+//
+// Exit codes: 0 all files rendered, 1 some failed, 2 bad usage (nothing
+// rendered), 130 interrupted.
+
+export const EXIT_OK = 0;
+export const EXIT_FAILED = 1;
+export const EXIT_USAGE = 2;
+export const EXIT_INTERRUPTED = 130;
+
+export const USAGE = `Usage: paulstretch <input.wav|input.aiff|input.flac|glob>... [options]
+
+Options:
+  -s, --stretch <factor>     stretch factor (default 8)
+  -w, --window <seconds>     window size in seconds (default 0.25)
+      --window-type <type>   paulstretch, hann, blackman-harris or kaiser
+      --seed <n>             seed for reproducible renders
+      --normalize <mode>     peak-per-channel, peak-linked, none, or a LUFS target like -16
+      --pitch <semitones>    pitch shift while stretching
+      --stereo <mode>        independent, linked or midSide
+      --backend <name>       auto, wasm or js
+      --workers <n>          number of worker threads
+      --no-workers           render on the main thread
+      --format <type>        wav (default) or flac
+      --bit-depth <bits>     output sample format: 16 (default), 24 or 32-bit PCM
+                             (FLAC: 16 or 24)
+      --float                32-bit float WAV output
+      --dither <type>        tpdf (default) or none
+      --noise-shaping        shape the dither noise towards high frequencies
+      --container <type>     WAV container: auto (RIFF, RF64 past 4 GB), riff,
+                             rf64 or wave64
+  -o, --output <path>        output file, directory (ending in /) or template,
+                             default "{dir}/{name}.stretched.wav" (.flac for FLAC)
+      --json                 print a JSON summary to stdout
+  -q, --quiet                no progress bar or per-file lines
+  -h, --help                 show this help
+  -V, --version              show the version
+
+Output templates may use {dir}, {name}, {index}, {stretch} and {seed}.
+Quote globs ("takes/*.wav", "**/*.wav") to let paulstretch expand them.`;
+
+// Bad arguments; reported with the usage hint and EXIT_USAGE
+class UsageError extends PaulStretchError {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function parseNumber(value, name, check = () => true) {
+    const number = Number(value);
+    if (value === '' || !isFinite(number) || !check(number)) {
+        throw new UsageError(`Invalid ${name} '${value}'`);
+    }
+    return number;
+}
+
+function validated(validate, value) {
+    try {
+        return validate(value);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+// long name -> [setting, parse(value)]
+const VALUE_OPTIONS = {
+    stretch: ['stretchFactor', value => parseNumber(value, 'stretch factor', n => n > 0)],
+    window: ['windowSize', value => parseNumber(value, 'window size', n => n > 0)],
+    'window-type': ['window', value => validated(validateWindow, value).type],
+    seed: ['seed', value => parseNumber(value, 'seed', Number.isInteger)],
+    normalize: ['normalize', value => validated(validateNormalization,
+        /^[-+]?\d/.test(value) ? { lufs: parseNumber(value, 'LUFS target') } : value)],
+    pitch: ['pitchShift', value => parseNumber(value, 'pitch shift')],
+    stereo: ['stereoMode', value => validated(validateStereoMode, value)],
+    backend: ['backend', value => validated(validateBackend, value)],
+    workers: ['numWorkers', value => parseNumber(value, 'worker count', n => Number.isInteger(n) && n > 0)],
+    output: ['output', value => value],
+    format: ['format', value => validated(format => validateAudioEncoding({ format }).format, value)],
+    'bit-depth': ['bitDepth', value => parseNumber(value, 'bit depth', n => WAV_BIT_DEPTHS.includes(n))],
+    dither: ['dither', value => validated(dither => validateWavEncoding({ dither }).dither, value)],
+    container: ['container', value => validated(container => validateWavEncoding({ container }).container, value)]
+};
+const FLAGS = ['json', 'quiet', 'help', 'version', 'no-workers', 'float', 'noise-shaping'];
+// Options for encodeAudioParts rather than the stretch
+const ENCODING_SETTINGS = ['format', 'bitDepth', 'float', 'dither', 'noiseShaping', 'container'];
+const ALIASES = { s: 'stretch', w: 'window', o: 'output', q: 'quiet', h: 'help', V: 'version' };
+
+// argv without node and the script. Returns { inputs, settings, encoding,
+// output, json, quiet, help, version }; settings go to stretchChannels,
+// encoding to encodeAudioParts.
+export function parseArgs(argv) {
+    const result = {
+        inputs: [], settings: {}, encoding: {}, output: null, json: false, quiet: false, help: false, version: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            result.inputs.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            result.inputs.push(arg);
+            continue;
+        }
+
+        let name;
+        let value = null;
+        if (arg.startsWith('--')) {
+            const equals = arg.indexOf('=');
+            name = equals < 0 ? arg.slice(2) : arg.slice(2, equals);
+            value = equals < 0 ? null : arg.slice(equals + 1);
+        } else {
+            name = ALIASES[arg.slice(1)];
+            if (!name) {
+                throw new UsageError(`Unknown option '${arg}'`);
+            }
+        }
+
+        if (FLAGS.includes(name)) {
+            if (value !== null) {
+                throw new UsageError(`Option --${name} takes no value`);
+            }
+            if (name === 'no-workers') {
+                result.settings.useWorkers = false;
+            } else if (name === 'float' || name === 'noise-shaping') {
+                result.encoding[name === 'float' ? 'float' : 'noiseShaping'] = true;
+            } else {
+                result[name] = true;
+            }
+            continue;
+        }
+        if (!VALUE_OPTIONS[name]) {
+            throw new UsageError(`Unknown option '${arg}'`);
+        }
+        if (value === null) {
+            // Values may start with a dash (--normalize -16, --pitch -7)
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`Option ${arg} needs a value`);
+            }
+            value = argv[++i];
+        }
+        const [setting, parse] = VALUE_OPTIONS[name];
+        if (setting === 'output') {
+            result.output = parse(value);
+        } else if (ENCODING_SETTINGS.includes(setting)) {
+            result.encoding[setting] = parse(value);
+        } else {
+            result.settings[setting] = parse(value);
+        }
+    }
+    validated(validateAudioEncoding, result.encoding);
+    return result;
+}
+
+const GLOB_CHARS = /[*?]/;
+
+function globSegmentToRegExp(segment) {
+    let source = '';
+    for (const char of segment) {
+        if (char === '*') {
+            source += '[^/\\\\]*';
+        } else if (char === '?') {
+            source += '[^/\\\\]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+async function readDirectory(dir) {
+    try {
+        return await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+}
+
+// Files matching a pattern with `*`, `?` and `**` (any number of
+// directories), sorted. Hidden entries only match segments that start with a
+// dot. Patterns without wildcards come back as they are.
+export async function expandGlob(pattern, cwd = process.cwd()) {
+    if (!GLOB_CHARS.test(pattern)) {
+        return [pattern];
+    }
+    const { root } = path.parse(pattern);
+    const segments = pattern.slice(root.length).split(/[\\/]+/).filter(Boolean);
+    const start = root ? root : cwd;
+    const matches = new Set();
+
+    const walk = async (dir, index) => {
+        if (index === segments.length) {
+            const stats = await fs.stat(dir).catch(() => null);
+            if (stats && stats.isFile()) {
+                matches.add(root ? dir : path.relative(cwd, dir));
+            }
+            return;
+        }
+        const segment = segments[index];
+        if (segment === '**') {
+            await walk(dir, index + 1);
+            for (const entry of await readDirectory(dir)) {
+                if (entry.isDirectory() && !entry.name.startsWith('.')) {
+                    await walk(path.join(dir, entry.name), index);
+                }
+            }
+            return;
+        }
+        if (!GLOB_CHARS.test(segment)) {
+            await walk(path.join(dir, segment), index + 1);
+            return;
+        }
+        const regex = globSegmentToRegExp(segment);
+        for (const entry of await readDirectory(dir)) {
+            if (regex.test(entry.name) && (!entry.name.startsWith('.') || segment.startsWith('.'))) {
+                await walk(path.join(dir, entry.name), index + 1);
+            }
+        }
+    };
+
+    await walk(start, 0);
+    return Array.from(matches).sort();
+}
+
+// The output path for one input from a template (see USAGE)
+export function formatOutputPath(template, input, values) {
+    const { name } = path.parse(input);
+    const fields = { dir: path.dirname(input), name, ...values };
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+        if (fields[key] === undefined || fields[key] === null) {
+            throw new UsageError(`Unknown output template field ${match}`);
+        }
+        return String(fields[key]);
+    });
+}
+
+// Resolve every input's output path up front, so a bad template fails before
+// any rendering and no two inputs write the same file
+async function planOutputs(inputs, output, settings, cwd, extension) {
+    let template = output || path.join('{dir}', `{name}.stretched.${extension}`);
+    const stats = output ? await fs.stat(path.resolve(cwd, output)).catch(() => null) : null;
+    if (output && (/[\\/]$/.test(output) || (stats && stats.isDirectory()))) {
+        template = path.join(output, `{name}.${extension}`);
+    }
+    if (inputs.length > 1 && !/\{(name|index)\}/.test(template)) {
+        throw new UsageError('Several inputs need an output directory or a template with {name} or {index}');
+    }
+
+    const seen = new Map();
+    return inputs.map((input, index) => {
+        const file = path.resolve(cwd, formatOutputPath(template, input, {
+            index: index + 1,
+            stretch: settings.stretchFactor !== undefined ? settings.stretchFactor : 8,
+            seed: settings.seed !== undefined ? settings.seed : 'random'
+        }));
+        if (file === path.resolve(cwd, input)) {
+            throw new UsageError(`Output would overwrite its input ${input}`);
+        }
+        if (seen.has(file)) {
+            throw new UsageError(`${seen.get(file)} and ${input} would both write ${file}`);
+        }
+        seen.set(file, input);
+        return file;
+    });
+}
+
+function formatSeconds(seconds) {
+    if (seconds < 60) {
+        return `${seconds.toFixed(1)}s`;
+    }
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}m${String(Math.round(seconds - minutes * 60)).padStart(2, '0')}s`;
+}
+
+// One line on a terminal, redrawn from the stretch progress events
+function createProgressBar(stream, label) {
+    const width = 24;
+    return {
+        update({ stage, fraction, etaMs }) {
+            const filled = Math.round(fraction * width);
+            const eta = etaMs ? ` eta ${formatSeconds(etaMs / 1000)}` : '';
+            const percent = String(Math.floor(fraction * 100)).padStart(3);
+            stream.write(`\r${label} [${'#'.repeat(filled)}${'-'.repeat(width - filled)}] ${percent}% ${stage}${eta}\x1b[K`);
+        },
+        clear() {
+            stream.write('\r\x1b[K');
+        }
+    };
+}
+
+async function renderFile(input, outputFile, { settings, encoding }, signal, onProgress) {
+    const started = Date.now();
+    const { sampleRate, channels } = decodeAudioFile(await fs.readFile(input));
+    const output = await stretchChannels(channels, sampleRate, { ...settings, onProgress, signal });
+    await fs.mkdir(path.dirname(outputFile), { recursive: true });
+    // Part by part, so files beyond 4 GB never sit in memory twice. The
+    // header is rewritten once the encoder has filled it in.
+    const file = await fs.open(outputFile, 'w');
+    try {
+        let header = null;
+        for (const part of encodeAudioParts(output, sampleRate, encoding)) {
+            header = header || part;
+            await file.write(part);
+        }
+        await file.write(header, 0, header.length, 0);
+    } finally {
+        await file.close();
+    }
+    return {
+        sampleRate,
+        channels: channels.length,
+        inputSeconds: channels[0].length / sampleRate,
+        outputSeconds: output[0].length / sampleRate,
+        elapsedMs: Date.now() - started
+    };
+}
+
+// Runs the command and resolves to its exit code. io: { stdout, stderr,
+// cwd, signal } (defaults: the process streams and directory, no signal).
+export async function main(argv, io = {}) {
+    const { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd(), signal = null } = io;
+
+    let args;
+    let inputs;
+    let outputs;
+    try {
+        args = parseArgs(argv);
+        if (args.help) {
+            stdout.write(`${USAGE}\n`);
+            return EXIT_OK;
+        }
+        if (args.version) {
+            stdout.write(`${packageJson.version}\n`);
+            return EXIT_OK;
+        }
+        if (args.inputs.length === 0) {
+            throw new UsageError('No input files');
+        }
+        inputs = [];
+        for (const pattern of args.inputs) {
+            const matches = await expandGlob(pattern, cwd);
+            if (matches.length === 0) {
+                throw new UsageError(`No files match ${pattern}`);
+            }
+            inputs.push(...matches.filter(match => !inputs.includes(match)));
+        }
+        outputs = await planOutputs(inputs, args.output, args.settings, cwd, args.encoding.format || 'wav');
+    } catch (error) {
+        if (!(error instanceof UsageError)) {
+            throw error;
+        }
+        stderr.write(`paulstretch: ${error.message}\n${USAGE.split('\n')[0]}\nTry 'paulstretch --help' for more.\n`);
+        return EXIT_USAGE;
+    }
+
+    const showBar = !args.quiet && !!stderr.isTTY;
+    // Paths are reported relative to cwd, in the text lines and the JSON alike
+    const displayPath = filePath => path.relative(cwd, path.resolve(cwd, filePath));
+    const files = [];
+    let interrupted = false;
+    for (let i = 0; i < inputs.length; i++) {
+        const input = inputs[i];
+        const file = { input: displayPath(input), output: displayPath(outputs[i]) };
+        const bar = showBar ? createProgressBar(stderr, `[${i + 1}/${inputs.length}] ${path.basename(input)}`) : null;
+        try {
+            Object.assign(file, await renderFile(path.resolve(cwd, input), outputs[i], args, signal,
+                bar ? event => bar.update(event) : null));
+            file.error = null;
+        } catch (error) {
+            file.error = error.message;
+        }
+        interrupted = !!(signal && signal.aborted);
+        if (bar) {
+            bar.clear();
+        }
+        files.push(file);
+
+        if (!args.quiet && !args.json) {
+            const line = file.error
+                ? `${file.input}: ${file.error}`
+                : `${file.input} -> ${file.output} ` +
+                  `(${formatSeconds(file.inputSeconds)} -> ${formatSeconds(file.outputSeconds)} in ${formatSeconds(file.elapsedMs / 1000)})`;
+            (file.error ? stderr : stdout).write(`${line}\n`);
+        } else if (file.error && !args.json) {
+            stderr.write(`${file.input}: ${file.error}\n`);
+        }
+        if (interrupted) {
+            break;
+        }
+    }
+
+    const failed = files.filter(file => file.error).length;
+    if (args.json) {
+        stdout.write(`${JSON.stringify({
+            ok: failed === 0 && !interrupted,
+            rendered: files.length - failed,
+            failed,
+            interrupted,
+            files
+        }, null, 2)}\n`);
+    }
+    if (interrupted) {
+        return EXIT_INTERRUPTED;
+    }
+    return failed > 0 ? EXIT_FAILED : EXIT_OK;
+}
+
+// Entry point for bin/paulstretch.js: wires Ctrl+C to cancellation and sets
+// the exit code. A second Ctrl+C exits at once.
+export function runCli(argv = process.argv.slice(2)) {
+    const controller = new AbortController();
+    const onInterrupt = () => {
+        if (controller.signal.aborted) {
+            process.exit(EXIT_INTERRUPTED);
+        }
+        controller.abort();
+    };
+    process.on('SIGINT', onInterrupt);
+    return main(argv, { signal: controller.signal })
+        .catch(error => {
+            process.stderr.write(`paulstretch: ${error.stack || error.message}\n`);
+            return EXIT_FAILED;
+        })
+        .then(code => {
+            process.off('SIGINT', onInterrupt);
+            process.exitCode = code;
+            return code;
+        });
+}
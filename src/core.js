@@ -0,0 +1,1002 @@
+import {
+    AbortError,
+    PaulStretchError,
+    WorkerCrashError,
+    WorkerError,
+    WorkerTimeoutError
+} from './utils/errors.js';
+import { onAbort, throwIfAborted, yieldToEventLoop } from './utils/abort.js';
+import { createWorkerSource, getDefaultWorkerCount, getWorkerKind } from './utils/workers.js';
+import { createProgressListener, createStageProgress } from './utils/progress.js';
+import { createPhaseRandom } from './utils/random.js';
+import { createStretchEnvelope, computeFramePositions } from './utils/envelope.js';
+import { createLevelMeter, normalizeChannels, validateNormalization } from './utils/normalize.js';
+import { createLimiter, validateLimiter } from './utils/limiter.js';
+import { prepareStereo, finishStereo, validateStereoMode } from './utils/stereo.js';
+import { FFT } from './utils/fft.js';
+import { createWindow, validateWindow } from './utils/windows.js';
+import {
+    createFrameKernel,
+    getFrameKernelWorkerCode,
+    resolveFrameBackend,
+    validateBackend
+} from './frame-kernel.js';
+import {
+    SPECTRAL_STAGES,
+    createSpectralProcessor,
+    getSpectralWorkerCode,
+    validateSpectralSettings
+} from './spectral.js';
+import { SampleBuffer, isAudioBufferLike } from './sample-buffer.js';
+import { decodeAudioFile, detectAudioFormat } from './utils/decode.js';
+
+// Shared memory needs SharedArrayBuffer and, in browsers, a cross-origin
+// isolated page (COOP/COEP headers)
+function canShareMemory() {
+    return typeof SharedArrayBuffer === 'function' &&
+        (typeof crossOriginIsolated === 'undefined' || crossOriginIsolated === true);
+}
+
+// A pool chunk holds at most MAX_CHUNK_SAMPLES windowed samples (frames times
+// window size), so the time a worker spends on one chunk does not grow with
+// the input. Shorter inputs are still split into MIN_CHUNKS_PER_WORKER chunks
+// per worker to keep the queue balanced.
+const MAX_CHUNK_SAMPLES = 1 << 20;
+const MIN_CHUNKS_PER_WORKER = 3;
+
+// The stretching engine without any Web Audio dependency, for browsers,
+// workers and Node alike. It reads and returns AudioBuffer-like objects (see
+// sample-buffer.js) and runs its worker pool on web Workers or worker_threads.
+// PaulStretch (index.js) wraps it with Web Audio decoding, encoding and playback.
+export class PaulStretchCore {
+    constructor(options = {}) {
+        this.stretchFactor = options.stretchFactor || 8.0; // number, breakpoints or (seconds) => factor
+        this.windowSize = options.windowSize || 0.25; // in seconds
+        this.window = options.window || 'paulstretch'; // see utils/windows.js
+        this.seed = options.seed !== undefined ? options.seed : null; // null = unseeded
+        this.pitchShift = options.pitchShift || 0; // semitones, or { semitones, cents }
+        this.harmonics = options.harmonics || null; // { frequency, count, bandwidth }
+        this.octaves = options.octaves || null; // { '-1': 0.5, '0': 1, ... }
+        this.spread = options.spread || 0; // 0..1
+        this.filter = options.filter || null; // [{ frequency, gain }] or { type, ... }
+        this.normalize = options.normalize || 'peak-per-channel'; // see utils/normalize.js
+        this.backend = options.backend || 'auto'; // frame kernel: 'auto', 'wasm' or 'js'
+        this.stereoMode = options.stereoMode || 'independent'; // 'independent', 'linked' or 'midSide'
+        this.onProgress = options.onProgress || null; // structured events, see utils/progress.js
+        this.workerKind = this._getWorkerKind(); // 'web', 'node' or null, see utils/workers.js
+        this.useWorkers = options.useWorkers !== false && this.workerKind !== null;
+        this.numWorkers = options.numWorkers || getDefaultWorkerCount();
+        this.workerTimeout = options.workerTimeout !== undefined ? options.workerTimeout : 30000; // ms per chunk, 0 = none
+        this.workerRetries = options.workerRetries !== undefined ? options.workerRetries : 2; // per chunk
+        this.workerFallback = options.workerFallback !== false; // single thread once retries run out
+        
+        this.workers = [];
+        this.workerSource = null;
+        this.workerTasks = new Map();
+        this.workerJobs = new Map();
+        this.taskIdCounter = 0;
+        this.jobIdCounter = 0;
+        
+        if (this.useWorkers) {
+            this._initWorkers();
+        }
+    }
+
+    _initWorkers() {
+        try {
+            // Kept until dispose(): crashed workers are respawned from it
+            this.workerSource = createWorkerSource(this._getWorkerCode(), this.workerKind);
+            
+            // Create worker pool
+            for (let i = 0; i < this.numWorkers; i++) {
+                this.workers.push(this._spawnWorker());
+            }
+        } catch (error) {
+            console.warn('Failed to initialize workers:', error);
+            this.useWorkers = false;
+        }
+    }
+
+    _spawnWorker() {
+        const worker = this.workerSource.spawn();
+        worker.onmessage = (e) => this._handleWorkerMessage(e);
+        worker.onerror = (e) => {
+            if (e && e.preventDefault) e.preventDefault();
+            const index = this.workers.indexOf(worker);
+            if (index >= 0) {
+                this._replaceWorker(index, new WorkerCrashError(`Worker crashed: ${(e && e.message) || 'unknown error'}`));
+            }
+        };
+        return worker;
+    }
+
+    // Reject every task in flight on a worker
+    _failWorkerTasks(worker, error) {
+        for (const [taskId, task] of this.workerTasks) {
+            if (task.worker === worker) {
+                this.workerTasks.delete(taskId);
+                clearTimeout(task.timer);
+                task.reject(error);
+            }
+        }
+    }
+
+    // Terminate a crashed or hung worker, reject its tasks with `error` and put
+    // a fresh worker in its slot, primed with the jobs that are still running
+    _replaceWorker(index, error) {
+        const worker = this.workers[index];
+        this._failWorkerTasks(worker, error);
+        worker.terminate();
+        
+        const replacement = this._spawnWorker();
+        this.workers[index] = replacement;
+        for (const session of this.workerJobs.values()) {
+            this._postJob(replacement, session);
+        }
+        return replacement;
+    }
+
+    // Threads the pool may use; the browser wrapper sticks to web Workers
+    _getWorkerKind() {
+        return getWorkerKind();
+    }
+
+    // Output buffers; the browser wrapper creates real AudioBuffers
+    _createBuffer(numberOfChannels, length, sampleRate) {
+        return new SampleBuffer({ numberOfChannels, length, sampleRate });
+    }
+
+    // Decoder for what the built-in one cannot read; the browser wrapper uses
+    // decodeAudioData. Null when there is none.
+    async _decodeWithPlatform(bytes) {
+        return null;
+    }
+
+    _getWorkerCode() {
+        // Return the worker code as a string
+        return `
+// Phase randomization (shared with the main thread)
+const createPhaseRandom = ${createPhaseRandom.toString()};
+
+// Spectral processing stages (shared with the main thread)
+${getSpectralWorkerCode()}
+
+// FFT for any window size (shared with the main thread)
+const FFT = ${FFT.toString()};
+
+// Frame analysis / resynthesis kernels (shared with the main thread)
+${getFrameKernelWorkerCode()}
+
+// Jobs by id: the input channels (shared, or transferred once per worker)
+// and the settings every chunk of the job uses
+const jobs = new Map();
+
+function getKernel(job) {
+    if (!job.kernel) {
+        job.kernel = job.wasmModule
+            ? createWasmFrameKernel(job.wasmModule, job.winSize, job.winArray)
+            : createJsFrameKernel(FFT, job.winSize, job.winArray);
+        job.processSpectrum = createSpectralProcessor(job.spectral, job.winSize, job.sampleRate, spectralStages);
+    }
+    return job.kernel;
+}
+
+// Process one chunk of frames using the PaulStretch algorithm and overlap-add
+// them into one contiguous segment of (frames + 1) * halfWinSize samples. The
+// first half window is the head of the first frame alone and the last one is
+// the tail of the last frame; the main thread stitches them to the neighbours.
+function processFrames(job, params) {
+    const { channelIndex, phaseChannel, firstFrame, positions } = params;
+    const { winSize, seed } = job;
+    const inputData = job.channels[channelIndex];
+    
+    const halfWinSize = winSize / 2;
+    const kernel = getKernel(job);
+    const processSpectrum = job.processSpectrum;
+    
+    const segment = new Float32Array((positions.length + 1) * halfWinSize);
+    const blockIn = new Float32Array(winSize);
+    const phaseArray = new Float32Array(halfWinSize + 1);
+    let count = 0;
+    
+    for (let i = 0; i < positions.length; i++) {
+        const frame = firstFrame + i;
+        const inputPos = positions[i];
+        if (Math.floor(inputPos) + winSize > inputData.length) break;
+        
+        // Analyze the windowed frame
+        kernel.analyze(inputData, Math.floor(inputPos));
+        
+        if (processSpectrum) {
+            processSpectrum(kernel.amplitudes);
+        }
+        
+        // Generate random phases
+        const random = createPhaseRandom(seed, phaseChannel, frame);
+        for (let j = 0; j <= halfWinSize; j++) {
+            phaseArray[j] = random() * 2 * Math.PI;
+        }
+        
+        // Resynthesize with the new phases, windowed again
+        kernel.synthesize(phaseArray, blockIn);
+        
+        // Overlap-add: first half onto the previous tail, second half as the new tail
+        const outputPos = i * halfWinSize;
+        for (let j = 0; j < halfWinSize; j++) {
+            segment[outputPos + j] += blockIn[j];
+            segment[outputPos + halfWinSize + j] = blockIn[halfWinSize + j];
+        }
+        count++;
+    }
+    
+    return count < positions.length ? segment.slice(0, (count + 1) * halfWinSize) : segment;
+}
+
+// Handle messages from main thread
+self.onmessage = function(e) {
+    const { action, params } = e.data;
+    
+    if (action === 'startJob') {
+        jobs.set(params.jobId, params);
+    } else if (action === 'endJob') {
+        jobs.delete(params.jobId);
+    } else if (action === 'processFrames') {
+        try {
+            const job = jobs.get(params.jobId);
+            if (!job) {
+                throw new Error('Unknown job ' + params.jobId);
+            }
+            const segment = processFrames(job, params);
+            
+            // Hand the segment back without copying
+            self.postMessage({
+                taskId: params.taskId,
+                channelIndex: params.channelIndex,
+                chunkIndex: params.chunkIndex,
+                segment: segment,
+                success: true
+            }, [segment.buffer]);
+        } catch (error) {
+            self.postMessage({
+                taskId: params.taskId,
+                error: error.message,
+                success: false
+            });
+        }
+    }
+};
+        `;
+    }
+
+    // Window length in samples: the requested duration, rounded to an even
+    // count so frames overlap by exactly half a window. The FFT handles any size.
+    _getWindowSamples(sampleRate) {
+        return Math.max(2, 2 * Math.round(this.windowSize * sampleRate / 2));
+    }
+
+    // Spectral processing options, shared as plain data with the workers
+    _getSpectralSettings() {
+        return validateSpectralSettings({
+            harmonics: this.harmonics,
+            pitchShift: this.pitchShift,
+            octaves: this.octaves,
+            spread: this.spread,
+            filter: this.filter
+        });
+    }
+
+    _handleWorkerMessage(e) {
+        const { taskId, success, error } = e.data;
+        const task = this.workerTasks.get(taskId);
+        
+        if (task) {
+            this.workerTasks.delete(taskId);
+            clearTimeout(task.timer);
+            if (success) {
+                task.resolve(e.data);
+            } else {
+                task.reject(new WorkerError(error));
+            }
+        }
+    }
+
+    _sendToWorker(worker, params) {
+        return new Promise((resolve, reject) => {
+            const taskId = this.taskIdCounter++;
+            const task = { worker, resolve, reject, timer: null };
+            
+            if (this.workerTimeout > 0) {
+                task.timer = setTimeout(() => {
+                    this.workerTasks.delete(taskId);
+                    reject(new WorkerTimeoutError(`Worker did not answer within ${this.workerTimeout} ms`));
+                }, this.workerTimeout);
+            }
+            this.workerTasks.set(taskId, task);
+            
+            worker.postMessage({
+                action: 'processFrames',
+                params: { ...params, taskId }
+            });
+        });
+    }
+
+    // Send every worker the input channels and settings of a job. With
+    // SharedArrayBuffer the input is copied into shared memory once and read
+    // by all workers; otherwise each worker gets its own copy, transferred.
+    _startJob(job, channels) {
+        let shared = null;
+        if (canShareMemory()) {
+            shared = channels.map((data) => {
+                const copy = new Float32Array(new SharedArrayBuffer(data.length * Float32Array.BYTES_PER_ELEMENT));
+                copy.set(data);
+                return copy;
+            });
+        }
+        
+        const session = { job, channels, shared };
+        this.workerJobs.set(job.jobId, session);
+        for (const worker of this.workers) {
+            this._postJob(worker, session);
+        }
+    }
+
+    _postJob(worker, { job, channels, shared }) {
+        const input = shared || channels.map(data => data.slice());
+        worker.postMessage({
+            action: 'startJob',
+            params: { ...job, channels: input }
+        }, shared ? [] : input.map(data => data.buffer));
+    }
+
+    _endJob(jobId) {
+        this.workerJobs.delete(jobId);
+        for (const worker of this.workers) {
+            worker.postMessage({ action: 'endJob', params: { jobId } });
+        }
+    }
+
+    // Pull-based queue: every worker takes the next chunk as soon as it is
+    // idle, so faster workers simply end up processing more chunks. A failed
+    // chunk goes back to the front of the queue, after replacing its worker if
+    // that crashed or hung, until it has failed more than workerRetries times.
+    // Aborting replaces the workers that are busy with this queue, which
+    // rejects their tasks at once and stops the computation.
+    async _runWorkQueue(workQueue, onResult, signal = null) {
+        const queue = workQueue.map(params => ({ params, failures: 0 }));
+        const busy = new Set();
+        let failure = null;
+        
+        // Once the queue has failed, workers still busy with it are wasted
+        const stopBusyWorkers = (message) => {
+            for (const index of busy) {
+                this._replaceWorker(index, new WorkerCrashError(message));
+            }
+        };
+        
+        const removeAbortListener = onAbort(signal, () => {
+            failure = new AbortError();
+            stopBusyWorkers('Worker was stopped by an aborted stretch');
+        });
+        
+        const drain = async (index) => {
+            while (queue.length > 0 && !failure) {
+                const item = queue.shift();
+                const worker = this.workers[index];
+                let result;
+                busy.add(index);
+                try {
+                    result = await this._sendToWorker(worker, item.params);
+                } catch (error) {
+                    if (failure) throw failure;
+                    // A crashed worker has already been replaced; a hung one is now
+                    if (error instanceof WorkerTimeoutError && this.workers[index] === worker) {
+                        this._replaceWorker(index, error);
+                    }
+                    item.failures++;
+                    if (item.failures > this.workerRetries) {
+                        failure = error;
+                        busy.delete(index);
+                        stopBusyWorkers('Worker was stopped after another worker failed');
+                        throw failure;
+                    }
+                    queue.unshift(item);
+                    continue;
+                } finally {
+                    busy.delete(index);
+                }
+                if (failure) throw failure;
+                onResult(result);
+            }
+        };
+        
+        try {
+            throwIfAborted(signal);
+            await Promise.all(this.workers.map((worker, index) => drain(index)));
+        } finally {
+            removeAbortListener();
+        }
+    }
+
+    // input: File, Blob, URL string, ArrayBuffer or typed array (a Node Buffer
+    // works). WAV, AIFF and FLAC are decoded here at their own sample rate;
+    // other formats need the platform decoder (see _decodeWithPlatform).
+    async loadAudio(input, { signal } = {}) {
+        if (!input) {
+            throw new PaulStretchError('Invalid input');
+        }
+        throwIfAborted(signal);
+
+        const progress = createStageProgress(createProgressListener(this.onProgress), 'decode');
+        let audioBuffer;
+        try {
+            let bytes;
+            if ((typeof File !== 'undefined' && input instanceof File) ||
+                (typeof Blob !== 'undefined' && input instanceof Blob)) {
+                bytes = new Uint8Array(await input.arrayBuffer());
+            } else if (typeof input === 'string') {
+                const response = await (signal ? fetch(input, { signal }) : fetch(input));
+                bytes = new Uint8Array(await response.arrayBuffer());
+            } else if (input instanceof ArrayBuffer) {
+                bytes = new Uint8Array(input);
+            } else if (ArrayBuffer.isView(input)) {
+                bytes = new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+            } else {
+                throw new PaulStretchError('Input must be a File, Blob, URL string, ArrayBuffer or Uint8Array');
+            }
+
+            audioBuffer = await this._decodeAudio(bytes);
+        } catch (error) {
+            throwIfAborted(signal);
+            throw new PaulStretchError(`Failed to load audio: ${error.message}`);
+        }
+        throwIfAborted(signal);
+        progress.done();
+        return audioBuffer;
+    }
+
+    async _decodeAudio(bytes) {
+        let builtinError = null;
+        if (detectAudioFormat(bytes)) {
+            try {
+                const { sampleRate, channels } = decodeAudioFile(bytes);
+                const buffer = this._createBuffer(channels.length, channels[0].length, sampleRate);
+                channels.forEach((data, ch) => buffer.getChannelData(ch).set(data));
+                return buffer;
+            } catch (error) {
+                // A codec the built-in decoder lacks (ADPCM, MP3 in WAV, ...)
+                // may still be known to the platform. So may a rate the
+                // platform buffer rejects (Web Audio takes about 3 to 768 kHz):
+                // its decoder resamples.
+                builtinError = error;
+            }
+        }
+
+        let decoded = null;
+        try {
+            decoded = await this._decodeWithPlatform(bytes);
+        } catch (error) {
+            throw builtinError || error;
+        }
+        if (!decoded) {
+            throw builtinError || new PaulStretchError('Unknown audio format; without Web Audio only WAV, AIFF and FLAC can be decoded');
+        }
+        return decoded;
+    }
+
+    // options.signal: AbortSignal that cancels the stretch with an AbortError
+    async stretch(audioBuffer, progressCallback = null, { signal } = {}) {
+        if (!isAudioBufferLike(audioBuffer)) {
+            throw new PaulStretchError('Invalid audio buffer');
+        }
+        validateNormalization(this.normalize);
+        validateStereoMode(this.stereoMode, audioBuffer.numberOfChannels);
+        validateWindow(this.window);
+        validateBackend(this.backend);
+        throwIfAborted(signal);
+        
+        const listener = createProgressListener(this.onProgress, progressCallback, audioBuffer.numberOfChannels);
+        
+        // Use workers if available
+        if (this.useWorkers && this.workers.length > 0) {
+            return this._stretchParallel(audioBuffer, listener, signal);
+        } else {
+            return this._stretchSingleThread(audioBuffer, listener, signal);
+        }
+    }
+
+    // Freeze the spectrum at one input position and resynthesize it with
+    // fresh random phases for as long as requested. options.signal cancels
+    // the render as for stretch().
+    async freeze(audioBuffer, atSeconds, durationSeconds, { signal } = {}) {
+        if (!isAudioBufferLike(audioBuffer)) {
+            throw new PaulStretchError('Invalid audio buffer');
+        }
+        if (!isFinite(atSeconds) || atSeconds < 0 || atSeconds > audioBuffer.duration) {
+            throw new PaulStretchError('Freeze position must lie within the audio buffer');
+        }
+        if (!(durationSeconds > 0) || !isFinite(durationSeconds)) {
+            throw new PaulStretchError('Freeze duration must be a positive number of seconds');
+        }
+        validateNormalization(this.normalize);
+        validateStereoMode(this.stereoMode, audioBuffer.numberOfChannels);
+        validateWindow(this.window);
+        validateBackend(this.backend);
+        throwIfAborted(signal);
+
+        const sampleRate = audioBuffer.sampleRate;
+        const winSize = this._getWindowSamples(sampleRate);
+        const halfWinSize = winSize / 2;
+        
+        if (audioBuffer.length < winSize) {
+            throw new PaulStretchError('Audio buffer is shorter than the analysis window');
+        }
+        
+        // Center the analysis window on the requested time, keeping it inside the buffer
+        const center = Math.floor(atSeconds * sampleRate);
+        const inputPos = Math.max(0, Math.min(center - halfWinSize, audioBuffer.length - winSize));
+        
+        // Every frame reads the same input position
+        const outputLength = Math.floor(durationSeconds * sampleRate);
+        const framePositions = new Float64Array(Math.ceil(outputLength / halfWinSize)).fill(inputPos);
+        
+        const listener = createProgressListener(this.onProgress);
+        return this._renderFrames(audioBuffer, framePositions, outputLength, winSize, listener, signal);
+    }
+
+    async _stretchParallel(audioBuffer, listener, signal) {
+        const analysis = createStageProgress(listener, 'analyze');
+        const sampleRate = audioBuffer.sampleRate;
+        const numChannels = audioBuffer.numberOfChannels;
+        const winSize = this._getWindowSamples(sampleRate);
+        const halfWinSize = winSize / 2;
+        const envelope = createStretchEnvelope(this.stretchFactor);
+        const spectral = this._getSpectralSettings();
+        
+        // Calculate output length
+        const outputLength = envelope.outputLength(audioBuffer.length, sampleRate);
+        const output = this._createBuffer(numChannels, outputLength, sampleRate);
+        
+        // Create window
+        const winArray = createWindow(winSize, this.window);
+        
+        // Calculate total work units (chunks) across all channels
+        const framePositions = computeFramePositions(envelope, audioBuffer.length, sampleRate, winSize);
+        const totalFrames = framePositions.length;
+        
+        // Frames per chunk: capped by MAX_CHUNK_SAMPLES, and small enough that
+        // every worker gets MIN_CHUNKS_PER_WORKER; a chunk costs one tiny message
+        const maxChunkFrames = Math.max(1, Math.floor(MAX_CHUNK_SAMPLES / winSize));
+        const chunkFrames = Math.max(1, Math.min(maxChunkFrames,
+            Math.floor(totalFrames / (this.workers.length * MIN_CHUNKS_PER_WORKER))));
+        
+        const stereo = this._prepareStereo(audioBuffer);
+        const jobId = this.jobIdCounter++;
+        
+        // Chunk boundaries, the same for every channel
+        const chunkStarts = [];
+        for (let frameIdx = 0; frameIdx < totalFrames; frameIdx += chunkFrames) {
+            chunkStarts.push(frameIdx);
+        }
+        
+        // Create work queue - each item is a chunk to process
+        const workQueue = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            chunkStarts.forEach((frameIdx, chunkIndex) => {
+                const numFrames = Math.min(chunkFrames, totalFrames - frameIdx);
+                workQueue.push({
+                    jobId: jobId,
+                    channelIndex: ch,
+                    chunkIndex: chunkIndex,
+                    phaseChannel: stereo.phaseChannel(ch),
+                    firstFrame: frameIdx,
+                    positions: framePositions.slice(frameIdx, frameIdx + numFrames)
+                });
+            });
+        }
+        
+        this._startJob({
+            jobId: jobId,
+            winSize: winSize,
+            winArray: winArray,
+            seed: stereo.seed,
+            spectral: spectral,
+            sampleRate: sampleRate,
+            wasmModule: resolveFrameBackend(this.backend)
+        }, stereo.inputs);
+        analysis.done();
+        
+        // Each segment goes into the output as soon as it arrives. Only the
+        // half window where two segments meet waits for both sides: the head of
+        // one chunk and the tail of the chunk before it. The tail of the last
+        // chunk has no successor and is dropped, as in the single-thread path.
+        const heads = [];
+        const tails = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            heads.push(new Map());
+            tails.push(new Map());
+        }
+        
+        const stitch = (ch, chunkIndex) => {
+            const head = heads[ch].get(chunkIndex);
+            const tail = chunkIndex > 0 ? tails[ch].get(chunkIndex - 1) : null;
+            if (!head || (chunkIndex > 0 && !tail)) return;
+            heads[ch].delete(chunkIndex);
+            tails[ch].delete(chunkIndex - 1);
+            
+            const channelOut = output.getChannelData(ch);
+            const outputPos = chunkStarts[chunkIndex] * halfWinSize;
+            for (let i = 0; i < halfWinSize && outputPos + i < outputLength; i++) {
+                channelOut[outputPos + i] = tail ? head[i] + tail[i] : head[i];
+            }
+        };
+        
+        const progress = createStageProgress(listener, 'stretch', totalFrames * numChannels, { samplesPerFrame: halfWinSize });
+        const addSegment = ({ channelIndex, chunkIndex, segment }) => {
+            const channelOut = output.getChannelData(channelIndex);
+            const outputPos = chunkStarts[chunkIndex] * halfWinSize;
+            const tailPos = segment.length - halfWinSize;
+            
+            // Interior: complete overlap-added samples
+            const interiorEnd = Math.min(tailPos, outputLength - outputPos);
+            if (interiorEnd > halfWinSize) {
+                channelOut.set(segment.subarray(halfWinSize, interiorEnd), outputPos + halfWinSize);
+            }
+            
+            // Borders
+            heads[channelIndex].set(chunkIndex, segment.slice(0, halfWinSize));
+            tails[channelIndex].set(chunkIndex, segment.slice(tailPos));
+            stitch(channelIndex, chunkIndex);
+            stitch(channelIndex, chunkIndex + 1);
+            
+            progress.advance(segment.length / halfWinSize - 1);
+        };
+        
+        try {
+            await this._runWorkQueue(workQueue, addSegment, signal);
+        } catch (error) {
+            if (!(error instanceof WorkerError) || !this.workerFallback) {
+                throw error;
+            }
+            console.warn(`Worker processing failed (${error.message}), falling back to a single thread`);
+            return this._stretchSingleThread(audioBuffer, listener, signal);
+        } finally {
+            this._endJob(jobId);
+        }
+        progress.done();
+        
+        this._finishOutput(output, listener);
+        
+        return output;
+    }
+
+    async _stretchSingleThread(audioBuffer, listener, signal = null) {
+        const sampleRate = audioBuffer.sampleRate;
+        const winSize = this._getWindowSamples(sampleRate);
+        
+        // Calculate output length
+        const envelope = createStretchEnvelope(this.stretchFactor);
+        const outputLength = envelope.outputLength(audioBuffer.length, sampleRate);
+        const framePositions = computeFramePositions(envelope, audioBuffer.length, sampleRate, winSize);
+        
+        return this._renderFrames(audioBuffer, framePositions, outputLength, winSize, listener, signal);
+    }
+
+    // Rephase and overlap-add the frames starting at the given input positions
+    async _renderFrames(audioBuffer, framePositions, outputLength, winSize, listener, signal = null) {
+        const analysis = createStageProgress(listener, 'analyze');
+        const numChannels = audioBuffer.numberOfChannels;
+        const halfWinSize = winSize / 2;
+        const output = this._createBuffer(numChannels, outputLength, audioBuffer.sampleRate);
+        const renderFrame = this._createFrameRenderer(audioBuffer, winSize);
+        
+        const channelsOut = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            channelsOut.push(output.getChannelData(ch));
+        }
+        analysis.done();
+        
+        // Process using PaulStretch algorithm
+        let outputPos = 0;
+        let frameCount = 0;
+        const totalFrames = framePositions.length;
+        const progress = createStageProgress(listener, 'stretch', totalFrames * numChannels, { samplesPerFrame: halfWinSize });
+        
+        while (frameCount < totalFrames) {
+            throwIfAborted(signal);
+            renderFrame(frameCount, framePositions[frameCount], channelsOut, outputPos,
+                Math.min(halfWinSize, outputLength - outputPos));
+            
+            outputPos += halfWinSize;
+            frameCount++;
+            
+            // The loop is synchronous; let listeners render their progress and
+            // give abort() a chance to run
+            const reported = progress.advance(numChannels);
+            if (reported || (signal && frameCount % 100 === 0)) {
+                await yieldToEventLoop();
+            }
+        }
+        progress.done();
+        
+        this._finishOutput(output, listener);
+        
+        return output;
+    }
+
+    // Frame analysis, rephasing and overlap-add for every channel, shared by
+    // _renderFrames and stretchStream. The returned
+    // renderFrame(frame, inputPos, outputs, offset, count) renders the next
+    // frame and writes the first `count` samples of its hop (at most
+    // halfWinSize) to outputs[ch] from `offset` on. Frames must come in order.
+    _createFrameRenderer(audioBuffer, winSize, seed = this.seed) {
+        const halfWinSize = winSize / 2;
+        
+        // Create window and frame kernel
+        const winArray = createWindow(winSize, this.window);
+        const processSpectrum = createSpectralProcessor(
+            this._getSpectralSettings(), winSize, audioBuffer.sampleRate, SPECTRAL_STAGES);
+        const kernel = createFrameKernel(FFT, resolveFrameBackend(this.backend), winSize, winArray);
+        
+        // Get input data (mid/side encoded when requested)
+        const stereo = this._prepareStereo(audioBuffer, seed);
+        const inputData = stereo.inputs;
+        const numChannels = inputData.length;
+        
+        // Current frame, and the previous one whose second half is still pending
+        let blockIn = [];
+        let blockOut = [];
+        const phaseArray = new Float32Array(halfWinSize + 1);
+        
+        for (let ch = 0; ch < numChannels; ch++) {
+            blockIn.push(new Float32Array(winSize));
+            blockOut.push(new Float32Array(winSize));
+        }
+        
+        return (frame, inputPos, outputs, offset, count) => {
+            for (let ch = 0; ch < numChannels; ch++) {
+                // Analyze the windowed frame
+                kernel.analyze(inputData[ch], Math.floor(inputPos));
+                if (processSpectrum) {
+                    processSpectrum(kernel.amplitudes);
+                }
+                
+                // Generate random phases
+                const random = createPhaseRandom(stereo.seed, stereo.phaseChannel(ch), frame);
+                for (let i = 0; i <= halfWinSize; i++) {
+                    phaseArray[i] = random() * 2 * Math.PI;
+                }
+                
+                // Resynthesize with the new phases, windowed again
+                kernel.synthesize(phaseArray, blockIn[ch]);
+            }
+            
+            // Overlap-add: first half of current + second half of previous
+            for (let ch = 0; ch < numChannels; ch++) {
+                const channelOut = outputs[ch];
+                for (let i = 0; i < count; i++) {
+                    channelOut[offset + i] = blockIn[ch][i] + blockOut[ch][halfWinSize + i];
+                }
+            }
+            
+            // The current frame becomes the previous one
+            [blockIn, blockOut] = [blockOut, blockIn];
+        };
+    }
+
+    // Stretch without ever holding the whole output: an async iterable of
+    // blocks, each an array with one Float32Array of blockSize samples per
+    // channel (the last block may be shorter). Blocks are rendered on the main
+    // thread as the consumer pulls them; every iteration renders anew.
+    //
+    // Normalization needs the level of the whole output, so by default each
+    // iteration renders twice, measuring the first time, and yields the same
+    // samples as stretch() with a seed. With options.limiter a single pass
+    // goes through a lookahead limiter instead and `normalize` is not applied.
+    stretchStream(audioBuffer, { blockSize = 16384, limiter = false, signal = null } = {}) {
+        if (!isAudioBufferLike(audioBuffer)) {
+            throw new PaulStretchError('Invalid audio buffer');
+        }
+        if (!Number.isInteger(blockSize) || blockSize < 1) {
+            throw new PaulStretchError('blockSize must be a positive number of samples');
+        }
+        if (limiter) {
+            validateLimiter(limiter);
+        }
+        validateNormalization(this.normalize);
+        validateStereoMode(this.stereoMode, audioBuffer.numberOfChannels);
+        validateWindow(this.window);
+        validateBackend(this.backend);
+        
+        const sampleRate = audioBuffer.sampleRate;
+        const winSize = this._getWindowSamples(sampleRate);
+        const envelope = createStretchEnvelope(this.stretchFactor);
+        const length = envelope.outputLength(audioBuffer.length, sampleRate);
+        const framePositions = computeFramePositions(envelope, audioBuffer.length, sampleRate, winSize);
+        const settings = { framePositions, length, winSize, blockSize, limiter, signal };
+        
+        return {
+            numberOfChannels: audioBuffer.numberOfChannels,
+            length,
+            sampleRate,
+            [Symbol.asyncIterator]: () => this._streamBlocks(audioBuffer, settings)
+        };
+    }
+
+    async *_streamBlocks(audioBuffer, { framePositions, length, winSize, blockSize, limiter, signal }) {
+        throwIfAborted(signal);
+        const listener = createProgressListener(this.onProgress);
+        const numChannels = audioBuffer.numberOfChannels;
+        const halfWinSize = winSize / 2;
+        const framesTotal = framePositions.length * numChannels;
+        
+        // Both passes must draw the same phases
+        const analysis = createStageProgress(listener, 'analyze');
+        const seed = this.seed !== null ? this.seed : Math.floor(Math.random() * 4294967296);
+        let firstRenderer = this._createFrameRenderer(audioBuffer, winSize, seed);
+        analysis.done();
+        
+        const render = (progress) => {
+            const renderFrame = firstRenderer || this._createFrameRenderer(audioBuffer, winSize, seed);
+            firstRenderer = null;
+            return this._renderBlocks(renderFrame, framePositions, length, halfWinSize, numChannels,
+                blockSize, progress, signal);
+        };
+        
+        if (limiter) {
+            // One block of delay: each block is limited looking into the next
+            const limit = createLimiter(audioBuffer.sampleRate, limiter);
+            const progress = createStageProgress(listener, 'stretch', framesTotal, { samplesPerFrame: halfWinSize });
+            let pending = null;
+            for await (const block of render(progress)) {
+                if (pending) {
+                    limit(pending, block);
+                    yield pending;
+                }
+                pending = block;
+            }
+            progress.done();
+            if (pending) {
+                limit(pending);
+                yield pending;
+            }
+            return;
+        }
+        
+        let gains = null;
+        if (this.normalize !== 'none') {
+            const meter = createLevelMeter(this.normalize, numChannels, audioBuffer.sampleRate);
+            const measuring = createStageProgress(listener, 'normalize', framesTotal, { samplesPerFrame: halfWinSize });
+            for await (const block of render(measuring)) {
+                meter.add(block);
+            }
+            measuring.done();
+            gains = meter.gains();
+        }
+        
+        const progress = createStageProgress(listener, 'stretch', framesTotal, { samplesPerFrame: halfWinSize });
+        for await (const block of render(progress)) {
+            if (gains) {
+                block.forEach((data, ch) => {
+                    for (let i = 0; i < data.length; i++) {
+                        data[i] *= gains[ch];
+                    }
+                });
+            }
+            yield block;
+        }
+        progress.done();
+    }
+
+    // Overlap-add the frames into consecutive blocks of blockSize samples,
+    // mid/side decoded, with silence after the last frame up to `length`
+    async *_renderBlocks(renderFrame, framePositions, length, halfWinSize, numChannels, blockSize, progress, signal) {
+        const hop = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            hop.push(new Float32Array(halfWinSize));
+        }
+        
+        let block = null;
+        let filled = 0;
+        let position = 0;
+        let frame = 0;
+        
+        while (position < length) {
+            const rendering = frame < framePositions.length;
+            const count = rendering ? Math.min(halfWinSize, length - position) : length - position;
+            if (rendering) {
+                throwIfAborted(signal);
+                renderFrame(frame, framePositions[frame], hop, 0, count);
+                frame++;
+            }
+            
+            // Copy the hop (or skip over the silent tail) block by block
+            for (let copied = 0; copied < count;) {
+                if (!block) {
+                    block = [];
+                    for (let ch = 0; ch < numChannels; ch++) {
+                        block.push(new Float32Array(Math.min(blockSize, length - position)));
+                    }
+                }
+                const n = Math.min(count - copied, block[0].length - filled);
+                if (rendering) {
+                    for (let ch = 0; ch < numChannels; ch++) {
+                        block[ch].set(hop[ch].subarray(copied, copied + n), filled);
+                    }
+                }
+                copied += n;
+                filled += n;
+                position += n;
+                
+                if (filled === block[0].length) {
+                    finishStereo(this.stereoMode, block);
+                    yield block;
+                    block = null;
+                    filled = 0;
+                }
+            }
+            
+            if (rendering) {
+                const reported = progress.advance(numChannels);
+                if (reported || (signal && frame % 100 === 0)) {
+                    await yieldToEventLoop();
+                }
+            }
+        }
+    }
+
+    _prepareStereo(audioBuffer, seed = this.seed) {
+        const inputs = [];
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            inputs.push(audioBuffer.getChannelData(ch));
+        }
+        return prepareStereo(this.stereoMode, inputs, seed);
+    }
+
+    // Decode mid/side and apply the normalization mode
+    _finishOutput(output, listener = null) {
+        const progress = createStageProgress(listener, 'normalize');
+        const channels = [];
+        for (let ch = 0; ch < output.numberOfChannels; ch++) {
+            channels.push(output.getChannelData(ch));
+        }
+        finishStereo(this.stereoMode, channels);
+        normalizeChannels(channels, output.sampleRate, this.normalize);
+        progress.done();
+    }
+
+    dispose() {
+        // Clean up workers
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        this.workers = [];
+        for (const task of this.workerTasks.values()) {
+            clearTimeout(task.timer);
+        }
+        this.workerTasks.clear();
+        this.workerJobs.clear();
+        if (this.workerSource) {
+            this.workerSource.dispose();
+            this.workerSource = null;
+        }
+    }
+}
+
+// Stretch raw channels: the pure entry point for Node and other environments
+// without Web Audio. Takes the PaulStretchCore options plus `signal`, and
+// resolves to the stretched channels. Workers, if any, live for one call.
+export async function stretchChannels(channels, sampleRate, options = {}) {
+    const { signal = null, ...settings } = options;
+    const input = SampleBuffer.fromChannels(channels, sampleRate);
+    const core = new PaulStretchCore(settings);
+    try {
+        const output = await core.stretch(input, null, { signal });
+        const result = [];
+        for (let ch = 0; ch < output.numberOfChannels; ch++) {
+            result.push(output.getChannelData(ch));
+        }
+        return result;
+    } finally {
+        core.dispose();
+    }
+}
@@ -0,0 +1,228 @@
+import { PaulStretchError } from './utils/errors.js';
+import { getFrameKernelBytes } from './wasm/frame-kernel.js';
+
+// Per-frame analysis and resynthesis: window, FFT, magnitudes, then new
+// phases, inverse FFT and window again. Both backends expose the same shape:
+//
+//   kernel.amplitudes            Float64Array of winSize / 2 + 1 bin magnitudes
+//   kernel.analyze(input, pos)   fill amplitudes from input[pos .. pos + winSize)
+//   kernel.synthesize(phases, output)
+//                                write the frame rebuilt from amplitudes and
+//                                phases (winSize / 2 + 1 radians) to output
+//
+// Callers may rewrite kernel.amplitudes between the two calls (spectral stages).
+//
+// Both factories must stay self-contained: the worker code strings embed them
+// via toString(), so the FFT class and the compiled module come in as arguments.
+
+export const BACKENDS = ['auto', 'wasm', 'js'];
+
+export function createJsFrameKernel(FFT, winSize, winArray) {
+    const halfWinSize = winSize / 2;
+    const fft = new FFT(winSize);
+    const spectrum = new Float64Array(winSize);
+    const amplitudes = new Float64Array(halfWinSize + 1);
+
+    return {
+        amplitudes,
+
+        analyze(input, offset) {
+            for (let i = 0; i < winSize; i++) {
+                spectrum[i] = input[offset + i] * winArray[i];
+            }
+
+            // Forward FFT (packed half spectrum, see utils/fft.js)
+            fft.realForward(spectrum);
+
+            amplitudes[0] = Math.abs(spectrum[0]);
+            amplitudes[halfWinSize] = Math.abs(spectrum[1]);
+            for (let i = 1; i < halfWinSize; i++) {
+                amplitudes[i] = Math.sqrt(spectrum[2 * i] * spectrum[2 * i] + spectrum[2 * i + 1] * spectrum[2 * i + 1]);
+            }
+        },
+
+        synthesize(phases, output) {
+            // DC and Nyquist are real, so only their cosine part counts
+            spectrum[0] = amplitudes[0] * Math.cos(phases[0]);
+            spectrum[1] = amplitudes[halfWinSize] * Math.cos(phases[halfWinSize]);
+            for (let i = 1; i < halfWinSize; i++) {
+                spectrum[2 * i] = amplitudes[i] * Math.cos(phases[i]);
+                spectrum[2 * i + 1] = amplitudes[i] * Math.sin(phases[i]);
+            }
+
+            fft.realInverse(spectrum);
+
+            for (let i = 0; i < winSize; i++) {
+                output[i] = spectrum[i] * winArray[i];
+            }
+        }
+    };
+}
+
+// Same kernel on the WebAssembly SIMD module from wasm/frame-kernel.js. The
+// real transform runs as a complex FFT of winSize / 2 points; sizes that are
+// not a power of two go through Bluestein's algorithm on a padded FFT.
+export function createWasmFrameKernel(module, winSize, winArray) {
+    const n = winSize;
+    const m = n / 2;
+    const isPowerOfTwo = (m & (m - 1)) === 0;
+    let padded = m;
+    if (!isPowerOfTwo) {
+        padded = 1;
+        while (padded < 2 * m - 1) padded <<= 1;
+    }
+
+    // Memory layout, in bytes, 16-byte aligned for v128 access
+    let top = 0;
+    const alloc = (bytes) => {
+        const at = top;
+        top += Math.ceil(bytes / 16) * 16;
+        return at;
+    };
+    const WIN = alloc(n * 8);
+    const FRAME = alloc(n * 8);
+    const SPEC = alloc((m + 1) * 16);
+    const AMP = alloc((m + 1) * 8);
+    const PHASE = alloc((m + 1) * 8);
+    const RTW = alloc(m * 16);
+    const TW = alloc(padded / 2 * 32);
+    const REV = alloc(padded * 4);
+    const WORK = isPowerOfTwo ? 0 : alloc(padded * 16);
+    const CHIRP = isPowerOfTwo ? 0 : alloc(m * 16);
+    const KERNEL = isPowerOfTwo ? 0 : alloc(padded * 16);
+
+    const { exports } = new WebAssembly.Instance(module, {});
+    const { memory, mul, cmul, conjScale, fft, realSplit, realMerge, magnitudes, polar } = exports;
+    const missingPages = Math.ceil(top / 65536) - memory.buffer.byteLength / 65536;
+    if (missingPages > 0) {
+        memory.grow(missingPages);
+    }
+    const heap = new Float64Array(memory.buffer);
+    const heapIndices = new Int32Array(memory.buffer);
+
+    // Tables
+    heap.set(winArray, WIN / 8);
+    for (let k = 0; k < m; k++) {
+        const angle = -2 * Math.PI * k / n;
+        heap[RTW / 8 + 2 * k] = Math.cos(angle);
+        heap[RTW / 8 + 2 * k + 1] = Math.sin(angle);
+    }
+    for (let t = 0; t < padded / 2; t++) {
+        const angle = -2 * Math.PI * t / padded;
+        const at = TW / 8 + 4 * t;
+        heap[at] = heap[at + 1] = Math.cos(angle);
+        heap[at + 2] = -Math.sin(angle);
+        heap[at + 3] = Math.sin(angle);
+    }
+    const bits = Math.round(Math.log2(padded));
+    for (let i = 0; i < padded; i++) {
+        let reversed = 0;
+        for (let b = 0; b < bits; b++) {
+            reversed = (reversed << 1) | ((i >> b) & 1);
+        }
+        heapIndices[REV / 4 + i] = reversed;
+    }
+
+    let forward = (ptr) => fft(ptr, m, TW, REV);
+    if (!isPowerOfTwo) {
+        // Chirp w[k] = exp(-i pi k^2 / m) and the spectrum of its conjugate
+        for (let k = 0; k < m; k++) {
+            const angle = Math.PI * ((k * k) % (2 * m)) / m;
+            heap[CHIRP / 8 + 2 * k] = Math.cos(angle);
+            heap[CHIRP / 8 + 2 * k + 1] = -Math.sin(angle);
+            for (const index of k === 0 ? [0] : [k, padded - k]) {
+                heap[KERNEL / 8 + 2 * index] = Math.cos(angle);
+                heap[KERNEL / 8 + 2 * index + 1] = Math.sin(angle);
+            }
+        }
+        fft(KERNEL, padded, TW, REV);
+
+        forward = (ptr) => {
+            heap.fill(0, WORK / 8, WORK / 8 + 2 * padded);
+            cmul(WORK, ptr, CHIRP, m);
+            fft(WORK, padded, TW, REV);
+            cmul(WORK, WORK, KERNEL, padded);
+            conjScale(WORK, padded, 1);
+            fft(WORK, padded, TW, REV);
+            conjScale(WORK, padded, 1 / padded);
+            cmul(ptr, WORK, CHIRP, m);
+        };
+    }
+
+    const frame = heap.subarray(FRAME / 8, FRAME / 8 + n);
+    const phaseView = heap.subarray(PHASE / 8, PHASE / 8 + m + 1);
+
+    return {
+        amplitudes: heap.subarray(AMP / 8, AMP / 8 + m + 1),
+
+        analyze(input, offset) {
+            frame.set(input.subarray(offset, offset + n));
+            mul(FRAME, FRAME, WIN, n);
+            forward(FRAME);
+            realSplit(FRAME, SPEC, RTW, m);
+            magnitudes(SPEC, AMP, m + 1);
+        },
+
+        synthesize(phases, output) {
+            phaseView.set(phases);
+            polar(SPEC, AMP, PHASE, m + 1);
+            realMerge(SPEC, FRAME, RTW, m);
+
+            // Inverse FFT: conjugate, forward, conjugate and scale
+            conjScale(FRAME, m, 1);
+            forward(FRAME);
+            conjScale(FRAME, m, 1 / m);
+
+            mul(FRAME, FRAME, WIN, n);
+            output.set(frame);
+        }
+    };
+}
+
+export function validateBackend(backend) {
+    if (!BACKENDS.includes(backend)) {
+        throw new PaulStretchError(`Unknown backend '${backend}'; use ${BACKENDS.map(b => `'${b}'`).join(', ')}`);
+    }
+    return backend;
+}
+
+let compiledModule;
+
+// The compiled WebAssembly module for the requested backend, or null for the
+// JS kernel. 'wasm' and 'auto' both fall back to JS when WebAssembly (or its
+// SIMD extension) is missing; only an explicit 'wasm' warns about it.
+export function resolveFrameBackend(backend) {
+    validateBackend(backend);
+    if (backend === 'js') {
+        return null;
+    }
+
+    if (compiledModule === undefined) {
+        compiledModule = null;
+        try {
+            const bytes = getFrameKernelBytes();
+            if (typeof WebAssembly === 'object' && WebAssembly.validate(bytes)) {
+                compiledModule = new WebAssembly.Module(bytes);
+            }
+        } catch (error) {
+            compiledModule = null;
+        }
+    }
+
+    if (!compiledModule && backend === 'wasm') {
+        console.warn('WebAssembly SIMD is not available, using the JS backend');
+    }
+    return compiledModule;
+}
+
+// Pick the kernel for a frame size; wasmModule comes from resolveFrameBackend
+export function createFrameKernel(FFT, wasmModule, winSize, winArray) {
+    return wasmModule
+        ? createWasmFrameKernel(wasmModule, winSize, winArray)
+        : createJsFrameKernel(FFT, winSize, winArray);
+}
+
+export function getFrameKernelWorkerCode() {
+    return `const createJsFrameKernel = ${createJsFrameKernel.toString()};
+const createWasmFrameKernel = ${createWasmFrameKernel.toString()};`;
+}
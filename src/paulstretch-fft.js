@@ -1,92 +1,18 @@
 import { PaulStretchError } from './utils/errors.js';
-
-// FFT implementation for PaulStretch algorithm
-class FFT {
-    constructor(size) {
-        this.size = size;
-        this.invSize = 1 / size;
-        this.halfSize = Math.floor(size / 2);
-        
-        // Pre-calculate twiddle factors
-        this.cosTable = new Float32Array(this.halfSize);
-        this.sinTable = new Float32Array(this.halfSize);
-        
-        for (let i = 0; i < this.halfSize; i++) {
-            const angle = -2 * Math.PI * i / size;
-            this.cosTable[i] = Math.cos(angle);
-            this.sinTable[i] = Math.sin(angle);
-        }
-    }
-    
-    // Cooley-Tukey FFT
-    forward(real, imag) {
-        const n = this.size;
-        
-        // Bit reversal
-        let j = 0;
-        for (let i = 0; i < n - 1; i++) {
-            if (i < j) {
-                [real[i], real[j]] = [real[j], real[i]];
-                [imag[i], imag[j]] = [imag[j], imag[i]];
-            }
-            let k = n >> 1;
-            while (k <= j) {
-                j -= k;
-                k >>= 1;
-            }
-            j += k;
-        }
-        
-        // Cooley-Tukey decimation-in-time
-        let len = 2;
-        while (len <= n) {
-            const halfLen = len >> 1;
-            const tableStep = n / len;
-            for (let i = 0; i < n; i += len) {
-                let k = 0;
-                for (let j = 0; j < halfLen; j++) {
-                    const m = i + j;
-                    const n = m + halfLen;
-                    
-                    const cos = this.cosTable[k];
-                    const sin = this.sinTable[k];
-                    
-                    const tReal = real[n] * cos - imag[n] * sin;
-                    const tImag = real[n] * sin + imag[n] * cos;
-                    
-                    real[n] = real[m] - tReal;
-                    imag[n] = imag[m] - tImag;
-                    real[m] += tReal;
-                    imag[m] += tImag;
-                    
-                    k += tableStep;
-                }
-            }
-            len <<= 1;
-        }
-    }
-    
-    inverse(real, imag) {
-        // Conjugate
-        for (let i = 0; i < this.size; i++) {
-            imag[i] = -imag[i];
-        }
-        
-        // Forward FFT
-        this.forward(real, imag);
-        
-        // Conjugate and scale
-        for (let i = 0; i < this.size; i++) {
-            real[i] *= this.invSize;
-            imag[i] *= -this.invSize;
-        }
-    }
-}
+import { createPhaseRandom } from './utils/random.js';
+import { normalizeChannels, validateNormalization } from './utils/normalize.js';
+import { createWindow, validateWindow } from './utils/windows.js';
+import { FFT } from './utils/fft.js';
+import { createProgressListener, createStageProgress } from './utils/progress.js';
 
 class PaulStretchFFT {
     constructor(options = {}) {
         this.stretchFactor = options.stretchFactor || 8.0;
         this.windowSize = options.windowSize || 0.25;
+        this.window = options.window || 'hann'; // see utils/windows.js
+        this.seed = options.seed !== undefined ? options.seed : null; // null = unseeded
+        this.normalize = options.normalize || 'peak-per-channel'; // see utils/normalize.js
+        this.onProgress = options.onProgress || null; // structured events, see utils/progress.js
         
         const AudioContextClass = options.audioContext || 
             (typeof window !== 'undefined' ? window.AudioContext : null);
@@ -107,6 +33,7 @@ class PaulStretchFFT {
             throw new PaulStretchError('Invalid input');
         }
 
+        const progress = createStageProgress(createProgressListener(this.onProgress), 'decode');
         try {
             let arrayBuffer;
             if (input instanceof File || input instanceof Blob) {
@@ -118,7 +45,9 @@ class PaulStretchFFT {
                 throw new PaulStretchError('Input must be a File, Blob, or URL string');
             }
 
-            return await this.audioContext.decodeAudioData(arrayBuffer);
+            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            progress.done();
+            return audioBuffer;
         } catch (error) {
             throw new PaulStretchError(`Failed to load audio: ${error.message}`);
         }
@@ -128,7 +57,14 @@ class PaulStretchFFT {
         if (!audioBuffer || !(audioBuffer instanceof AudioBuffer)) {
             throw new PaulStretchError('Invalid audio buffer');
         }
+        if (typeof this.stretchFactor !== 'number') {
+            throw new PaulStretchError('PaulStretchFFT only supports a constant stretchFactor');
+        }
+        validateNormalization(this.normalize);
+        validateWindow(this.window);
 
+        const listener = createProgressListener(this.onProgress, progressCallback, audioBuffer.numberOfChannels);
+        const analysis = createStageProgress(listener, 'analyze');
         const winSize = Math.floor(this.windowSize * audioBuffer.sampleRate);
         const fftSize = this._nextPowerOf2(winSize * 2);
         const outputLength = Math.floor(audioBuffer.length * this.stretchFactor);
@@ -138,23 +74,41 @@ class PaulStretchFFT {
             outputLength,
             audioBuffer.sampleRate
         );
+        this._getFFT(fftSize);
+        this._getWindow(winSize);
+        analysis.done();
 
         // Process each channel
+        const framesPerChannel = this._countFrames(audioBuffer.length, winSize);
+        const progress = createStageProgress(listener, 'stretch', framesPerChannel * audioBuffer.numberOfChannels, {
+            samplesPerFrame: Math.floor(Math.floor(winSize / 8) * this.stretchFactor)
+        });
+        const channels = [];
         for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
             const inputData = audioBuffer.getChannelData(channel);
             const outputData = await this._processChannelFFT(
                 inputData, 
+                channel,
                 winSize,
                 fftSize,
-                progressCallback ? (p) => progressCallback(p, channel, audioBuffer.numberOfChannels) : null
+                listener ? progress : null
             );
-            output.copyToChannel(outputData, channel);
+            channels.push(outputData);
+        }
+        progress.done();
+
+        const normalization = createStageProgress(listener, 'normalize');
+        normalizeChannels(channels, audioBuffer.sampleRate, this.normalize);
+        normalization.done();
+        for (let channel = 0; channel < channels.length; channel++) {
+            output.copyToChannel(channels[channel], channel);
         }
 
         return output;
     }
 
-    async _processChannelFFT(inputData, winSize, fftSize, progressCallback) {
+    // progress: stage tracker from utils/progress.js, or null when nobody listens
+    async _processChannelFFT(inputData, channel, winSize, fftSize, progress) {
         const outputLength = Math.floor(inputData.length * this.stretchFactor);
         const output = new Float32Array(outputLength);
         
@@ -167,61 +121,42 @@ class PaulStretchFFT {
         // Hop size for overlap
         const hopSize = Math.floor(winSize / 8);
         
-        // Buffers for FFT
-        const real = new Float32Array(fftSize);
-        const imag = new Float32Array(fftSize);
-        const magnitude = new Float32Array(fftSize / 2);
-        const phase = new Float32Array(fftSize / 2);
-        const randomPhase = new Float32Array(fftSize / 2);
+        // Buffer for the FFT (packed half spectrum, see utils/fft.js)
+        const spectrum = new Float32Array(fftSize);
+        const halfSize = fftSize / 2;
         
         let inputPos = 0;
         let outputPos = 0;
         let processedFrames = 0;
-        const totalFrames = Math.floor((inputData.length - winSize) / hopSize);
         
         while (inputPos + winSize <= inputData.length) {
-            // Clear buffers
-            real.fill(0);
-            imag.fill(0);
-            
-            // Apply window and copy to FFT buffer
+            // Apply window and copy to the zero-padded FFT buffer
+            spectrum.fill(0);
             for (let i = 0; i < winSize; i++) {
-                real[i] = inputData[inputPos + i] * window[i];
+                spectrum[i] = inputData[inputPos + i] * window[i];
             }
             
             // Forward FFT
-            fft.forward(real, imag);
-            
-            // Convert to polar coordinates
-            for (let i = 0; i < fftSize / 2; i++) {
-                magnitude[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
-                phase[i] = Math.atan2(imag[i], real[i]);
-            }
-            
-            // Randomize phase (key to PaulStretch algorithm)
-            for (let i = 0; i < fftSize / 2; i++) {
-                randomPhase[i] = Math.random() * 2 * Math.PI - Math.PI;
-            }
-            
-            // Apply randomized phase
-            for (let i = 0; i < fftSize / 2; i++) {
-                real[i] = magnitude[i] * Math.cos(randomPhase[i]);
-                imag[i] = magnitude[i] * Math.sin(randomPhase[i]);
-            }
+            fft.realForward(spectrum);
             
-            // Mirror for negative frequencies
-            for (let i = 1; i < fftSize / 2; i++) {
-                real[fftSize - i] = real[i];
-                imag[fftSize - i] = -imag[i];
+            // Randomize phase (key to PaulStretch algorithm), keyed by input position.
+            // DC is real, so only its cosine part counts; Nyquist is left alone.
+            const random = createPhaseRandom(this.seed, channel, inputPos);
+            spectrum[0] = Math.abs(spectrum[0]) * Math.cos(random() * 2 * Math.PI - Math.PI);
+            for (let i = 1; i < halfSize; i++) {
+                const magnitude = Math.sqrt(spectrum[2 * i] * spectrum[2 * i] + spectrum[2 * i + 1] * spectrum[2 * i + 1]);
+                const randomPhase = random() * 2 * Math.PI - Math.PI;
+                spectrum[2 * i] = magnitude * Math.cos(randomPhase);
+                spectrum[2 * i + 1] = magnitude * Math.sin(randomPhase);
             }
             
             // Inverse FFT
-            fft.inverse(real, imag);
+            fft.realInverse(spectrum);
             
             // Apply window and overlap-add to output
             const stretchedHopSize = Math.floor(hopSize * this.stretchFactor);
             for (let i = 0; i < winSize && outputPos + i < outputLength; i++) {
-                output[outputPos + i] += real[i] * window[i];
+                output[outputPos + i] += spectrum[i] * window[i];
             }
             
             inputPos += hopSize;
@@ -229,19 +164,26 @@ class PaulStretchFFT {
             processedFrames++;
             
             // Report progress
-            if (progressCallback && processedFrames % 100 === 0) {
-                progressCallback(processedFrames / totalFrames);
+            if (progress && processedFrames % 100 === 0) {
+                progress.advance(100);
                 // Yield to event loop
                 await new Promise(resolve => setTimeout(resolve, 0));
             }
         }
         
-        // Normalize
-        this._normalizeInPlace(output);
+        if (progress) {
+            progress.advance(processedFrames % 100);
+        }
         
         return output;
     }
 
+    // Frames _processChannelFFT renders for a channel of the given length
+    _countFrames(length, winSize) {
+        const hopSize = Math.floor(winSize / 8);
+        return length < winSize ? 0 : Math.floor((length - winSize) / hopSize) + 1;
+    }
+
     _getFFT(size) {
         if (!this.fftCache.has(size)) {
             this.fftCache.set(size, new FFT(size));
@@ -251,33 +193,11 @@ class PaulStretchFFT {
 
     _getWindow(size) {
         if (!this.windowCache.has(size)) {
-            const window = new Float32Array(size);
-            for (let i = 0; i < size; i++) {
-                // Hann window
-                window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
-            }
-            this.windowCache.set(size, window);
+            this.windowCache.set(size, createWindow(size, this.window));
         }
         return this.windowCache.get(size);
     }
 
-    _normalizeInPlace(buffer) {
-        let maxValue = 0;
-        for (let i = 0; i < buffer.length; i++) {
-            const absValue = Math.abs(buffer[i]);
-            if (absValue > maxValue) {
-                maxValue = absValue;
-            }
-        }
-        
-        if (maxValue > 0) {
-            const scale = 1 / maxValue;
-            for (let i = 0; i < buffer.length; i++) {
-                buffer[i] *= scale;
-            }
-        }
-    }
-
     _nextPowerOf2(n) {
         return Math.pow(2, Math.ceil(Math.log2(n)));
     }
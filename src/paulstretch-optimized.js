@@ -1,11 +1,17 @@
 import { PaulStretchError } from './utils/errors.js';
+import { normalizeChannels, validateNormalization } from './utils/normalize.js';
+import { createWindow, validateWindow } from './utils/windows.js';
+import { createProgressListener, createStageProgress } from './utils/progress.js';
 
 class PaulStretchOptimized {
     constructor(options = {}) {
         this.stretchFactor = options.stretchFactor || 8.0;
         this.windowSize = options.windowSize || 0.25;
+        this.window = options.window || 'hann'; // see utils/windows.js
+        this.normalize = options.normalize || 'peak-per-channel'; // see utils/normalize.js
         this.useWorkers = options.useWorkers !== false && typeof Worker !== 'undefined';
         this.numWorkers = options.numWorkers || (typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 4 : 4);
+        this.onProgress = options.onProgress || null; // see utils/progress.js
         
         const AudioContextClass = options.audioContext || 
             (typeof window !== 'undefined' ? window.AudioContext : null);
@@ -29,6 +35,7 @@ class PaulStretchOptimized {
             throw new PaulStretchError('Invalid input');
         }
 
+        const decoding = createStageProgress(createProgressListener(this.onProgress), 'decode');
         try {
             let arrayBuffer;
             if (input instanceof File || input instanceof Blob) {
@@ -40,7 +47,9 @@ class PaulStretchOptimized {
                 throw new PaulStretchError('Input must be a File, Blob, or URL string');
             }
 
-            return await this.audioContext.decodeAudioData(arrayBuffer);
+            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            decoding.done();
+            return audioBuffer;
         } catch (error) {
             throw new PaulStretchError(`Failed to load audio: ${error.message}`);
         }
@@ -50,7 +59,14 @@ class PaulStretchOptimized {
         if (!audioBuffer || !(audioBuffer instanceof AudioBuffer)) {
             throw new PaulStretchError('Invalid audio buffer');
         }
+        if (typeof this.stretchFactor !== 'number') {
+            throw new PaulStretchError('PaulStretchOptimized only supports a constant stretchFactor');
+        }
+        validateNormalization(this.normalize);
+        validateWindow(this.window);
 
+        const listener = createProgressListener(this.onProgress, progressCallback, audioBuffer.numberOfChannels);
+        const analysis = createStageProgress(listener, 'analyze');
         const winSize = Math.floor(this.windowSize * audioBuffer.sampleRate);
         const outputLength = Math.floor(audioBuffer.length * this.stretchFactor);
         const output = this.audioContext.createBuffer(
@@ -61,28 +77,46 @@ class PaulStretchOptimized {
 
         // Get or create cached window
         const window = this._getCachedWindow(winSize);
+        analysis.done();
+
+        // One tracker for all channels, in steps of stepSize input samples
+        const stepSize = Math.floor(winSize / 4);
+        const framesPerChannel = Math.max(0, Math.ceil((audioBuffer.length - winSize) / stepSize));
+        const progress = createStageProgress(listener, 'stretch', framesPerChannel * audioBuffer.numberOfChannels, {
+            samplesPerFrame: Math.floor(stepSize * this.stretchFactor)
+        });
 
         // Process channels in parallel if possible
+        let channels;
         if (this.useWorkers && audioBuffer.numberOfChannels > 1) {
-            await this._processChannelsParallel(audioBuffer, output, window, progressCallback);
+            channels = await this._processChannelsParallel(audioBuffer, window, listener ? progress : null);
         } else {
             // Process each channel sequentially with optimizations
+            channels = [];
             for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
                 const inputData = audioBuffer.getChannelData(channel);
                 const outputData = await this._processChannelOptimized(
                     inputData, 
                     winSize, 
                     window,
-                    progressCallback ? (p) => progressCallback(p, channel, audioBuffer.numberOfChannels) : null
+                    listener ? progress : null
                 );
-                output.copyToChannel(outputData, channel);
+                channels.push(outputData);
             }
         }
+        progress.done();
+
+        const normalization = createStageProgress(listener, 'normalize');
+        normalizeChannels(channels, audioBuffer.sampleRate, this.normalize);
+        normalization.done();
+        for (let channel = 0; channel < channels.length; channel++) {
+            output.copyToChannel(channels[channel], channel);
+        }
 
         return output;
     }
 
-    async _processChannelsParallel(audioBuffer, output, window, progressCallback) {
+    async _processChannelsParallel(audioBuffer, window, progress) {
         const promises = [];
         
         for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
@@ -92,19 +126,15 @@ class PaulStretchOptimized {
                     inputData,
                     window.length,
                     window,
-                    progressCallback ? (p) => progressCallback(p, channel, audioBuffer.numberOfChannels) : null
+                    progress
                 )
             );
         }
         
-        const results = await Promise.all(promises);
-        
-        for (let channel = 0; channel < results.length; channel++) {
-            output.copyToChannel(results[channel], channel);
-        }
+        return Promise.all(promises);
     }
 
-    async _processChannelOptimized(inputData, winSize, window, progressCallback) {
+    async _processChannelOptimized(inputData, winSize, window, progress) {
         const outputLength = Math.floor(inputData.length * this.stretchFactor);
         const output = this._getBuffer(outputLength);
         const stepSize = Math.floor(winSize / 4);
@@ -122,7 +152,6 @@ class PaulStretchOptimized {
         const chunkSize = 1024;
         let pos = 0;
         let processedChunks = 0;
-        const totalChunks = Math.ceil((inputLength - winSize) / stepSize);
         
         // Main processing loop with optimizations
         while (pos < inputLength - winSize) {
@@ -145,16 +174,15 @@ class PaulStretchOptimized {
             processedChunks++;
             
             // Report progress and yield to avoid blocking
-            if (progressCallback && processedChunks % chunkSize === 0) {
-                const progress = processedChunks / totalChunks;
-                progressCallback(progress);
+            if (progress && processedChunks % chunkSize === 0) {
+                progress.advance(chunkSize);
                 // Yield to event loop
                 await new Promise(resolve => setTimeout(resolve, 0));
             }
         }
-        
-        // Normalize in-place
-        this._normalizeInPlace(output);
+        if (progress) {
+            progress.advance(processedChunks % chunkSize);
+        }
         
         return output;
     }
@@ -182,23 +210,12 @@ class PaulStretchOptimized {
 
     _getCachedWindow(size) {
         if (!this.windowCache.has(size)) {
-            const window = this._createWindow(size);
+            const window = createWindow(size, this.window);
             this.windowCache.set(size, window);
         }
         return this.windowCache.get(size);
     }
 
-    _createWindow(size) {
-        const window = new Float32Array(size);
-        const twoPi = 2 * Math.PI;
-        const sizeMinus1 = size - 1;
-        
-        for (let i = 0; i < size; i++) {
-            window[i] = 0.5 * (1 - Math.cos((twoPi * i) / sizeMinus1));
-        }
-        return window;
-    }
-
     _getBuffer(size) {
         // Reuse buffers from pool if available
         for (let i = 0; i < this.bufferPool.length; i++) {
@@ -218,26 +235,6 @@ class PaulStretchOptimized {
         }
     }
 
-    _normalizeInPlace(buffer) {
-        let maxValue = 0;
-        const length = buffer.length;
-        
-        // Find max value with optimized loop
-        for (let i = 0; i < length; i++) {
-            const absValue = Math.abs(buffer[i]);
-            if (absValue > maxValue) {
-                maxValue = absValue;
-            }
-        }
-        
-        if (maxValue > 0 && maxValue !== 1) {
-            const scale = 1 / maxValue;
-            for (let i = 0; i < length; i++) {
-                buffer[i] *= scale;
-            }
-        }
-    }
-
     _nextPowerOf2(n) {
         return Math.pow(2, Math.ceil(Math.log2(n)));
     }
@@ -1,5 +1,10 @@
 import { PaulStretchError } from './utils/errors.js';
 import PaulStretchFFT from './paulstretch-fft.js';
+import { createPhaseRandom } from './utils/random.js';
+import { normalizeChannels, validateNormalization } from './utils/normalize.js';
+import { validateWindow } from './utils/windows.js';
+import { FFT } from './utils/fft.js';
+import { createProgressListener, createStageProgress } from './utils/progress.js';
 
 class PaulStretchParallel extends PaulStretchFFT {
     constructor(options = {}) {
@@ -41,120 +46,49 @@ class PaulStretchParallel extends PaulStretchFFT {
 
     _getWorkerCode() {
         // Return the worker code as a string
-        // In production, this would be loaded from stretch-worker.js
         return `
-// FFT implementation
-class FFT {
-    constructor(size) {
-        this.size = size;
-        this.invSize = 1 / size;
-        this.halfSize = Math.floor(size / 2);
-        
-        this.cosTable = new Float32Array(this.halfSize);
-        this.sinTable = new Float32Array(this.halfSize);
-        
-        for (let i = 0; i < this.halfSize; i++) {
-            const angle = -2 * Math.PI * i / size;
-            this.cosTable[i] = Math.cos(angle);
-            this.sinTable[i] = Math.sin(angle);
-        }
-    }
-    
-    forward(real, imag) {
-        const n = this.size;
-        let j = 0;
-        for (let i = 0; i < n - 1; i++) {
-            if (i < j) {
-                [real[i], real[j]] = [real[j], real[i]];
-                [imag[i], imag[j]] = [imag[j], imag[i]];
-            }
-            let k = n >> 1;
-            while (k <= j) {
-                j -= k;
-                k >>= 1;
-            }
-            j += k;
-        }
-        
-        let len = 2;
-        while (len <= n) {
-            const halfLen = len >> 1;
-            const tableStep = n / len;
-            for (let i = 0; i < n; i += len) {
-                let k = 0;
-                for (let j = 0; j < halfLen; j++) {
-                    const m = i + j;
-                    const n = m + halfLen;
-                    const cos = this.cosTable[k];
-                    const sin = this.sinTable[k];
-                    const tReal = real[n] * cos - imag[n] * sin;
-                    const tImag = real[n] * sin + imag[n] * cos;
-                    real[n] = real[m] - tReal;
-                    imag[n] = imag[m] - tImag;
-                    real[m] += tReal;
-                    imag[m] += tImag;
-                    k += tableStep;
-                }
-            }
-            len <<= 1;
-        }
-    }
-    
-    inverse(real, imag) {
-        for (let i = 0; i < this.size; i++) {
-            imag[i] = -imag[i];
-        }
-        this.forward(real, imag);
-        for (let i = 0; i < this.size; i++) {
-            real[i] *= this.invSize;
-            imag[i] *= -this.invSize;
-        }
-    }
-}
+// Phase randomization (shared with the main thread)
+const createPhaseRandom = ${createPhaseRandom.toString()};
 
-function processSegment(inputData, startPos, endPos, winSize, fftSize, stretchFactor, window) {
+// FFT (shared with the main thread)
+const FFT = ${FFT.toString()};
+
+function processSegment(inputData, startPos, endPos, winSize, fftSize, stretchFactor, window, seed, channel) {
     const fft = new FFT(fftSize);
     const hopSize = Math.floor(winSize / 8);
     const outputLength = Math.floor((endPos - startPos) * stretchFactor);
     const output = new Float32Array(outputLength);
     
-    const real = new Float32Array(fftSize);
-    const imag = new Float32Array(fftSize);
-    const magnitude = new Float32Array(fftSize / 2);
-    const randomPhase = new Float32Array(fftSize / 2);
+    const spectrum = new Float32Array(fftSize);
+    const halfSize = fftSize / 2;
     
     let inputPos = startPos;
     let outputPos = 0;
     
     while (inputPos + winSize <= endPos && inputPos + winSize <= inputData.length) {
-        real.fill(0);
-        imag.fill(0);
-        
+        spectrum.fill(0);
         for (let i = 0; i < winSize; i++) {
             if (inputPos + i < inputData.length) {
-                real[i] = inputData[inputPos + i] * window[i];
+                spectrum[i] = inputData[inputPos + i] * window[i];
             }
         }
         
-        fft.forward(real, imag);
+        fft.realForward(spectrum);
         
-        for (let i = 0; i < fftSize / 2; i++) {
-            magnitude[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
-            randomPhase[i] = Math.random() * 2 * Math.PI - Math.PI;
-            real[i] = magnitude[i] * Math.cos(randomPhase[i]);
-            imag[i] = magnitude[i] * Math.sin(randomPhase[i]);
+        const random = createPhaseRandom(seed, channel, inputPos);
+        spectrum[0] = Math.abs(spectrum[0]) * Math.cos(random() * 2 * Math.PI - Math.PI);
+        for (let i = 1; i < halfSize; i++) {
+            const magnitude = Math.sqrt(spectrum[2 * i] * spectrum[2 * i] + spectrum[2 * i + 1] * spectrum[2 * i + 1]);
+            const randomPhase = random() * 2 * Math.PI - Math.PI;
+            spectrum[2 * i] = magnitude * Math.cos(randomPhase);
+            spectrum[2 * i + 1] = magnitude * Math.sin(randomPhase);
         }
         
-        for (let i = 1; i < fftSize / 2; i++) {
-            real[fftSize - i] = real[i];
-            imag[fftSize - i] = -imag[i];
-        }
-        
-        fft.inverse(real, imag);
+        fft.realInverse(spectrum);
         
         const stretchedHopSize = Math.floor(hopSize * stretchFactor);
         for (let i = 0; i < winSize && outputPos + i < outputLength; i++) {
-            output[outputPos + i] += real[i] * window[i];
+            output[outputPos + i] += spectrum[i] * window[i];
         }
         
         inputPos += hopSize;
@@ -165,10 +99,10 @@ function processSegment(inputData, startPos, endPos, winSize, fftSize, stretchFa
 }
 
 self.onmessage = function(e) {
-    const { inputData, startPos, endPos, winSize, fftSize, stretchFactor, window, taskId } = e.data;
+    const { inputData, startPos, endPos, winSize, fftSize, stretchFactor, window, seed, channel, taskId } = e.data;
     
     try {
-        const output = processSegment(inputData, startPos, endPos, winSize, fftSize, stretchFactor, window);
+        const output = processSegment(inputData, startPos, endPos, winSize, fftSize, stretchFactor, window, seed, channel);
         self.postMessage({ taskId, output, success: true }, [output.buffer]);
     } catch (error) {
         self.postMessage({ taskId, error: error.message, success: false });
@@ -181,6 +115,11 @@ self.onmessage = function(e) {
         if (!audioBuffer || !(audioBuffer instanceof AudioBuffer)) {
             throw new PaulStretchError('Invalid audio buffer');
         }
+        if (typeof this.stretchFactor !== 'number') {
+            throw new PaulStretchError('PaulStretchParallel only supports a constant stretchFactor');
+        }
+        validateNormalization(this.normalize);
+        validateWindow(this.window);
 
         // Use parallel processing if we have multiple channels and workers
         if (this.useWorkers && this.workers.length > 0 && audioBuffer.numberOfChannels > 1) {
@@ -192,6 +131,8 @@ self.onmessage = function(e) {
     }
 
     async _stretchParallel(audioBuffer, progressCallback) {
+        const listener = createProgressListener(this.onProgress, progressCallback, audioBuffer.numberOfChannels);
+        const analysis = createStageProgress(listener, 'analyze');
         const winSize = Math.floor(this.windowSize * audioBuffer.sampleRate);
         const fftSize = this._nextPowerOf2(winSize * 2);
         const outputLength = Math.floor(audioBuffer.length * this.stretchFactor);
@@ -203,24 +144,36 @@ self.onmessage = function(e) {
         );
 
         const window = this._getWindow(winSize);
+        analysis.done();
         
         // Process channels in parallel using workers
         const channelPromises = [];
+        const framesPerChannel = this._getSegments(audioBuffer.length, winSize)
+            .reduce((sum, { startPos, endPos }) => sum + this._countFrames(endPos - startPos, winSize), 0);
+        const progress = createStageProgress(listener, 'stretch', framesPerChannel * audioBuffer.numberOfChannels, {
+            samplesPerFrame: Math.floor(Math.floor(winSize / 8) * this.stretchFactor)
+        });
         
         for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
             const inputData = audioBuffer.getChannelData(channel);
             channelPromises.push(
                 this._processChannelWithWorkers(
                     inputData, 
+                    channel,
                     winSize, 
                     fftSize, 
                     window,
-                    progressCallback ? (p) => progressCallback(p, channel, audioBuffer.numberOfChannels) : null
+                    progress
                 )
             );
         }
         
         const results = await Promise.all(channelPromises);
+        progress.done();
+        
+        const normalization = createStageProgress(listener, 'normalize');
+        normalizeChannels(results, audioBuffer.sampleRate, this.normalize);
+        normalization.done();
         
         // Copy results to output buffer
         for (let channel = 0; channel < results.length; channel++) {
@@ -230,37 +183,36 @@ self.onmessage = function(e) {
         return output;
     }
 
-    async _processChannelWithWorkers(inputData, winSize, fftSize, window, progressCallback) {
+    async _processChannelWithWorkers(inputData, channel, winSize, fftSize, window, progress) {
         const outputLength = Math.floor(inputData.length * this.stretchFactor);
-        const segmentSize = Math.ceil(inputData.length / this.workers.length);
-        const hopSize = Math.floor(winSize / 8);
         
         // Create tasks for each worker
         const tasks = [];
-        const outputs = [];
+        const outputs = this._getSegments(inputData.length, winSize);
         
-        for (let i = 0; i < this.workers.length; i++) {
-            const startPos = i * segmentSize;
-            const endPos = Math.min((i + 1) * segmentSize + winSize, inputData.length);
-            
-            if (startPos < inputData.length) {
-                const taskId = this.taskIdCounter++;
-                const task = this._sendToWorker(
-                    this.workers[i],
-                    {
-                        inputData,
-                        startPos,
-                        endPos,
-                        winSize,
-                        fftSize,
-                        stretchFactor: this.stretchFactor,
-                        window,
-                        taskId
-                    }
-                );
-                tasks.push(task);
-                outputs.push({ startPos, endPos });
-            }
+        for (let i = 0; i < outputs.length; i++) {
+            const { startPos, endPos } = outputs[i];
+            const taskId = this.taskIdCounter++;
+            const frames = this._countFrames(endPos - startPos, winSize);
+            const task = this._sendToWorker(
+                this.workers[i],
+                {
+                    inputData,
+                    startPos,
+                    endPos,
+                    winSize,
+                    fftSize,
+                    stretchFactor: this.stretchFactor,
+                    window,
+                    seed: this.seed,
+                    channel,
+                    taskId
+                }
+            ).then((segment) => {
+                progress.advance(frames);
+                return segment;
+            });
+            tasks.push(task);
         }
         
         // Wait for all workers to complete
@@ -280,16 +232,22 @@ self.onmessage = function(e) {
             }
         }
         
-        // Normalize
-        this._normalizeInPlace(output);
-        
-        if (progressCallback) {
-            progressCallback(1.0);
-        }
-        
         return output;
     }
 
+    // Input range of each worker, overlapping by one window
+    _getSegments(length, winSize) {
+        const segmentSize = Math.ceil(length / this.workers.length);
+        const segments = [];
+        for (let i = 0; i < this.workers.length; i++) {
+            const startPos = i * segmentSize;
+            if (startPos < length) {
+                segments.push({ startPos, endPos: Math.min((i + 1) * segmentSize + winSize, length) });
+            }
+        }
+        return segments;
+    }
+
     _sendToWorker(worker, data) {
         return new Promise((resolve, reject) => {
             const { taskId } = data;
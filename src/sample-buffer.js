@@ -0,0 +1,72 @@
+import { PaulStretchError } from './utils/errors.js';
+
+// A light stand-in for the Web Audio AudioBuffer, for environments without
+// Web Audio (Node, workers): the same numberOfChannels, length, sampleRate,
+// duration and channel accessors, over plain Float32Arrays. The core accepts
+// it, a real AudioBuffer, or anything else of the same shape.
+export class SampleBuffer {
+    // Same options as the AudioBuffer constructor; the channels start silent
+    constructor({ numberOfChannels = 1, length, sampleRate }) {
+        if (!Number.isInteger(numberOfChannels) || numberOfChannels < 1) {
+            throw new PaulStretchError('numberOfChannels must be a positive integer');
+        }
+        if (!Number.isInteger(length) || length < 0) {
+            throw new PaulStretchError('length must be a whole number of samples');
+        }
+        if (!(sampleRate > 0) || !isFinite(sampleRate)) {
+            throw new PaulStretchError('sampleRate must be a positive number');
+        }
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this._channels = [];
+        for (let ch = 0; ch < numberOfChannels; ch++) {
+            this._channels.push(new Float32Array(length));
+        }
+    }
+
+    // Wraps the given arrays without copying them
+    static fromChannels(channels, sampleRate) {
+        if (!Array.isArray(channels) || channels.length === 0 || !channels.every(data => data instanceof Float32Array)) {
+            throw new PaulStretchError('channels must be a non-empty array of Float32Arrays');
+        }
+        const length = channels[0].length;
+        if (channels.some(data => data.length !== length)) {
+            throw new PaulStretchError('All channels must have the same length');
+        }
+        const buffer = new SampleBuffer({ numberOfChannels: channels.length, length: 0, sampleRate });
+        buffer.length = length;
+        buffer._channels = channels.slice();
+        return buffer;
+    }
+
+    get duration() {
+        return this.length / this.sampleRate;
+    }
+
+    getChannelData(channel) {
+        if (!(channel >= 0 && channel < this.numberOfChannels)) {
+            throw new PaulStretchError(`Channel ${channel} does not exist`);
+        }
+        return this._channels[channel];
+    }
+
+    copyFromChannel(destination, channel, startInChannel = 0) {
+        const data = this.getChannelData(channel);
+        destination.set(data.subarray(startInChannel, startInChannel + destination.length));
+    }
+
+    copyToChannel(source, channel, startInChannel = 0) {
+        const data = this.getChannelData(channel);
+        data.set(source.subarray(0, data.length - startInChannel), startInChannel);
+    }
+}
+
+// AudioBuffer, SampleBuffer, or any object of the same shape
+export function isAudioBufferLike(buffer) {
+    return !!buffer &&
+        typeof buffer.getChannelData === 'function' &&
+        Number.isInteger(buffer.numberOfChannels) && buffer.numberOfChannels > 0 &&
+        Number.isInteger(buffer.length) &&
+        buffer.sampleRate > 0;
+}
@@ -0,0 +1,368 @@
+import { PaulStretchError } from './utils/errors.js';
+
+// Magnitude-spectrum processing applied during the rephase step.
+//
+// Each stage factory takes (settings, winSize, sampleRate) and returns either
+// null (stage disabled) or a function that rewrites the winSize / 2 + 1 bin
+// amplitudes of one frame in place. The stages run in the order of
+// SPECTRAL_STAGES, which follows the processing order of the original
+// PaulStretch.
+//
+// The factories and createSpectralProcessor are embedded into the worker code
+// strings via toString(), so each one must be self-contained: no references to
+// anything else in this module or its imports.
+
+// Keep only the energy near the harmonics of a fundamental: frequency in Hz,
+// count harmonics, each a gaussian band bandwidth cents wide
+export function createHarmonicsStage(settings, winSize, sampleRate) {
+    const harmonics = settings.harmonics;
+    if (!harmonics) return null;
+
+    const frequency = Math.max(10, harmonics.frequency);
+    const count = harmonics.count || 10;
+    const bandwidth = harmonics.bandwidth || 25;
+
+    const numBins = winSize / 2 + 1;
+    const binsPerHz = winSize / sampleRate;
+    const gains = new Float64Array(numBins);
+
+    for (let h = 1; h <= count; h++) {
+        const center = frequency * h * binsPerHz;
+        if (center >= numBins) break;
+
+        // Band width grows with the harmonic number; never narrower than one bin
+        const width = Math.max(1, (Math.pow(2, bandwidth / 1200) - 1) * frequency * h * binsPerHz);
+        const sigma = width / 2;
+        const reach = Math.ceil(sigma * 3);
+        const first = Math.max(0, Math.floor(center) - reach);
+        const last = Math.min(numBins - 1, Math.ceil(center) + reach);
+
+        for (let i = first; i <= last; i++) {
+            const x = (i - center) / sigma;
+            const gain = Math.exp(-0.5 * x * x);
+            if (gain > gains[i]) gains[i] = gain;
+        }
+    }
+
+    return function(amplitudes) {
+        for (let i = 0; i < numBins; i++) {
+            amplitudes[i] *= gains[i];
+        }
+    };
+}
+
+export function createPitchShiftStage(settings, winSize) {
+    const pitchShift = settings.pitchShift;
+    if (!pitchShift) return null;
+
+    const semitones = typeof pitchShift === 'number' ? pitchShift : (pitchShift.semitones || 0);
+    const cents = typeof pitchShift === 'number' ? 0 : (pitchShift.cents || 0);
+    const ratio = Math.pow(2, (semitones * 100 + cents) / 1200);
+    if (ratio === 1) return null;
+
+    const numBins = winSize / 2 + 1;
+    const shifted = new Float64Array(numBins);
+
+    return function(amplitudes) {
+        shifted.fill(0);
+
+        if (ratio < 1) {
+            // Down: split every bin between the two targets around i * ratio
+            for (let i = 0; i < numBins; i++) {
+                const x = i * ratio;
+                const target = Math.floor(x);
+                const frac = x - target;
+                shifted[target] += amplitudes[i] * (1 - frac);
+                if (target + 1 < numBins) shifted[target + 1] += amplitudes[i] * frac;
+            }
+        } else {
+            // Up: read each target bin from its interpolated source
+            const step = 1 / ratio;
+            for (let i = 0; i < numBins; i++) {
+                const x = i * step;
+                const source = Math.floor(x);
+                const frac = x - source;
+                const next = source + 1 < numBins ? amplitudes[source + 1] : 0;
+                shifted[i] = amplitudes[source] * (1 - frac) + next * frac;
+            }
+        }
+
+        amplitudes.set(shifted);
+    };
+}
+
+// Mix octave layers of the same frame, e.g. { '-1': 0.5, '0': 1, '1': 0.3 }.
+// Keys are octaves (-2, -1, 0, 1, 1.5, 2; 1.5 is an octave and a fifth, as
+// in the original PaulStretch). Missing keys are silent, except '0' (the
+// unshifted spectrum) which defaults to 1.
+export function createOctaveStage(settings, winSize) {
+    const octaves = settings.octaves;
+    if (!octaves) return null;
+
+    const ratios = { '-2': 0.25, '-1': 0.5, '0': 1, '1': 2, '1.5': 3, '2': 4 };
+    const layers = [];
+    for (const key of Object.keys(ratios)) {
+        const gain = key in octaves ? octaves[key] : (key === '0' ? 1 : 0);
+        if (gain > 1e-3) layers.push({ ratio: ratios[key], gain });
+    }
+    if (layers.length === 1 && layers[0].ratio === 1 && layers[0].gain === 1) return null;
+
+    const numBins = winSize / 2 + 1;
+    const mix = new Float64Array(numBins);
+
+    // Same bin remapping as createPitchShiftStage, accumulated with a gain
+    const addShifted = (amplitudes, ratio, gain) => {
+        if (ratio === 1) {
+            for (let i = 0; i < numBins; i++) mix[i] += amplitudes[i] * gain;
+        } else if (ratio < 1) {
+            for (let i = 0; i < numBins; i++) {
+                const x = i * ratio;
+                const target = Math.floor(x);
+                const frac = x - target;
+                mix[target] += amplitudes[i] * (1 - frac) * gain;
+                if (target + 1 < numBins) mix[target + 1] += amplitudes[i] * frac * gain;
+            }
+        } else {
+            const step = 1 / ratio;
+            for (let i = 0; i < numBins; i++) {
+                const x = i * step;
+                const source = Math.floor(x);
+                const frac = x - source;
+                const next = source + 1 < numBins ? amplitudes[source + 1] : 0;
+                mix[i] += (amplitudes[source] * (1 - frac) + next * frac) * gain;
+            }
+        }
+    };
+
+    return function(amplitudes) {
+        mix.fill(0);
+        for (const layer of layers) {
+            addShifted(amplitudes, layer.ratio, layer.gain);
+        }
+        amplitudes.set(mix);
+    };
+}
+
+// Blur the magnitude spectrum across neighbouring bins (spread 0..1). As in
+// the original PaulStretch the spectrum is warped to a log-frequency axis,
+// smoothed with a forward/backward one-pole filter and warped back, so the
+// cost stays linear in the number of bins.
+export function createSpreadStage(settings, winSize, sampleRate) {
+    const spread = settings.spread;
+    if (!spread) return null;
+
+    const numBins = winSize / 2 + 1;
+    const minFreq = 20;
+    const maxFreq = sampleRate / 2;
+    const logRange = Math.log(maxFreq / minFreq);
+
+    // Smoothing coefficient, scaled so the blur is the same in Hz at any window size
+    const passes = 2;
+    const coeff = Math.pow(1 - Math.pow(2, -spread * spread * 10), 8192 / numBins * passes);
+
+    // Source positions for the linear -> log warp and back
+    const toLog = new Float64Array(numBins);
+    const toLinear = new Float64Array(numBins);
+    for (let i = 0; i < numBins; i++) {
+        const position = i / (numBins - 1);
+        toLog[i] = minFreq * Math.exp(position * logRange) / maxFreq * (numBins - 1);
+        toLinear[i] = i === 0 ? 0 : Math.max(0, Math.log(position * maxFreq / minFreq) / logRange * (numBins - 1));
+    }
+
+    const logSpectrum = new Float64Array(numBins);
+
+    const resample = (source, positions, target) => {
+        for (let i = 0; i < numBins; i++) {
+            const x = positions[i];
+            const index = Math.floor(x);
+            if (index >= numBins - 1) {
+                target[i] = source[numBins - 1];
+            } else {
+                const frac = x - index;
+                target[i] = source[index] * (1 - frac) + source[index + 1] * frac;
+            }
+        }
+    };
+
+    return function(amplitudes) {
+        resample(amplitudes, toLog, logSpectrum);
+
+        for (let pass = 0; pass < passes; pass++) {
+            logSpectrum[0] = 0;
+            for (let i = 1; i < numBins; i++) {
+                logSpectrum[i] = logSpectrum[i - 1] * coeff + logSpectrum[i] * (1 - coeff);
+            }
+            logSpectrum[numBins - 1] = 0;
+            for (let i = numBins - 2; i > 0; i--) {
+                logSpectrum[i] = logSpectrum[i + 1] * coeff + logSpectrum[i] * (1 - coeff);
+            }
+        }
+
+        resample(logSpectrum, toLinear, amplitudes);
+        amplitudes[0] = 0;
+    };
+}
+
+// Scale the bins by an EQ curve: either points [{ frequency, gain }] (Hz, dB;
+// interpolated over log frequency and held flat past either end) or a preset
+// { type: 'lowpass' | 'highpass', frequency, slope } or
+// { type: 'bandpass', low, high, slope }, with slope in dB per octave.
+export function createFilterStage(settings, winSize, sampleRate) {
+    const filter = settings.filter;
+    if (!filter) return null;
+
+    const numBins = winSize / 2 + 1;
+    const gains = new Float64Array(numBins);
+    const slope = filter.slope || 24;
+    const points = Array.isArray(filter) ? filter.slice().sort((a, b) => a.frequency - b.frequency) : null;
+
+    const gainDbAt = (frequency) => {
+        if (points) {
+            if (frequency <= points[0].frequency) return points[0].gain;
+            for (let i = 1; i < points.length; i++) {
+                const next = points[i];
+                if (frequency <= next.frequency) {
+                    const prev = points[i - 1];
+                    const span = Math.log2(next.frequency / prev.frequency);
+                    if (span === 0) return next.gain;
+                    const t = Math.log2(frequency / prev.frequency) / span;
+                    return prev.gain + (next.gain - prev.gain) * t;
+                }
+            }
+            return points[points.length - 1].gain;
+        }
+
+        // Octaves outside the pass band, attenuated by slope dB each
+        let octavesOut = 0;
+        if (filter.type === 'lowpass' && frequency > filter.frequency) {
+            octavesOut = Math.log2(frequency / filter.frequency);
+        } else if (filter.type === 'highpass' && frequency < filter.frequency) {
+            octavesOut = frequency > 0 ? Math.log2(filter.frequency / frequency) : Infinity;
+        } else if (filter.type === 'bandpass') {
+            if (frequency < filter.low) {
+                octavesOut = frequency > 0 ? Math.log2(filter.low / frequency) : Infinity;
+            } else if (frequency > filter.high) {
+                octavesOut = Math.log2(frequency / filter.high);
+            }
+        }
+        return -slope * octavesOut;
+    };
+
+    for (let i = 0; i < numBins; i++) {
+        gains[i] = Math.pow(10, gainDbAt(i * sampleRate / winSize) / 20);
+    }
+
+    return function(amplitudes) {
+        for (let i = 0; i < numBins; i++) {
+            amplitudes[i] *= gains[i];
+        }
+    };
+}
+
+export const SPECTRAL_STAGES = [
+    createHarmonicsStage,
+    createPitchShiftStage,
+    createOctaveStage,
+    createSpreadStage,
+    createFilterStage
+];
+
+// Chain the enabled stages into a single amplitude processor, or return null
+// when nothing is enabled so callers can skip the step entirely
+export function createSpectralProcessor(settings, winSize, sampleRate, stages) {
+    const active = [];
+    for (const createStage of stages) {
+        const stage = createStage(settings, winSize, sampleRate);
+        if (stage) active.push(stage);
+    }
+    if (active.length === 0) return null;
+
+    return function(amplitudes) {
+        for (const stage of active) {
+            stage(amplitudes);
+        }
+    };
+}
+
+// Worker code that defines spectralStages and createSpectralProcessor
+export function getSpectralWorkerCode() {
+    return `const spectralStages = [
+${SPECTRAL_STAGES.map(stage => stage.toString()).join(',\n')}
+];
+const createSpectralProcessor = ${createSpectralProcessor.toString()};`;
+}
+
+// Check user-facing spectral options before any work is scheduled
+export function validateSpectralSettings(settings) {
+    const { harmonics, pitchShift, octaves, spread, filter } = settings;
+    if (harmonics) {
+        if (typeof harmonics !== 'object' || !(harmonics.frequency > 0) || !isFinite(harmonics.frequency)) {
+            throw new PaulStretchError('harmonics needs a positive fundamental frequency in Hz');
+        }
+        if (harmonics.count !== undefined && !(Number.isInteger(harmonics.count) && harmonics.count > 0)) {
+            throw new PaulStretchError('harmonics.count must be a positive integer');
+        }
+        if (harmonics.bandwidth !== undefined && !(harmonics.bandwidth > 0 && isFinite(harmonics.bandwidth))) {
+            throw new PaulStretchError('harmonics.bandwidth must be a positive number of cents');
+        }
+    }
+    if (pitchShift) {
+        const valid = typeof pitchShift === 'number'
+            ? isFinite(pitchShift)
+            : typeof pitchShift === 'object' &&
+                isFinite(pitchShift.semitones || 0) && isFinite(pitchShift.cents || 0);
+        if (!valid) {
+            throw new PaulStretchError('pitchShift must be a number of semitones or { semitones, cents }');
+        }
+    }
+    if (octaves) {
+        if (typeof octaves !== 'object') {
+            throw new PaulStretchError('octaves must map octave keys to gains');
+        }
+        for (const [key, gain] of Object.entries(octaves)) {
+            if (!['-2', '-1', '0', '1', '1.5', '2'].includes(key)) {
+                throw new PaulStretchError(`Unknown octave layer '${key}'; use -2, -1, 0, 1, 1.5 or 2`);
+            }
+            if (!(gain >= 0) || !isFinite(gain)) {
+                throw new PaulStretchError(`Gain for octave layer '${key}' must be a non-negative number`);
+            }
+        }
+    }
+    if (spread && !(spread > 0 && spread <= 1)) {
+        throw new PaulStretchError('spread must be a number between 0 and 1');
+    }
+    if (filter) {
+        validateFilter(filter);
+    }
+    return settings;
+}
+
+function validateFilter(filter) {
+    if (Array.isArray(filter)) {
+        if (filter.length === 0) {
+            throw new PaulStretchError('filter needs at least one { frequency, gain } point');
+        }
+        for (const point of filter) {
+            if (!point || !(point.frequency > 0) || !isFinite(point.frequency) || !isFinite(point.gain)) {
+                throw new PaulStretchError('Each filter point needs a positive frequency in Hz and a gain in dB');
+            }
+        }
+        return;
+    }
+
+    const positive = (value) => value > 0 && isFinite(value);
+    if (filter.slope !== undefined && !positive(filter.slope)) {
+        throw new PaulStretchError('filter.slope must be a positive number of dB per octave');
+    }
+    if (filter.type === 'lowpass' || filter.type === 'highpass') {
+        if (!positive(filter.frequency)) {
+            throw new PaulStretchError(`A ${filter.type} filter needs a positive cutoff frequency`);
+        }
+    } else if (filter.type === 'bandpass') {
+        if (!positive(filter.low) || !positive(filter.high) || filter.low > filter.high) {
+            throw new PaulStretchError('A bandpass filter needs positive low and high frequencies with low <= high');
+        }
+    } else {
+        throw new PaulStretchError(`Unknown filter type '${filter.type}'; use lowpass, highpass, bandpass or a list of points`);
+    }
+}
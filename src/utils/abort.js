@@ -0,0 +1,25 @@
+import { AbortError } from './errors.js';
+
+// AbortSignal helpers for the long-running methods. Every method takes an
+// optional signal; none of these do anything without one.
+
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new AbortError();
+    }
+}
+
+// Call `onAbort` once when the signal fires; returns the function that removes
+// the listener again
+export function onAbort(signal, handler) {
+    if (!signal) {
+        return () => {};
+    }
+    signal.addEventListener('abort', handler, { once: true });
+    return () => signal.removeEventListener('abort', handler);
+}
+
+// Let pending events run (including abort()) during a long synchronous loop
+export function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
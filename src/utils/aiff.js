@@ -0,0 +1,84 @@
+import { PaulStretchError } from './errors.js';
+import { readInterleaved, readTag, toDataView } from './pcm.js';
+
+// AIFF and AIFF-C reading. Samples are big-endian except in 'sowt' files.
+
+// AIFF-C compression types the decoder reads, as sample encodings
+const COMPRESSION_TYPES = {
+    'NONE': { littleEndian: false },
+    'twos': { littleEndian: false },
+    'sowt': { littleEndian: true },
+    'fl32': { float: true, bytesPerSample: 4, littleEndian: false },
+    'FL32': { float: true, bytesPerSample: 4, littleEndian: false },
+    'fl64': { float: true, bytesPerSample: 8, littleEndian: false },
+    'FL64': { float: true, bytesPerSample: 8, littleEndian: false }
+};
+
+// 80-bit IEEE 754 extended precision, the format of the COMM sample rate
+function readExtended(view, offset) {
+    const sign = view.getUint8(offset) & 0x80 ? -1 : 1;
+    const exponent = view.getUint16(offset, false) & 0x7fff;
+    const high = view.getUint32(offset + 2, false);
+    const low = view.getUint32(offset + 6, false);
+    if (exponent === 0 && high === 0 && low === 0) {
+        return 0;
+    }
+    const scale = exponent - 16383;
+    return sign * (high * Math.pow(2, scale - 31) + low * Math.pow(2, scale - 63));
+}
+
+// bytes: ArrayBuffer or typed array holding a whole AIFF or AIFF-C file.
+// Returns { sampleRate, channels: Float32Array[], channelMask: null }.
+// Reads 8 to 32-bit PCM in either byte order and 32/64-bit float.
+export function decodeAiff(bytes) {
+    const view = toDataView(bytes);
+    const type = view.byteLength >= 12 ? readTag(view, 8) : '';
+    if (view.byteLength < 12 || readTag(view, 0) !== 'FORM' || (type !== 'AIFF' && type !== 'AIFC')) {
+        throw new PaulStretchError('Not an AIFF file');
+    }
+
+    // Walk the chunks (big-endian sizes, padded to an even size)
+    let common = null;
+    let sound = null;
+    for (let pos = 12; pos + 8 <= view.byteLength;) {
+        const id = readTag(view, pos);
+        const size = view.getUint32(pos + 4, false);
+        const body = pos + 8;
+        if (id === 'COMM') {
+            common = {
+                numberOfChannels: view.getInt16(body, false),
+                length: view.getUint32(body + 2, false),
+                bitsPerSample: view.getInt16(body + 6, false),
+                sampleRate: readExtended(view, body + 8),
+                compression: type === 'AIFC' && size >= 22 ? readTag(view, body + 18) : 'NONE'
+            };
+        } else if (id === 'SSND') {
+            const offset = view.getUint32(body, false);
+            sound = { offset: body + 8 + offset, size: Math.min(size - 8 - offset, view.byteLength - body - 8 - offset) };
+        }
+        pos = body + size + (size % 2);
+    }
+    if (!common) {
+        throw new PaulStretchError('AIFF file without COMM chunk');
+    }
+
+    const { numberOfChannels, bitsPerSample, sampleRate, compression } = common;
+    const codec = COMPRESSION_TYPES[compression];
+    if (!codec) {
+        throw new PaulStretchError(
+            `Unsupported AIFF-C compression '${compression.trim()}'; the built-in decoder reads uncompressed PCM (NONE, twos, sowt) and float (fl32, fl64)`
+        );
+    }
+    const bytesPerSample = codec.bytesPerSample || Math.ceil(bitsPerSample / 8);
+    if (numberOfChannels < 1 || !(sampleRate >= 1) || bytesPerSample < 1 || bytesPerSample > (codec.float ? 8 : 4)) {
+        throw new PaulStretchError('Invalid AIFF COMM chunk');
+    }
+    // AIFF integer samples are signed at every size
+    const encoding = { bytesPerSample, float: !!codec.float, signed: true, littleEndian: codec.littleEndian };
+
+    // Files with no samples may leave out SSND; truncated ones keep what they have
+    const available = sound ? Math.floor(Math.max(0, sound.size) / (bytesPerSample * numberOfChannels)) : 0;
+    const length = Math.min(common.length, available);
+    const channels = readInterleaved(view, sound ? sound.offset : 0, length, numberOfChannels, encoding);
+    return { sampleRate, channels, channelMask: null };
+}
@@ -0,0 +1,48 @@
+import { PaulStretchError } from './errors.js';
+import { decodeAiff } from './aiff.js';
+import { decodeFlac, flacStart } from './flac.js';
+import { decodeWav } from './wav.js';
+import { readTag, toDataView } from './pcm.js';
+
+// The built-in decoder: WAV (RIFF, RF64, BW64, Wave64), AIFF/AIFF-C and FLAC at
+// their native sample rate and channel count, with no Web Audio involved.
+// Other formats go through decodeAudioData in the browser (see loadAudio).
+
+// 'wav', 'aiff', 'flac' or null, from the container header
+export function detectAudioFormat(bytes) {
+    const view = toDataView(bytes);
+    if (view.byteLength < 12) {
+        return flacStart(view) >= 0 ? 'flac' : null;
+    }
+    const container = readTag(view, 0);
+    const type = readTag(view, 8);
+    if ((container === 'RIFF' || container === 'RF64' || container === 'BW64') && type === 'WAVE') {
+        return 'wav';
+    }
+    // Sony Wave64: GUIDs that start with 'riff' and 'wave'
+    if (container === 'riff' && view.byteLength >= 40 && readTag(view, 24) === 'wave') {
+        return 'wav';
+    }
+    if (container === 'FORM' && (type === 'AIFF' || type === 'AIFC')) {
+        return 'aiff';
+    }
+    if (flacStart(view) >= 0) {
+        return 'flac';
+    }
+    return null;
+}
+
+// bytes: ArrayBuffer or typed array (a Node Buffer works) holding a whole
+// file. Returns { sampleRate, channels: Float32Array[], channelMask }.
+export function decodeAudioFile(bytes) {
+    const format = detectAudioFormat(bytes);
+    if (!format) {
+        throw new PaulStretchError('Unknown audio format; the built-in decoder reads WAV, AIFF and FLAC');
+    }
+    const decoders = { wav: decodeWav, aiff: decodeAiff, flac: decodeFlac };
+    const decoded = decoders[format](bytes);
+    if (decoded.channels[0].length === 0) {
+        throw new PaulStretchError('The file holds no samples');
+    }
+    return decoded;
+}
@@ -0,0 +1,30 @@
+import { PaulStretchError } from './errors.js';
+import { encodeFlacParts, validateFlacEncoding } from './flac.js';
+import { encodeWavParts, validateWavEncoding } from './wav.js';
+
+// The output formats of toBlob and the command-line tool. Options are the
+// format's own (see utils/wav.js and utils/flac.js) plus format: 'wav'
+// (default) or 'flac'.
+
+export const AUDIO_FORMATS = ['wav', 'flac'];
+export const AUDIO_MIME_TYPES = { wav: 'audio/wav', flac: 'audio/flac' };
+
+// { format, ...settings } with the format's defaults filled in
+export function validateAudioEncoding(options = {}) {
+    const { format = 'wav', ...encoding } = options;
+    if (!AUDIO_FORMATS.includes(format)) {
+        throw new PaulStretchError(`Unknown format '${format}'; use ${AUDIO_FORMATS.map(f => `'${f}'`).join(' or ')}`);
+    }
+    return { format, ...(format === 'flac' ? validateFlacEncoding(encoding) : validateWavEncoding(encoding)) };
+}
+
+// Yields the file as Uint8Array parts, see encodeWavParts and
+// encodeFlacParts. The first part is final only once the generator
+// finishes (FLAC fills in its checksum last), so a writer that streams the
+// parts should write the first one again at the end.
+export function encodeAudioParts(channels, sampleRate, options = {}, extras = {}) {
+    const { format, ...encoding } = validateAudioEncoding(options);
+    return format === 'flac'
+        ? encodeFlacParts(channels, sampleRate, encoding, extras)
+        : encodeWavParts(channels, sampleRate, encoding, extras);
+}
@@ -0,0 +1,141 @@
+import { PaulStretchError } from './errors.js';
+
+// Time-varying stretch factor support.
+//
+// `stretchFactor` may be a number, a list of breakpoints in input seconds
+// ([{ time: 0, factor: 2 }, { time: 10, factor: 40 }], linearly interpolated
+// and held flat past either end) or a callback (seconds) => factor.
+// The output length is the integral of the factor over the input duration.
+export function createStretchEnvelope(stretchFactor) {
+    if (typeof stretchFactor === 'number') {
+        if (!(stretchFactor > 0) || !isFinite(stretchFactor)) {
+            throw new PaulStretchError('stretchFactor must be a positive number');
+        }
+        return {
+            constant: stretchFactor,
+            factorAt: () => stretchFactor,
+            outputLength: (inputLength) => Math.floor(inputLength * stretchFactor)
+        };
+    }
+
+    if (typeof stretchFactor === 'function') {
+        const factorAt = (time) => {
+            const factor = stretchFactor(time);
+            if (!(factor > 0) || !isFinite(factor)) {
+                throw new PaulStretchError(`stretchFactor callback returned an invalid factor at ${time}s: ${factor}`);
+            }
+            return factor;
+        };
+        return {
+            constant: null,
+            factorAt,
+            outputLength: (inputLength, sampleRate) =>
+                Math.floor(integrateCallback(factorAt, inputLength / sampleRate) * sampleRate)
+        };
+    }
+
+    if (Array.isArray(stretchFactor)) {
+        const points = normalizeBreakpoints(stretchFactor);
+        if (points.length === 1) {
+            return createStretchEnvelope(points[0].factor);
+        }
+        return {
+            constant: null,
+            factorAt: (time) => interpolateBreakpoints(points, time),
+            outputLength: (inputLength, sampleRate) =>
+                Math.floor(integrateBreakpoints(points, inputLength / sampleRate) * sampleRate)
+        };
+    }
+
+    throw new PaulStretchError('stretchFactor must be a number, an array of breakpoints or a function');
+}
+
+// Input positions (in samples) of every analysis frame. Each output hop of
+// halfWinSize samples advances the read head by halfWinSize / factor.
+export function computeFramePositions(envelope, inputLength, sampleRate, winSize) {
+    const halfWinSize = winSize / 2;
+
+    if (envelope.constant !== null) {
+        const displacePos = halfWinSize / envelope.constant;
+        const count = inputLength < winSize ? 0 : Math.floor((inputLength - winSize) / displacePos) + 1;
+        const positions = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            positions[i] = i * displacePos;
+        }
+        return positions;
+    }
+
+    const positions = [];
+    let inputPos = 0;
+    while (Math.floor(inputPos) + winSize <= inputLength) {
+        positions.push(inputPos);
+        inputPos += halfWinSize / envelope.factorAt(inputPos / sampleRate);
+    }
+    return Float64Array.from(positions);
+}
+
+function normalizeBreakpoints(breakpoints) {
+    if (breakpoints.length === 0) {
+        throw new PaulStretchError('stretchFactor breakpoints must not be empty');
+    }
+
+    const points = breakpoints.map((point) => {
+        if (!point || !isFinite(point.time) || !(point.factor > 0) || !isFinite(point.factor)) {
+            throw new PaulStretchError('Each stretchFactor breakpoint needs a finite time and a positive factor');
+        }
+        return { time: point.time, factor: point.factor };
+    });
+
+    return points.sort((a, b) => a.time - b.time);
+}
+
+function interpolateBreakpoints(points, time) {
+    if (time <= points[0].time) return points[0].factor;
+
+    for (let i = 1; i < points.length; i++) {
+        const next = points[i];
+        if (time <= next.time) {
+            const prev = points[i - 1];
+            const span = next.time - prev.time;
+            if (span === 0) return next.factor;
+            return prev.factor + (next.factor - prev.factor) * (time - prev.time) / span;
+        }
+    }
+
+    return points[points.length - 1].factor;
+}
+
+// Exact integral of the piecewise-linear curve over [0, duration]
+function integrateBreakpoints(points, duration) {
+    let total = 0;
+    let time = 0;
+    let factor = interpolateBreakpoints(points, 0);
+
+    const edges = points.map(p => p.time).filter(t => t > 0 && t < duration);
+    edges.push(duration);
+
+    for (const edge of edges) {
+        const edgeFactor = interpolateBreakpoints(points, edge);
+        total += (edge - time) * (factor + edgeFactor) / 2;
+        time = edge;
+        factor = edgeFactor;
+    }
+
+    return total;
+}
+
+// Trapezoidal integral of a callback envelope, sampled every millisecond
+function integrateCallback(factorAt, duration) {
+    const steps = Math.max(1, Math.ceil(duration * 1000));
+    const dt = duration / steps;
+    let total = 0;
+    let prev = factorAt(0);
+
+    for (let i = 1; i <= steps; i++) {
+        const next = factorAt(i * dt);
+        total += dt * (prev + next) / 2;
+        prev = next;
+    }
+
+    return total;
+}
@@ -1,3 +1,21 @@
 export function isBrowser() {
     return typeof window !== 'undefined' && typeof window.document !== 'undefined';
-}
\ No newline at end of file
+}
+
+export function isNode() {
+    return typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+}
+
+// A Node built-in module ('worker_threads', 'os', ...) without a static import,
+// so browser bundles stay free of them. Null outside Node and before Node
+// 20.16, which introduced process.getBuiltinModule.
+export function getNodeBuiltin(name) {
+    if (!isNode() || typeof process.getBuiltinModule !== 'function') {
+        return null;
+    }
+    try {
+        return process.getBuiltinModule(name);
+    } catch (error) {
+        return null;
+    }
+}
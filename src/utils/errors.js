@@ -3,4 +3,36 @@ export class PaulStretchError extends Error {
         super(message);
         this.name = 'PaulStretchError';
     }
-}
\ No newline at end of file
+}
+
+// A worker task that failed; the worker reported an error while processing
+export class WorkerError extends PaulStretchError {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkerError';
+    }
+}
+
+// The worker did not answer within workerTimeout and was replaced
+export class WorkerTimeoutError extends WorkerError {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkerTimeoutError';
+    }
+}
+
+// The worker died (error event) and was replaced
+export class WorkerCrashError extends WorkerError {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkerCrashError';
+    }
+}
+
+// The operation was cancelled through its AbortSignal
+export class AbortError extends PaulStretchError {
+    constructor(message = 'The operation was aborted') {
+        super(message);
+        this.name = 'AbortError';
+    }
+}
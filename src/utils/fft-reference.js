@@ -0,0 +1,72 @@
+// The FFT class as src/index.js had it before the shared transform in
+// utils/fft.js: radix-2 only, with Math.cos/Math.sin computed in every
+// butterfly. Engines fed it a real frame with a zeroed imaginary half and
+// transformed all `size` points. Kept unchanged as the baseline for
+// Benchmark#benchmarkFFT; nothing else uses it. Powers of two only.
+export class ReferenceFFT {
+    constructor(size) {
+        this.size = size;
+        this.invSize = 1 / size;
+    }
+    
+    forward(real, imag) {
+        const n = this.size;
+        
+        // Bit reversal
+        let j = 0;
+        for (let i = 0; i < n - 1; i++) {
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+            let k = n >> 1;
+            while (k <= j) {
+                j -= k;
+                k >>= 1;
+            }
+            j += k;
+        }
+        
+        // Cooley-Tukey FFT
+        let len = 2;
+        while (len <= n) {
+            const halfLen = len >> 1;
+            const angleStep = -2 * Math.PI / len;
+            for (let i = 0; i < n; i += len) {
+                for (let j = 0; j < halfLen; j++) {
+                    const m = i + j;
+                    const n = m + halfLen;
+                    
+                    const angle = angleStep * j;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    
+                    const tReal = real[n] * cos - imag[n] * sin;
+                    const tImag = real[n] * sin + imag[n] * cos;
+                    
+                    real[n] = real[m] - tReal;
+                    imag[n] = imag[m] - tImag;
+                    real[m] += tReal;
+                    imag[m] += tImag;
+                }
+            }
+            len <<= 1;
+        }
+    }
+    
+    inverse(real, imag) {
+        // Conjugate
+        for (let i = 0; i < this.size; i++) {
+            imag[i] = -imag[i];
+        }
+        
+        // Forward FFT
+        this.forward(real, imag);
+        
+        // Conjugate and scale
+        for (let i = 0; i < this.size; i++) {
+            real[i] *= this.invSize;
+            imag[i] *= -this.invSize;
+        }
+    }
+}
@@ -0,0 +1,307 @@
+// The one FFT used by every engine and worker.
+//
+// `forward` / `inverse` are in-place complex transforms of `size` points on
+// split real and imaginary arrays. Powers of two run an iterative radix-2
+// Cooley-Tukey transform driven by precomputed twiddle and bit-reversal
+// tables; every other size goes through Bluestein's chirp-z algorithm, which
+// turns the transform into a circular convolution computed with a
+// power-of-two FFT at least 2 * size - 1 long.
+//
+// `realForward` / `realInverse` transform real signals of even `size` with a
+// complex FFT of half the size, and pack the half spectrum into the same
+// array (the usual layout of real FFT libraries):
+//
+//   data[0]        Re X[0]           (DC, purely real)
+//   data[1]        Re X[size / 2]    (Nyquist, purely real)
+//   data[2k]       Re X[k]           for 0 < k < size / 2
+//   data[2k + 1]   Im X[k]
+//
+// Plans are built lazily, so an instance only pays for the transforms it uses.
+//
+// The class must stay self-contained: the worker code strings embed it via
+// toString(), so it cannot reference anything else in this module.
+export class FFT {
+    constructor(size) {
+        this.size = size;
+        this.invSize = 1 / size;
+        this.complexPlan = null;
+        this.realPlan = null;
+    }
+
+    forward(real, imag) {
+        const plan = this.complexPlan || this._createComplexPlan();
+        if (plan.bluestein) {
+            this._forwardBluestein(real, imag, plan);
+        } else {
+            this._forwardRadix2(real, imag, plan);
+        }
+    }
+
+    inverse(real, imag) {
+        // A forward transform with the real and imaginary parts swapped is
+        // the unscaled inverse, with no conjugation passes
+        this.forward(imag, real);
+
+        for (let i = 0; i < this.size; i++) {
+            real[i] *= this.invSize;
+            imag[i] *= this.invSize;
+        }
+    }
+
+    // Real signal in, packed half spectrum out (in place)
+    realForward(data) {
+        const plan = this.realPlan || this._createRealPlan();
+        const { half, cosTable, sinTable, zReal, zImag } = plan;
+        const halfSize = this.size >> 1;
+
+        // Even samples as the real part, odd samples as the imaginary part
+        for (let n = 0; n < halfSize; n++) {
+            zReal[n] = data[2 * n];
+            zImag[n] = data[2 * n + 1];
+        }
+        half.forward(zReal, zImag);
+
+        data[0] = zReal[0] + zImag[0];
+        data[1] = zReal[0] - zImag[0];
+
+        // Split Z into the spectra of the even and odd samples and recombine
+        for (let k = 1; k < halfSize; k++) {
+            const mirror = halfSize - k;
+            const evenReal = (zReal[k] + zReal[mirror]) / 2;
+            const evenImag = (zImag[k] - zImag[mirror]) / 2;
+            const oddReal = (zImag[k] + zImag[mirror]) / 2;
+            const oddImag = (zReal[mirror] - zReal[k]) / 2;
+            const cos = cosTable[k];
+            const sin = sinTable[k];
+            data[2 * k] = evenReal + oddReal * cos - oddImag * sin;
+            data[2 * k + 1] = evenImag + oddReal * sin + oddImag * cos;
+        }
+    }
+
+    // Packed half spectrum in, real signal out (in place, scaled by 1 / size)
+    realInverse(data) {
+        const plan = this.realPlan || this._createRealPlan();
+        const { half, cosTable, sinTable, zReal, zImag } = plan;
+        const halfSize = this.size >> 1;
+
+        zReal[0] = (data[0] + data[1]) / 2;
+        zImag[0] = (data[0] - data[1]) / 2;
+
+        for (let k = 1; k < halfSize; k++) {
+            const mirror = halfSize - k;
+            const real = data[2 * k];
+            const imag = data[2 * k + 1];
+            const mirrorReal = data[2 * mirror];
+            const mirrorImag = data[2 * mirror + 1];
+
+            const evenReal = (real + mirrorReal) / 2;
+            const evenImag = (imag - mirrorImag) / 2;
+
+            // Odd part times the conjugate twiddle
+            const diffReal = (real - mirrorReal) / 2;
+            const diffImag = (imag + mirrorImag) / 2;
+            const cos = cosTable[k];
+            const sin = sinTable[k];
+            const oddReal = diffReal * cos + diffImag * sin;
+            const oddImag = diffImag * cos - diffReal * sin;
+
+            zReal[k] = evenReal - oddImag;
+            zImag[k] = evenImag + oddReal;
+        }
+
+        half.inverse(zReal, zImag);
+
+        for (let n = 0; n < halfSize; n++) {
+            data[2 * n] = zReal[n];
+            data[2 * n + 1] = zImag[n];
+        }
+    }
+
+    _createComplexPlan() {
+        const size = this.size;
+
+        if ((size & (size - 1)) === 0) {
+            // Twiddles stage by stage: the stage of length len reads its
+            // len / 2 factors contiguously from offset len / 2 - 1
+            const cosTable = new Float64Array(Math.max(size - 1, 1));
+            const sinTable = new Float64Array(Math.max(size - 1, 1));
+            for (let len = 2; len <= size; len <<= 1) {
+                const halfLen = len >> 1;
+                for (let k = 0; k < halfLen; k++) {
+                    const angle = -2 * Math.PI * k / len;
+                    cosTable[halfLen - 1 + k] = Math.cos(angle);
+                    sinTable[halfLen - 1 + k] = Math.sin(angle);
+                }
+            }
+
+            const bitReverse = new Uint32Array(size);
+            const bits = Math.round(Math.log2(size));
+            for (let i = 0; i < size; i++) {
+                let reversed = 0;
+                for (let b = 0; b < bits; b++) {
+                    reversed = (reversed << 1) | ((i >> b) & 1);
+                }
+                bitReverse[i] = reversed;
+            }
+
+            this.complexPlan = { bluestein: false, cosTable, sinTable, bitReverse };
+            return this.complexPlan;
+        }
+
+        let paddedSize = 1;
+        while (paddedSize < 2 * size - 1) {
+            paddedSize <<= 1;
+        }
+        const inner = new this.constructor(paddedSize);
+
+        // Chirp w[k] = exp(-i * pi * k^2 / size); k^2 is reduced mod 2 * size
+        // so the angle stays accurate for large k
+        const chirpReal = new Float64Array(size);
+        const chirpImag = new Float64Array(size);
+        for (let k = 0; k < size; k++) {
+            const angle = Math.PI * ((k * k) % (2 * size)) / size;
+            chirpReal[k] = Math.cos(angle);
+            chirpImag[k] = -Math.sin(angle);
+        }
+
+        // Spectrum of the convolution kernel conj(w[k]), wrapped around for negative k
+        const kernelReal = new Float64Array(paddedSize);
+        const kernelImag = new Float64Array(paddedSize);
+        kernelReal[0] = chirpReal[0];
+        kernelImag[0] = -chirpImag[0];
+        for (let k = 1; k < size; k++) {
+            kernelReal[k] = kernelReal[paddedSize - k] = chirpReal[k];
+            kernelImag[k] = kernelImag[paddedSize - k] = -chirpImag[k];
+        }
+        inner.forward(kernelReal, kernelImag);
+
+        this.complexPlan = {
+            bluestein: true,
+            inner,
+            chirpReal,
+            chirpImag,
+            kernelReal,
+            kernelImag,
+            workReal: new Float64Array(paddedSize),
+            workImag: new Float64Array(paddedSize)
+        };
+        return this.complexPlan;
+    }
+
+    _createRealPlan() {
+        const size = this.size;
+        if (size < 2 || size % 2 !== 0) {
+            throw new Error(`Real FFT needs an even size, got ${size}`);
+        }
+
+        const halfSize = size >> 1;
+        const cosTable = new Float64Array(halfSize);
+        const sinTable = new Float64Array(halfSize);
+        for (let k = 0; k < halfSize; k++) {
+            const angle = -2 * Math.PI * k / size;
+            cosTable[k] = Math.cos(angle);
+            sinTable[k] = Math.sin(angle);
+        }
+
+        this.realPlan = {
+            half: new this.constructor(halfSize),
+            cosTable,
+            sinTable,
+            zReal: new Float64Array(halfSize),
+            zImag: new Float64Array(halfSize)
+        };
+        return this.realPlan;
+    }
+
+    _forwardRadix2(real, imag, plan) {
+        const n = this.size;
+        const { cosTable, sinTable, bitReverse } = plan;
+
+        // Bit reversal
+        for (let i = 0; i < n; i++) {
+            const j = bitReverse[i];
+            if (i < j) {
+                let swap = real[i]; real[i] = real[j]; real[j] = swap;
+                swap = imag[i]; imag[i] = imag[j]; imag[j] = swap;
+            }
+        }
+
+        // The first two stages, whose twiddles are 1 and -i, as one pass
+        if (n >= 4) {
+            for (let i = 0; i < n; i += 4) {
+                const aReal = real[i] + real[i + 1];
+                const aImag = imag[i] + imag[i + 1];
+                const bReal = real[i] - real[i + 1];
+                const bImag = imag[i] - imag[i + 1];
+                const cReal = real[i + 2] + real[i + 3];
+                const cImag = imag[i + 2] + imag[i + 3];
+                const dReal = real[i + 2] - real[i + 3];
+                const dImag = imag[i + 2] - imag[i + 3];
+                real[i] = aReal + cReal;
+                imag[i] = aImag + cImag;
+                real[i + 2] = aReal - cReal;
+                imag[i + 2] = aImag - cImag;
+                // d * -i
+                real[i + 1] = bReal + dImag;
+                imag[i + 1] = bImag - dReal;
+                real[i + 3] = bReal - dImag;
+                imag[i + 3] = bImag + dReal;
+            }
+        } else if (n === 2) {
+            const tReal = real[1];
+            const tImag = imag[1];
+            real[1] = real[0] - tReal;
+            imag[1] = imag[0] - tImag;
+            real[0] += tReal;
+            imag[0] += tImag;
+        }
+
+        // Cooley-Tukey decimation-in-time
+        for (let len = 8; len <= n; len <<= 1) {
+            const halfLen = len >> 1;
+            const offset = halfLen - 1;
+            for (let start = 0; start < n; start += len) {
+                for (let k = 0; k < halfLen; k++) {
+                    const even = start + k;
+                    const odd = even + halfLen;
+                    const cos = cosTable[offset + k];
+                    const sin = sinTable[offset + k];
+
+                    const tReal = real[odd] * cos - imag[odd] * sin;
+                    const tImag = real[odd] * sin + imag[odd] * cos;
+
+                    real[odd] = real[even] - tReal;
+                    imag[odd] = imag[even] - tImag;
+                    real[even] += tReal;
+                    imag[even] += tImag;
+                }
+            }
+        }
+    }
+
+    // X[k] = w[k] * sum(x[n] * w[n] * conj(w[k - n]))
+    _forwardBluestein(real, imag, plan) {
+        const n = this.size;
+        const { inner, chirpReal, chirpImag, kernelReal, kernelImag, workReal, workImag } = plan;
+
+        workReal.fill(0);
+        workImag.fill(0);
+        for (let k = 0; k < n; k++) {
+            workReal[k] = real[k] * chirpReal[k] - imag[k] * chirpImag[k];
+            workImag[k] = real[k] * chirpImag[k] + imag[k] * chirpReal[k];
+        }
+
+        inner.forward(workReal, workImag);
+        for (let k = 0; k < workReal.length; k++) {
+            const re = workReal[k] * kernelReal[k] - workImag[k] * kernelImag[k];
+            workImag[k] = workReal[k] * kernelImag[k] + workImag[k] * kernelReal[k];
+            workReal[k] = re;
+        }
+        inner.inverse(workReal, workImag);
+
+        for (let k = 0; k < n; k++) {
+            real[k] = workReal[k] * chirpReal[k] - workImag[k] * chirpImag[k];
+            imag[k] = workReal[k] * chirpImag[k] + workImag[k] * chirpReal[k];
+        }
+    }
+}
@@ -0,0 +1,970 @@
+import { PaulStretchError } from './errors.js';
+import { createQuantizer, readTag, toDataView } from './pcm.js';
+import { createMd5 } from './md5.js';
+import { DITHER_TYPES } from './wav.js';
+
+// FLAC (RFC 9639) writing and reading on plain channel arrays. The encoder
+// picks per block between the stereo decorrelation modes, and per channel
+// between constant, fixed polynomial, LPC and verbatim subframes, with
+// partitioned Rice coding of the residual. The decoder reads any fixed or
+// variable block size stream up to 32 bits.
+
+export const FLAC_BIT_DEPTHS = [16, 24];
+
+// Default size of the Blob parts encodeFlacParts yields
+export const FLAC_PART_SIZE = 16 * 1024 * 1024;
+
+const MAX_LPC_ORDER = 32;
+const MAX_PARTITION_ORDER = 8;
+// Bits of the quantized LPC coefficients, the most the format allows
+const QLP_PRECISION = 15;
+
+const SAMPLE_RATES = [0, 88200, 176400, 192000, 8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000];
+const SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32];
+
+// Channel assignments besides independent channels (0-7)
+const LEFT_SIDE = 8;
+const SIDE_RIGHT = 9;
+const MID_SIDE = 10;
+
+// Complete FLAC settings from toBlob-style options:
+//   bitDepth       16 (default) or 24
+//   dither         'tpdf' (default) or 'none', as for WAV
+//   noiseShaping   shape the dither and rounding noise (default false)
+//   blockSize      samples per frame, 16-65535 (default 4096)
+//   lpcOrder       highest LPC order tried, 0-32 (default 8); 0 uses only
+//                  the fixed predictors, which encodes faster
+export function validateFlacEncoding(options = {}) {
+    const { bitDepth = 16, dither = 'tpdf', noiseShaping = false, blockSize = 4096, lpcOrder = 8 } = options;
+    if (options.float) {
+        throw new PaulStretchError('FLAC stores integer samples; use WAV for float output');
+    }
+    if (options.container !== undefined) {
+        throw new PaulStretchError('container applies to WAV only');
+    }
+    if (!FLAC_BIT_DEPTHS.includes(bitDepth)) {
+        throw new PaulStretchError(`Unsupported FLAC bitDepth ${bitDepth}; use ${FLAC_BIT_DEPTHS.join(' or ')}`);
+    }
+    if (!DITHER_TYPES.includes(dither)) {
+        throw new PaulStretchError(`Unknown dither '${dither}'; use ${DITHER_TYPES.map(d => `'${d}'`).join(' or ')}`);
+    }
+    if (typeof noiseShaping !== 'boolean') {
+        throw new PaulStretchError('noiseShaping must be true or false');
+    }
+    if (!Number.isInteger(blockSize) || blockSize < 16 || blockSize > 65535) {
+        throw new PaulStretchError(`blockSize must be an integer from 16 to 65535, got ${blockSize}`);
+    }
+    if (!Number.isInteger(lpcOrder) || lpcOrder < 0 || lpcOrder > MAX_LPC_ORDER) {
+        throw new PaulStretchError(`lpcOrder must be an integer from 0 to ${MAX_LPC_ORDER}, got ${lpcOrder}`);
+    }
+    return { bitDepth, dither, noiseShaping, blockSize, lpcOrder };
+}
+
+// CRC-8 (polynomial 0x07) of the frame header and CRC-16 (0x8005) of the
+// whole frame, both MSB first with a zero start value
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc8 = i;
+    let crc16 = i << 8;
+    for (let bit = 0; bit < 8; bit++) {
+        crc8 = crc8 & 0x80 ? (crc8 << 1) ^ 0x07 : crc8 << 1;
+        crc16 = crc16 & 0x8000 ? (crc16 << 1) ^ 0x8005 : crc16 << 1;
+    }
+    CRC8_TABLE[i] = crc8;
+    CRC16_TABLE[i] = crc16;
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc = CRC8_TABLE[crc ^ bytes[i]];
+    }
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+    }
+    return crc;
+}
+
+// MSB-first bit output into a growing buffer
+function createBitWriter(capacity = 65536) {
+    let bytes = new Uint8Array(capacity);
+    let length = 0;
+    // Pending bits, fewer than 8 between writes
+    let acc = 0;
+    let count = 0;
+
+    function put(value, bits) {
+        if (length + 4 > bytes.length) {
+            const grown = new Uint8Array(bytes.length * 2);
+            grown.set(bytes.subarray(0, length));
+            bytes = grown;
+        }
+        acc = (acc << bits) | value;
+        count += bits;
+        while (count >= 8) {
+            count -= 8;
+            bytes[length++] = (acc >>> count) & 0xff;
+        }
+        acc &= (1 << count) - 1;
+    }
+
+    const writer = {
+        get bytes() {
+            return bytes;
+        },
+        // Whole bytes written so far
+        get length() {
+            return length;
+        },
+        // value: an unsigned integer below 2^bits, bits up to 32
+        write(value, bits) {
+            if (bits > 24) {
+                put(Math.floor(value / 65536) & ((1 << (bits - 16)) - 1), bits - 16);
+                put(value & 0xffff, 16);
+            } else if (bits > 0) {
+                put(value & ((1 << bits) - 1), bits);
+            }
+        },
+        writeSigned(value, bits) {
+            writer.write(value < 0 ? value + Math.pow(2, bits) : value, bits);
+        },
+        // q zero bits and a one
+        writeUnary(q) {
+            for (; q >= 24; q -= 24) {
+                put(0, 24);
+            }
+            put(1, q + 1);
+        },
+        writeRice(value, k) {
+            const folded = value < 0 ? -2 * value - 1 : 2 * value;
+            writer.writeUnary(Math.floor(folded / (1 << k)));
+            writer.write(folded % (1 << k), k);
+        },
+        // Zero bits up to the next byte boundary
+        align() {
+            if (count > 0) {
+                put(0, 8 - count);
+            }
+        },
+        // The bytes written so far, leaving the writer empty; only between frames
+        take() {
+            const taken = bytes.slice(0, length);
+            length = 0;
+            return taken;
+        }
+    };
+    return writer;
+}
+
+// Frame numbers and sample numbers in the frame header use the UTF-8 scheme,
+// extended to 36 bits
+function writeCodedNumber(writer, value) {
+    if (value < 0x80) {
+        writer.write(value, 8);
+        return;
+    }
+    let bytes = 2;
+    while (bytes < 7 && value >= Math.pow(2, 5 * bytes + 1)) {
+        bytes++;
+    }
+    const first = (0xff << (8 - bytes)) & 0xff;
+    writer.write(first | Math.floor(value / Math.pow(2, 6 * (bytes - 1))), 8);
+    for (let i = bytes - 2; i >= 0; i--) {
+        writer.write(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3f), 8);
+    }
+}
+
+function blockSizeCode(blockSize) {
+    if (blockSize === 192) return 1;
+    for (let code = 2; code <= 5; code++) {
+        if (blockSize === 576 << (code - 2)) return code;
+    }
+    for (let code = 8; code <= 15; code++) {
+        if (blockSize === 256 << (code - 8)) return code;
+    }
+    return blockSize <= 256 ? 6 : 7;
+}
+
+function sampleRateCode(sampleRate) {
+    const code = SAMPLE_RATES.indexOf(sampleRate);
+    if (code > 0) return code;
+    if (sampleRate % 1000 === 0 && sampleRate <= 255000) return 12;
+    if (sampleRate <= 65535) return 13;
+    if (sampleRate % 10 === 0 && sampleRate <= 655350) return 14;
+    return 0; // only in STREAMINFO
+}
+
+// Residuals of the fixed polynomial predictors of order 0-4 for samples
+// start..end of x (start >= order)
+function fixedResidual(x, order, start, end, residual) {
+    for (let i = start; i < end; i++) {
+        switch (order) {
+        case 0: residual[i] = x[i]; break;
+        case 1: residual[i] = x[i] - x[i - 1]; break;
+        case 2: residual[i] = x[i] - 2 * x[i - 1] + x[i - 2]; break;
+        case 3: residual[i] = x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3]; break;
+        default: residual[i] = x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4];
+        }
+    }
+}
+
+// Sum of absolute residuals of each fixed order, skipping the first 4
+// samples so the orders compare fairly
+function fixedErrors(x, n) {
+    const errors = [0, 0, 0, 0, 0];
+    for (let i = 4; i < n; i++) {
+        const e0 = x[i];
+        const e1 = e0 - x[i - 1];
+        const e2 = e1 - (x[i - 1] - x[i - 2]);
+        const e3 = e2 - (x[i - 1] - 2 * x[i - 2] + x[i - 3]);
+        const e4 = e3 - (x[i - 1] - 3 * x[i - 2] + 3 * x[i - 3] - x[i - 4]);
+        errors[0] += Math.abs(e0);
+        errors[1] += Math.abs(e1);
+        errors[2] += Math.abs(e2);
+        errors[3] += Math.abs(e3);
+        errors[4] += Math.abs(e4);
+    }
+    return errors;
+}
+
+// Rice parameter and estimated size in bits of a partition with `count`
+// residuals whose folded values sum to `sum`
+function riceCost(sum, count, maxParameter) {
+    if (count === 0) {
+        return { parameter: 0, bits: 0 };
+    }
+    let parameter = sum > count ? Math.min(maxParameter, Math.floor(Math.log2(sum / count))) : 0;
+    let bits = count * (parameter + 1) + Math.floor(sum / Math.pow(2, parameter));
+    if (parameter < maxParameter) {
+        const next = count * (parameter + 2) + Math.floor(sum / Math.pow(2, parameter + 1));
+        if (next < bits) {
+            parameter++;
+            bits = next;
+        }
+    }
+    return { parameter, bits };
+}
+
+// The cheapest Rice partitioning of residual[order..n): { partitionOrder,
+// parameters, rice2, bits } with bits counting the residual section
+function planResidual(residual, n, order) {
+    let maxOrder = 0;
+    while (maxOrder < MAX_PARTITION_ORDER && n % (2 << maxOrder) === 0 && (n >> (maxOrder + 1)) > order) {
+        maxOrder++;
+    }
+
+    // Folded sums of the finest partitions, merged pairwise for coarser ones
+    let sums = new Float64Array(1 << maxOrder);
+    const size = n >> maxOrder;
+    for (let p = 0; p < sums.length; p++) {
+        let sum = 0;
+        for (let i = Math.max(order, p * size); i < (p + 1) * size; i++) {
+            const r = residual[i];
+            sum += r < 0 ? -2 * r - 1 : 2 * r;
+        }
+        sums[p] = sum;
+    }
+
+    let best = null;
+    for (let partitionOrder = maxOrder; partitionOrder >= 0; partitionOrder--) {
+        const partitionSize = n >> partitionOrder;
+        const parameters = [];
+        let rice2 = false;
+        let bits = 6;
+        for (let p = 0; p < sums.length; p++) {
+            const cost = riceCost(sums[p], partitionSize - (p === 0 ? order : 0), 30);
+            parameters.push(cost.parameter);
+            rice2 = rice2 || cost.parameter > 14;
+            bits += cost.bits;
+        }
+        bits += parameters.length * (rice2 ? 5 : 4);
+        if (!best || bits < best.bits) {
+            best = { partitionOrder, parameters, rice2, bits };
+        }
+        if (partitionOrder > 0) {
+            const merged = new Float64Array(sums.length / 2);
+            for (let p = 0; p < merged.length; p++) {
+                merged[p] = sums[2 * p] + sums[2 * p + 1];
+            }
+            sums = merged;
+        }
+    }
+    return best;
+}
+
+function writeResidual(writer, residual, n, order, plan) {
+    writer.write(plan.rice2 ? 1 : 0, 2);
+    writer.write(plan.partitionOrder, 4);
+    const partitionSize = n >> plan.partitionOrder;
+    plan.parameters.forEach((parameter, p) => {
+        writer.write(parameter, plan.rice2 ? 5 : 4);
+        for (let i = Math.max(order, p * partitionSize); i < (p + 1) * partitionSize; i++) {
+            writer.writeRice(residual[i], parameter);
+        }
+    });
+}
+
+// LPC coefficients of every order up to maxOrder by Levinson-Durbin on the
+// autocorrelation of the windowed block; [{ coefficients, error }] by order - 1
+function computeLpc(x, n, maxOrder) {
+    // Tukey window with half of its length tapered
+    const windowed = new Float64Array(n);
+    const taper = Math.max(1, Math.floor(n / 4));
+    for (let i = 0; i < n; i++) {
+        const edge = Math.min(i, n - 1 - i);
+        windowed[i] = x[i] * (edge < taper ? 0.5 - 0.5 * Math.cos(Math.PI * edge / taper) : 1);
+    }
+    const autocorrelation = new Float64Array(maxOrder + 1);
+    for (let lag = 0; lag <= maxOrder; lag++) {
+        let sum = 0;
+        for (let i = lag; i < n; i++) {
+            sum += windowed[i] * windowed[i - lag];
+        }
+        autocorrelation[lag] = sum;
+    }
+    if (autocorrelation[0] === 0) {
+        return [];
+    }
+
+    const orders = [];
+    let coefficients = new Float64Array(0);
+    let error = autocorrelation[0];
+    for (let order = 1; order <= maxOrder; order++) {
+        let reflection = -autocorrelation[order];
+        for (let j = 0; j < order - 1; j++) {
+            reflection -= coefficients[j] * autocorrelation[order - 1 - j];
+        }
+        reflection /= error;
+        const next = new Float64Array(order);
+        for (let j = 0; j < order - 1; j++) {
+            next[j] = coefficients[j] + reflection * coefficients[order - 2 - j];
+        }
+        next[order - 1] = reflection;
+        coefficients = next;
+        error *= 1 - reflection * reflection;
+        if (!(error > 0)) {
+            break;
+        }
+        // FLAC predicts x[i] from +sum(c[j] * x[i - 1 - j])
+        orders.push({ coefficients: coefficients.map(c => -c), error });
+    }
+    return orders;
+}
+
+// Integer coefficients of QLP_PRECISION bits and the shift that scales them
+// back, rounding with error feedback; null when they do not fit
+function quantizeLpc(coefficients) {
+    const max = coefficients.reduce((m, c) => Math.max(m, Math.abs(c)), 0);
+    const limit = (1 << (QLP_PRECISION - 1)) - 1;
+    if (max === 0) {
+        return null;
+    }
+    let shift = 15;
+    while (shift > 0 && max * (1 << shift) > limit) {
+        shift--;
+    }
+    if (max * (1 << shift) > limit) {
+        return null;
+    }
+    const quantized = new Int32Array(coefficients.length);
+    let error = 0;
+    for (let j = 0; j < coefficients.length; j++) {
+        error += coefficients[j] * (1 << shift);
+        quantized[j] = Math.max(-limit - 1, Math.min(limit, Math.round(error)));
+        error -= quantized[j];
+    }
+    return { quantized, shift };
+}
+
+function lpcResidual(x, n, quantized, shift, residual) {
+    const order = quantized.length;
+    const scale = Math.pow(2, shift);
+    for (let i = order; i < n; i++) {
+        let sum = 0;
+        for (let j = 0; j < order; j++) {
+            sum += quantized[j] * x[i - 1 - j];
+        }
+        residual[i] = x[i] - Math.floor(sum / scale);
+    }
+}
+
+// Residuals beyond this make decoders with 32-bit residual buffers unsafe
+const RESIDUAL_LIMIT = 0x3fffffff;
+
+function fitsResidual(residual, order, n) {
+    for (let i = order; i < n; i++) {
+        if (Math.abs(residual[i]) > RESIDUAL_LIMIT) return false;
+    }
+    return true;
+}
+
+// Writes the cheapest subframe for samples x[0..n) of bps bits. scratch
+// holds two Float64Arrays of at least n for residuals.
+function writeSubframe(writer, x, n, bps, lpcOrder, scratch) {
+    let constant = true;
+    let ored = 0;
+    for (let i = 0; i < n; i++) {
+        constant = constant && x[i] === x[0];
+        ored |= x[i];
+    }
+    if (constant) {
+        writer.write(0, 8);
+        writer.writeSigned(x[0], bps);
+        return;
+    }
+
+    // Low bits that are zero in every sample are sent once
+    let wasted = 0;
+    while (!(ored & 1) && wasted < bps - 1) {
+        ored >>= 1;
+        wasted++;
+    }
+    if (wasted > 0) {
+        const shifted = new Int32Array(n);
+        for (let i = 0; i < n; i++) {
+            shifted[i] = x[i] >> wasted;
+        }
+        x = shifted;
+        bps -= wasted;
+    }
+
+    const [fixedBuffer, lpcBuffer] = scratch;
+    let best = { type: 'verbatim', bits: n * bps };
+
+    if (n > 4) {
+        const errors = fixedErrors(x, n);
+        const order = errors.indexOf(Math.min(...errors));
+        fixedResidual(x, order, order, n, fixedBuffer);
+        const plan = planResidual(fixedBuffer, n, order);
+        const bits = order * bps + plan.bits;
+        if (bits < best.bits && fitsResidual(fixedBuffer, order, n)) {
+            best = { type: 'fixed', order, plan, bits };
+        }
+    }
+
+    const maxOrder = Math.min(lpcOrder, n - 1);
+    if (maxOrder > 0 && n > 4) {
+        const candidates = computeLpc(x, n, maxOrder);
+        // The order with the fewest expected bits, from the prediction error
+        let chosen = null;
+        candidates.forEach(({ coefficients, error }, index) => {
+            const order = index + 1;
+            const bitsPerSample = Math.max(0, 0.5 * Math.log2(error / (2 * n)));
+            const bits = bitsPerSample * (n - order) + order * (bps + QLP_PRECISION);
+            if (!chosen || bits < chosen.bits) {
+                chosen = { coefficients, bits };
+            }
+        });
+        const lpc = chosen && quantizeLpc(chosen.coefficients);
+        if (lpc) {
+            const order = lpc.quantized.length;
+            lpcResidual(x, n, lpc.quantized, lpc.shift, lpcBuffer);
+            const plan = planResidual(lpcBuffer, n, order);
+            const bits = order * (bps + QLP_PRECISION) + 9 + plan.bits;
+            if (bits < best.bits && fitsResidual(lpcBuffer, order, n)) {
+                best = { type: 'lpc', order, plan, bits, lpc };
+            }
+        }
+    }
+
+    const typeCode = best.type === 'verbatim' ? 1 : best.type === 'fixed' ? 8 + best.order : 31 + best.order;
+    writer.write(typeCode << 1 | (wasted > 0 ? 1 : 0), 8);
+    if (wasted > 0) {
+        writer.writeUnary(wasted - 1);
+    }
+    if (best.type === 'verbatim') {
+        for (let i = 0; i < n; i++) {
+            writer.writeSigned(x[i], bps);
+        }
+        return;
+    }
+    for (let i = 0; i < best.order; i++) {
+        writer.writeSigned(x[i], bps);
+    }
+    if (best.type === 'fixed') {
+        writeResidual(writer, fixedBuffer, n, best.order, best.plan);
+        return;
+    }
+    writer.write(QLP_PRECISION - 1, 4);
+    writer.writeSigned(best.lpc.shift, 5);
+    for (const coefficient of best.lpc.quantized) {
+        writer.writeSigned(coefficient, QLP_PRECISION);
+    }
+    writeResidual(writer, lpcBuffer, n, best.order, best.plan);
+}
+
+// Rough size in bits of a channel from its best fixed predictor, to choose
+// the stereo decorrelation
+function estimateBits(x, n) {
+    const errors = fixedErrors(x, n);
+    const mean = Math.min(...errors) / Math.max(1, n - 4);
+    return n * Math.log2(mean + 1);
+}
+
+function chooseStereo(left, right, n, mid, side) {
+    for (let i = 0; i < n; i++) {
+        mid[i] = (left[i] + right[i]) >> 1;
+        side[i] = left[i] - right[i];
+    }
+    const l = estimateBits(left, n);
+    const r = estimateBits(right, n);
+    const m = estimateBits(mid, n);
+    const s = estimateBits(side, n);
+    const options = [[l + r, 1], [l + s, LEFT_SIDE], [s + r, SIDE_RIGHT], [m + s, MID_SIDE]];
+    return options.reduce((best, option) => option[0] < best[0] ? option : best)[1];
+}
+
+function writeFrame(writer, samples, n, frameNumber, format, scratch) {
+    const { numberOfChannels, sampleRate, bitDepth, lpcOrder } = format;
+    const start = writer.length;
+
+    let assignment = numberOfChannels - 1;
+    let subframes = samples.map(x => [x, bitDepth]);
+    if (numberOfChannels === 2 && n > 4) {
+        const [left, right] = samples;
+        const [mid, side] = scratch.stereo;
+        assignment = chooseStereo(left, right, n, mid, side);
+        if (assignment === LEFT_SIDE) subframes = [[left, bitDepth], [side, bitDepth + 1]];
+        if (assignment === SIDE_RIGHT) subframes = [[side, bitDepth + 1], [right, bitDepth]];
+        if (assignment === MID_SIDE) subframes = [[mid, bitDepth], [side, bitDepth + 1]];
+    }
+
+    const sizeCode = blockSizeCode(n);
+    const rateCode = sampleRateCode(sampleRate);
+    writer.write(0xfff8, 16); // sync code, fixed block size
+    writer.write(sizeCode, 4);
+    writer.write(rateCode, 4);
+    writer.write(assignment, 4);
+    writer.write(SAMPLE_SIZES.indexOf(bitDepth), 3);
+    writer.write(0, 1);
+    writeCodedNumber(writer, frameNumber);
+    if (sizeCode === 6) writer.write(n - 1, 8);
+    if (sizeCode === 7) writer.write(n - 1, 16);
+    if (rateCode === 12) writer.write(sampleRate / 1000, 8);
+    if (rateCode === 13) writer.write(sampleRate, 16);
+    if (rateCode === 14) writer.write(sampleRate / 10, 16);
+    writer.write(crc8(writer.bytes, start, writer.length), 8);
+
+    for (const [x, bps] of subframes) {
+        writeSubframe(writer, x, n, bps, lpcOrder, scratch.residual);
+    }
+    writer.align();
+    writer.write(crc16(writer.bytes, start, writer.length), 16);
+    return writer.length - start;
+}
+
+// 'fLaC' and the STREAMINFO block, the only metadata written
+function writeStreamInfo(header, info) {
+    const writer = createBitWriter(header.length);
+    writer.write(0x664c6143, 32); // 'fLaC'
+    writer.write(0x80, 8); // last metadata block, type 0
+    writer.write(34, 24);
+    writer.write(info.blockSize, 16);
+    writer.write(info.blockSize, 16);
+    writer.write(info.minFrameSize, 24);
+    writer.write(info.maxFrameSize, 24);
+    writer.write(info.sampleRate, 20);
+    writer.write(info.numberOfChannels - 1, 3);
+    writer.write(info.bitDepth - 1, 5);
+    writer.write(Math.floor(info.numberOfSamples / 4294967296), 4);
+    writer.write(info.numberOfSamples % 4294967296, 32);
+    info.md5.forEach(byte => writer.write(byte, 8));
+    header.set(writer.bytes.subarray(0, writer.length));
+}
+
+// channels: Float32Array[] of equal length, 1-8 of them. options: see
+// validateFlacEncoding. Yields the file as Uint8Array parts of about partSize
+// bytes, whole frames each. The first part, the 42 byte stream header, is
+// filled in when the generator finishes: its MD5 signature and frame sizes
+// are only known then. Write it last when streaming to a file.
+// progress: an optional createStageProgress tracker for the 'encode' stage.
+export function* encodeFlacParts(channels, sampleRate, options = {}, { progress = null, partSize = FLAC_PART_SIZE } = {}) {
+    const { bitDepth, dither, noiseShaping, blockSize, lpcOrder } = validateFlacEncoding(options);
+    const numberOfChannels = channels.length;
+    if (numberOfChannels < 1 || numberOfChannels > 8) {
+        throw new PaulStretchError(`FLAC holds 1 to 8 channels, got ${numberOfChannels}`);
+    }
+    const numberOfSamples = channels[0].length;
+    if (!Number.isInteger(sampleRate) || sampleRate < 1 || sampleRate > 1048575) {
+        throw new PaulStretchError(`FLAC cannot store the sample rate ${sampleRate}`);
+    }
+
+    const header = new Uint8Array(42);
+    yield header;
+
+    const format = { numberOfChannels, sampleRate, bitDepth, lpcOrder };
+    const quantizers = channels.map((data, channel) => createQuantizer(bitDepth, { dither, noiseShaping, channel }));
+    const samples = channels.map(() => new Int32Array(blockSize));
+    const scratch = {
+        stereo: [new Int32Array(blockSize), new Int32Array(blockSize)],
+        residual: [new Float64Array(blockSize), new Float64Array(blockSize)]
+    };
+    const bytesPerSample = bitDepth / 8;
+    const md5 = createMd5();
+    const md5Bytes = new Uint8Array(blockSize * numberOfChannels * bytesPerSample);
+    const writer = createBitWriter(Math.min(partSize, 1 << 20) + 65536);
+    let minFrameSize = Infinity;
+    let maxFrameSize = 0;
+
+    for (let start = 0, frameNumber = 0; start < numberOfSamples; start += blockSize, frameNumber++) {
+        const n = Math.min(blockSize, numberOfSamples - start);
+        // The MD5 signature covers the samples as little-endian integers
+        let pos = 0;
+        for (let i = 0; i < n; i++) {
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                const value = quantizers[channel](channels[channel][start + i]);
+                samples[channel][i] = value;
+                for (let byte = 0; byte < bytesPerSample; byte++) {
+                    md5Bytes[pos++] = (value >> (8 * byte)) & 0xff;
+                }
+            }
+        }
+        md5.update(md5Bytes.subarray(0, pos));
+
+        const frameSize = writeFrame(writer, samples, n, frameNumber, format, scratch);
+        minFrameSize = Math.min(minFrameSize, frameSize);
+        maxFrameSize = Math.max(maxFrameSize, frameSize);
+        if (progress) {
+            progress.advance(n);
+        }
+        if (writer.length >= partSize) {
+            yield writer.take();
+        }
+    }
+    if (writer.length > 0) {
+        yield writer.take();
+    }
+
+    writeStreamInfo(header, {
+        blockSize,
+        minFrameSize: numberOfSamples > 0 ? minFrameSize : 0,
+        maxFrameSize,
+        sampleRate,
+        numberOfChannels,
+        bitDepth,
+        numberOfSamples,
+        md5: md5.digest()
+    });
+    if (progress) {
+        progress.done();
+    }
+}
+
+// The whole file in one ArrayBuffer
+export function encodeFlac(channels, sampleRate, options = {}, progress = null) {
+    const parts = Array.from(encodeFlacParts(channels, sampleRate, options, { progress, partSize: Infinity }));
+    const bytes = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+        bytes.set(part, pos);
+        pos += part.length;
+    }
+    return bytes.buffer;
+}
+
+// MSB-first bit input; throws on reading past the end
+function createBitReader(bytes, start) {
+    let pos = start;
+    let bit = 0;
+
+    const reader = {
+        get position() {
+            return pos;
+        },
+        read(bits) {
+            let value = 0;
+            while (bits > 0) {
+                if (pos >= bytes.length) {
+                    throw new PaulStretchError('Truncated FLAC frame');
+                }
+                const available = 8 - bit;
+                const take = Math.min(available, bits);
+                value = value * (1 << take) + ((bytes[pos] >> (available - take)) & ((1 << take) - 1));
+                bit += take;
+                bits -= take;
+                if (bit === 8) {
+                    bit = 0;
+                    pos++;
+                }
+            }
+            return value;
+        },
+        readSigned(bits) {
+            const value = reader.read(bits);
+            return bits > 0 && value >= Math.pow(2, bits - 1) ? value - Math.pow(2, bits) : value;
+        },
+        // Zero bits up to the next one
+        readUnary() {
+            let q = 0;
+            while (reader.read(1) === 0) {
+                q++;
+            }
+            return q;
+        },
+        align() {
+            if (bit > 0) {
+                bit = 0;
+                pos++;
+            }
+        }
+    };
+    return reader;
+}
+
+function readCodedNumber(reader) {
+    const first = reader.read(8);
+    let bytes = 0;
+    while (bytes < 8 && first & (0x80 >> bytes)) {
+        bytes++;
+    }
+    if (bytes === 1 || bytes > 7) {
+        throw new PaulStretchError('Invalid FLAC frame number');
+    }
+    let value = bytes === 0 ? first : first & (0xff >> (bytes + 1));
+    for (let i = 1; i < bytes; i++) {
+        value = value * 64 + (reader.read(8) & 0x3f);
+    }
+    return value;
+}
+
+function readResidual(reader, residual, n, order) {
+    const method = reader.read(2);
+    if (method > 1) {
+        throw new PaulStretchError('Reserved FLAC residual coding method');
+    }
+    const parameterBits = method === 0 ? 4 : 5;
+    const escape = (1 << parameterBits) - 1;
+    const partitionOrder = reader.read(4);
+    const partitionSize = n >> partitionOrder;
+    for (let p = 0; p < 1 << partitionOrder; p++) {
+        const parameter = reader.read(parameterBits);
+        const end = (p + 1) * partitionSize;
+        let i = Math.max(order, p * partitionSize);
+        if (parameter === escape) {
+            const bits = reader.read(5);
+            for (; i < end; i++) {
+                residual[i] = reader.readSigned(bits);
+            }
+            continue;
+        }
+        for (; i < end; i++) {
+            const folded = reader.readUnary() * Math.pow(2, parameter) + reader.read(parameter);
+            residual[i] = folded % 2 ? -(folded + 1) / 2 : folded / 2;
+        }
+    }
+}
+
+const FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+function readSubframe(reader, n, bps) {
+    const x = new Float64Array(n);
+    if (reader.read(1) !== 0) {
+        throw new PaulStretchError('Invalid FLAC subframe header');
+    }
+    const type = reader.read(6);
+    const wasted = reader.read(1) ? reader.readUnary() + 1 : 0;
+    bps -= wasted;
+
+    if (type === 0) {
+        x.fill(reader.readSigned(bps));
+    } else if (type === 1) {
+        for (let i = 0; i < n; i++) {
+            x[i] = reader.readSigned(bps);
+        }
+    } else if ((type >= 8 && type <= 12) || type >= 32) {
+        const lpc = type >= 32;
+        const order = lpc ? type - 31 : type - 8;
+        if (order > n) {
+            throw new PaulStretchError('FLAC predictor order exceeds the block size');
+        }
+        for (let i = 0; i < order; i++) {
+            x[i] = reader.readSigned(bps);
+        }
+        let coefficients = FIXED_COEFFICIENTS[order];
+        let scale = 1;
+        if (lpc) {
+            const precision = reader.read(4) + 1;
+            if (precision === 16) {
+                throw new PaulStretchError('Invalid FLAC LPC precision');
+            }
+            const shift = reader.readSigned(5);
+            if (shift < 0) {
+                throw new PaulStretchError('Negative FLAC LPC shift');
+            }
+            scale = Math.pow(2, shift);
+            coefficients = Array.from({ length: order }, () => reader.readSigned(precision));
+        }
+        readResidual(reader, x, n, order);
+        // x holds the residual after the warm-up samples until predicted
+        for (let i = order; i < n; i++) {
+            let sum = 0;
+            for (let j = 0; j < order; j++) {
+                sum += coefficients[j] * x[i - 1 - j];
+            }
+            x[i] += Math.floor(sum / scale);
+        }
+    } else {
+        throw new PaulStretchError(`Reserved FLAC subframe type ${type}`);
+    }
+
+    if (wasted > 0) {
+        const scale = Math.pow(2, wasted);
+        for (let i = 0; i < n; i++) {
+            x[i] *= scale;
+        }
+    }
+    return x;
+}
+
+// One frame: { channels: Float64Array[] of integer samples, bitDepth }
+function readFrame(reader, bytes, info) {
+    const start = reader.position;
+    if (reader.read(15) !== 0x7ffc) {
+        throw new PaulStretchError('Lost FLAC frame sync');
+    }
+    reader.read(1); // blocking strategy; the header tells the size either way
+    const sizeCode = reader.read(4);
+    const rateCode = reader.read(4);
+    const assignment = reader.read(4);
+    const bitsCode = reader.read(3);
+    reader.read(1);
+    readCodedNumber(reader);
+
+    let n;
+    if (sizeCode === 0) {
+        throw new PaulStretchError('Reserved FLAC block size');
+    } else if (sizeCode === 1) {
+        n = 192;
+    } else if (sizeCode <= 5) {
+        n = 576 << (sizeCode - 2);
+    } else if (sizeCode === 6) {
+        n = reader.read(8) + 1;
+    } else if (sizeCode === 7) {
+        n = reader.read(16) + 1;
+    } else {
+        n = 256 << (sizeCode - 8);
+    }
+    if (rateCode === 12) reader.read(8);
+    if (rateCode === 13 || rateCode === 14) reader.read(16);
+    if (rateCode === 15 || bitsCode === 3 || assignment > MID_SIDE) {
+        throw new PaulStretchError('Invalid FLAC frame header');
+    }
+    const bitDepth = bitsCode === 0 ? info.bitDepth : SAMPLE_SIZES[bitsCode];
+    const headerEnd = reader.position;
+    if (reader.read(8) !== crc8(bytes, start, headerEnd)) {
+        throw new PaulStretchError('FLAC frame header CRC mismatch');
+    }
+
+    const numberOfChannels = assignment <= 7 ? assignment + 1 : 2;
+    const channels = [];
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+        const side = (assignment === LEFT_SIDE || assignment === MID_SIDE) ? channel === 1 : assignment === SIDE_RIGHT && channel === 0;
+        channels.push(readSubframe(reader, n, bitDepth + (side ? 1 : 0)));
+    }
+    reader.align();
+    const frameEnd = reader.position;
+    if (reader.read(16) !== crc16(bytes, start, frameEnd)) {
+        throw new PaulStretchError('FLAC frame CRC mismatch');
+    }
+
+    if (assignment >= LEFT_SIDE) {
+        const [a, b] = channels;
+        for (let i = 0; i < n; i++) {
+            if (assignment === LEFT_SIDE) {
+                b[i] = a[i] - b[i];
+            } else if (assignment === SIDE_RIGHT) {
+                a[i] = a[i] + b[i];
+            } else {
+                const mid = a[i] * 2 + (b[i] & 1);
+                a[i] = (mid + b[i]) / 2;
+                b[i] = (mid - b[i]) / 2;
+            }
+        }
+    }
+    return { channels, bitDepth };
+}
+
+// bytes: ArrayBuffer or typed array holding a whole FLAC file, optionally
+// behind an ID3v2 tag. Returns { sampleRate, channels: Float32Array[],
+// channelMask } like decodeWav, channelMask always null. Checks the frame
+// CRCs; a truncated file keeps the frames before the damage.
+export function decodeFlac(bytes) {
+    const view = toDataView(bytes);
+    const data = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+    let pos = flacStart(view);
+    if (pos < 0) {
+        throw new PaulStretchError('Not a FLAC file');
+    }
+    pos += 4;
+
+    let info = null;
+    for (let last = false; !last;) {
+        if (pos + 4 > data.length) {
+            throw new PaulStretchError('Truncated FLAC metadata');
+        }
+        last = (data[pos] & 0x80) !== 0;
+        const type = data[pos] & 0x7f;
+        const length = (data[pos + 1] << 16) | (data[pos + 2] << 8) | data[pos + 3];
+        if (type === 0 && length >= 34) {
+            const reader = createBitReader(data, pos + 4);
+            reader.read(16 + 16 + 24 + 24);
+            info = {
+                sampleRate: reader.read(20),
+                numberOfChannels: reader.read(3) + 1,
+                bitDepth: reader.read(5) + 1
+            };
+        }
+        pos += 4 + length;
+    }
+    if (!info) {
+        throw new PaulStretchError('FLAC file without STREAMINFO');
+    }
+
+    const frames = [];
+    const reader = createBitReader(data, pos);
+    while (reader.position + 2 <= data.length) {
+        try {
+            frames.push(readFrame(reader, data, info));
+        } catch (error) {
+            if (frames.length === 0) {
+                throw error;
+            }
+            break;
+        }
+    }
+
+    const length = frames.reduce((sum, frame) => sum + frame.channels[0].length, 0);
+    const channels = Array.from({ length: info.numberOfChannels }, () => new Float32Array(length));
+    let offset = 0;
+    for (const frame of frames) {
+        const scale = Math.pow(2, frame.bitDepth - 1);
+        const count = Math.min(info.numberOfChannels, frame.channels.length);
+        for (let channel = 0; channel < count; channel++) {
+            const samples = frame.channels[channel];
+            const target = channels[channel];
+            for (let i = 0; i < samples.length; i++) {
+                target[offset + i] = samples[i] / scale;
+            }
+        }
+        offset += frame.channels[0].length;
+    }
+    return { sampleRate: info.sampleRate, channels, channelMask: null };
+}
+
+// Offset of 'fLaC' at the start or behind an ID3v2 tag, else -1
+export function flacStart(view) {
+    let pos = 0;
+    if (view.byteLength >= 10 && readTag(view, 0).startsWith('ID3')) {
+        // Syncsafe size: 7 bits per byte
+        const size = ((view.getUint8(6) & 0x7f) << 21) | ((view.getUint8(7) & 0x7f) << 14) |
+            ((view.getUint8(8) & 0x7f) << 7) | (view.getUint8(9) & 0x7f);
+        pos = 10 + size + (view.getUint8(5) & 0x10 ? 10 : 0);
+    }
+    return pos + 4 <= view.byteLength && readTag(view, pos) === 'fLaC' ? pos : -1;
+}
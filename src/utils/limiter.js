@@ -0,0 +1,79 @@
+import { PaulStretchError } from './errors.js';
+import { PEAK_TARGET } from './normalize.js';
+
+// Lookahead peak limiter for output rendered block by block, where the peak of
+// the whole output is unknown until the end (see stretchStream).
+//
+//   ceiling     dBFS the output never exceeds (default: the PEAK_TARGET of
+//               the peak normalization modes, about -0.45 dBFS)
+//   lookahead   seconds over which the gain ramps down before a peak
+//   release     seconds for the gain to recover (time constant)
+//
+// No make-up gain is applied: material below the ceiling passes unchanged.
+
+const DEFAULT_LIMITER = {
+    ceiling: 20 * Math.log10(PEAK_TARGET),
+    lookahead: 0.005,
+    release: 0.1
+};
+
+// Returns the complete settings for `true` or a partial settings object
+export function validateLimiter(limiter) {
+    if (limiter !== true && (!limiter || typeof limiter !== 'object')) {
+        throw new PaulStretchError('limiter must be true or { ceiling, lookahead, release }');
+    }
+    const settings = { ...DEFAULT_LIMITER, ...(limiter === true ? {} : limiter) };
+    if (typeof settings.ceiling !== 'number' || !isFinite(settings.ceiling)) {
+        throw new PaulStretchError('limiter.ceiling must be a finite level in dBFS, e.g. -1');
+    }
+    for (const key of ['lookahead', 'release']) {
+        if (typeof settings[key] !== 'number' || !(settings[key] > 0) || !isFinite(settings[key])) {
+            throw new PaulStretchError(`limiter.${key} must be a positive number of seconds`);
+        }
+    }
+    return settings;
+}
+
+// limit(block, next) scales one block of channels in place. `next` is the
+// following block (null for the last one), read up to the lookahead so the
+// gain is already down when a peak right after the block boundary arrives.
+export function createLimiter(sampleRate, limiter = true) {
+    const { ceiling, lookahead, release } = validateLimiter(limiter);
+    const threshold = Math.pow(10, ceiling / 20);
+    const ahead = Math.max(1, Math.round(lookahead * sampleRate));
+    const step = 1 / ahead;
+    const recovery = Math.exp(-1 / (release * sampleRate));
+    let gain = 1;
+
+    return function limit(block, next = null) {
+        const length = block[0].length;
+        const span = next ? Math.min(ahead, next[0].length) : 0;
+
+        // Backwards: the gain each sample needs, lowered further wherever a
+        // peak follows within the lookahead, so it ramps down into every peak
+        const envelope = new Float64Array(length);
+        let needed = 1;
+        for (let i = length + span - 1; i >= 0; i--) {
+            const source = i < length ? block : next;
+            const index = i < length ? i : i - length;
+            let peak = 0;
+            for (const data of source) {
+                const value = Math.abs(data[index]);
+                if (value > peak) peak = value;
+            }
+            needed = Math.min(peak > threshold ? threshold / peak : 1, needed + step);
+            if (i < length) {
+                envelope[i] = needed;
+            }
+        }
+
+        // Forwards: follow the envelope down at once, back up with the release
+        for (let i = 0; i < length; i++) {
+            const target = envelope[i];
+            gain = target < gain ? target : target - (target - gain) * recovery;
+            for (const data of block) {
+                data[i] *= gain;
+            }
+        }
+    };
+}
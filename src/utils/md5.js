@@ -0,0 +1,81 @@
+// Incremental MD5 (RFC 1321), for the signature FLAC stores of the unencoded
+// samples. Browsers have no synchronous digest, and crypto.subtle has no MD5.
+
+const SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+// floor(abs(sin(i + 1)) * 2^32)
+const CONSTANTS = Int32Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 4294967296));
+
+// { update(bytes), digest() }: feed Uint8Arrays in order, then take the 16
+// byte digest once
+export function createMd5() {
+    const state = Int32Array.of(0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476);
+    const block = new Uint8Array(64);
+    const words = new Int32Array(16);
+    let blockLength = 0;
+    let length = 0;
+
+    function transform() {
+        for (let i = 0; i < 16; i++) {
+            words[i] = block[i * 4] | (block[i * 4 + 1] << 8) | (block[i * 4 + 2] << 16) | (block[i * 4 + 3] << 24);
+        }
+        let [a, b, c, d] = state;
+        for (let i = 0; i < 64; i++) {
+            let f;
+            let g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) & 15;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) & 15;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) & 15;
+            }
+            const sum = (a + f + CONSTANTS[i] + words[g]) | 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << SHIFTS[i]) | (sum >>> (32 - SHIFTS[i])))) | 0;
+        }
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+    }
+
+    function update(bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            block[blockLength++] = bytes[i];
+            if (blockLength === 64) {
+                transform();
+                blockLength = 0;
+            }
+        }
+        length += bytes.length;
+    }
+
+    function digest() {
+        const bits = length * 8;
+        const padding = new Uint8Array((blockLength < 56 ? 56 : 120) - blockLength + 8);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, bits % 4294967296, true);
+        view.setUint32(padding.length - 4, Math.floor(bits / 4294967296), true);
+        update(padding);
+        const result = new DataView(new ArrayBuffer(16));
+        state.forEach((word, i) => result.setInt32(i * 4, word, true));
+        return new Uint8Array(result.buffer);
+    }
+
+    return { update, digest };
+}
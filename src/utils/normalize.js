@@ -0,0 +1,315 @@
+import { PaulStretchError } from './errors.js';
+
+// Output normalization shared by every engine.
+//
+//   'peak-per-channel'     each channel scaled to PEAK_TARGET on its own (default)
+//   'peak-linked'          one gain for all channels, keeps the stereo balance
+//   'none'                 leave the rendered levels alone
+//   { lufs, truePeak }     integrated loudness target (ITU-R BS.1770), with an
+//                          optional true-peak ceiling in dBTP
+
+export const PEAK_TARGET = 0.95;
+
+export function validateNormalization(mode) {
+    if (mode === 'none' || mode === 'peak-linked' || mode === 'peak-per-channel') {
+        return mode;
+    }
+    if (mode && typeof mode === 'object') {
+        if (typeof mode.lufs !== 'number' || !isFinite(mode.lufs)) {
+            throw new PaulStretchError('normalize.lufs must be a finite loudness target, e.g. -16');
+        }
+        if (mode.truePeak !== undefined && (typeof mode.truePeak !== 'number' || !isFinite(mode.truePeak))) {
+            throw new PaulStretchError('normalize.truePeak must be a finite ceiling in dBTP, e.g. -1');
+        }
+        return mode;
+    }
+    throw new PaulStretchError(`Unknown normalize mode '${mode}'; use 'none', 'peak-linked', 'peak-per-channel' or { lufs }`);
+}
+
+// Scale the channels (Float32Arrays) in place
+export function normalizeChannels(channels, sampleRate, mode = 'peak-per-channel') {
+    if (mode === 'none') {
+        return;
+    }
+
+    const meter = createLevelMeter(mode, channels.length, sampleRate);
+    meter.add(channels);
+    const gains = meter.gains();
+    channels.forEach((data, ch) => applyGain(data, gains[ch]));
+}
+
+// The measurements behind normalizeChannels, fed block by block for output
+// that never exists as a whole (see stretchStream): add() every block of
+// channels in order, then gains() returns the gain of each channel.
+export function createLevelMeter(mode, numChannels, sampleRate) {
+    const peaks = new Float64Array(numChannels);
+    const loudness = mode && typeof mode === 'object' ? createLoudnessMeter(numChannels, sampleRate) : null;
+    const truePeak = loudness && mode.truePeak !== undefined ? createTruePeakMeter(numChannels) : null;
+    const same = (gain) => new Array(numChannels).fill(gain);
+
+    return {
+        add(channels) {
+            if (mode === 'peak-per-channel' || mode === 'peak-linked') {
+                channels.forEach((data, ch) => {
+                    peaks[ch] = Math.max(peaks[ch], peakOf(data));
+                });
+            }
+            if (loudness) loudness.add(channels);
+            if (truePeak) truePeak.add(channels);
+        },
+
+        gains() {
+            if (mode === 'none') {
+                return same(1);
+            }
+            if (mode === 'peak-per-channel') {
+                return Array.from(peaks, gainForPeak);
+            }
+            if (mode === 'peak-linked') {
+                return same(gainForPeak(Math.max(0, ...peaks)));
+            }
+
+            const lufs = loudness.finish();
+            if (!isFinite(lufs)) {
+                return same(1); // silence, or shorter than one 400 ms block
+            }
+
+            let gain = Math.pow(10, (mode.lufs - lufs) / 20);
+            if (truePeak) {
+                const peak = truePeak.finish();
+                const ceiling = Math.pow(10, mode.truePeak / 20);
+                if (peak * gain > ceiling) {
+                    gain = ceiling / peak;
+                }
+            }
+            return same(gain);
+        }
+    };
+}
+
+// Integrated loudness in LUFS (ITU-R BS.1770-4): K-weighting, 400 ms blocks
+// with 75% overlap, -70 LUFS absolute gate and -10 LU relative gate
+export function measureLoudness(channels, sampleRate) {
+    const meter = createLoudnessMeter(channels.length, sampleRate);
+    meter.add(channels);
+    return meter.finish();
+}
+
+// Highest absolute sample value after 4x oversampling (linear, not dB)
+export function measureTruePeak(channels) {
+    const meter = createTruePeakMeter(channels.length);
+    meter.add(channels);
+    return meter.finish();
+}
+
+function createLoudnessMeter(numChannels, sampleRate) {
+    const subBlockSize = Math.round(sampleRate * 0.1);
+
+    // 5.1 in L R C LFE Ls Rs order: LFE is ignored, surrounds weighted +1.5 dB
+    const weights = [];
+    for (let ch = 0; ch < numChannels; ch++) {
+        weights.push(numChannels !== 6 ? 1 : ch === 3 ? 0 : (ch >= 4 ? 1.41 : 1));
+    }
+
+    // Weighted energy of every complete 100 ms sub-block, summed over
+    // channels; a sub-block may span several add() calls
+    const subBlockEnergy = [];
+    const filter = createKWeighting(sampleRate);
+    const states = weights.map(() => [0, 0, 0, 0]);
+    const sums = new Float64Array(numChannels);
+    let filled = 0;
+
+    return {
+        add(channels) {
+            const length = channels[0].length;
+            for (let start = 0; start < length;) {
+                const end = Math.min(length, start + subBlockSize - filled);
+                for (let ch = 0; ch < numChannels; ch++) {
+                    if (weights[ch] === 0) continue;
+                    const data = channels[ch];
+                    const state = states[ch];
+                    let sum = sums[ch];
+                    for (let i = start; i < end; i++) {
+                        const y = filter(data[i], state);
+                        sum += y * y;
+                    }
+                    sums[ch] = sum;
+                }
+                filled += end - start;
+                start = end;
+
+                if (filled === subBlockSize) {
+                    let energy = 0;
+                    for (let ch = 0; ch < numChannels; ch++) {
+                        if (weights[ch] === 0) continue;
+                        energy += weights[ch] * sums[ch];
+                        sums[ch] = 0;
+                    }
+                    subBlockEnergy.push(energy);
+                    filled = 0;
+                }
+            }
+        },
+
+        finish() {
+            const numSubBlocks = subBlockEnergy.length;
+            if (numSubBlocks < 4) {
+                return -Infinity;
+            }
+
+            // 400 ms gating blocks
+            const blockSamples = subBlockSize * 4;
+            const blocks = [];
+            for (let i = 0; i + 4 <= numSubBlocks; i++) {
+                const energy = (subBlockEnergy[i] + subBlockEnergy[i + 1] + subBlockEnergy[i + 2] + subBlockEnergy[i + 3]) / blockSamples;
+                blocks.push(energy);
+            }
+
+            const toLufs = (energy) => -0.691 + 10 * Math.log10(energy);
+            const meanEnergy = (list) => list.reduce((sum, e) => sum + e, 0) / list.length;
+
+            const absoluteGated = blocks.filter(e => toLufs(e) > -70);
+            if (absoluteGated.length === 0) {
+                return -Infinity;
+            }
+            const relativeGate = toLufs(meanEnergy(absoluteGated)) - 10;
+            const gated = absoluteGated.filter(e => toLufs(e) > relativeGate);
+
+            return toLufs(meanEnergy(gated));
+        }
+    };
+}
+
+function createTruePeakMeter(numChannels) {
+    const phases = getOversamplingPhases();
+    const taps = phases[0].length;
+    // Sample n is interpolated from n - before .. n + after
+    const before = taps / 2 - 1;
+    const after = taps / 2;
+    let peak = 0;
+
+    // Per channel, the samples from `before` ahead of the next one to measure
+    // on; the leading zeros stand in for the samples before the start
+    const pending = [];
+    for (let ch = 0; ch < numChannels; ch++) {
+        pending.push(new Float64Array(before));
+    }
+
+    const measure = (data, count) => {
+        for (let n = before; n < before + count; n++) {
+            const sample = Math.abs(data[n]);
+            if (sample > peak) peak = sample;
+
+            for (const phase of phases) {
+                let sum = 0;
+                for (let k = 0; k < taps; k++) {
+                    sum += phase[k] * data[n + after - k];
+                }
+                const value = Math.abs(sum);
+                if (value > peak) peak = value;
+            }
+        }
+    };
+
+    const append = (ch, block) => {
+        const data = new Float64Array(pending[ch].length + block.length);
+        data.set(pending[ch]);
+        data.set(block, pending[ch].length);
+        const count = Math.max(0, data.length - before - after);
+        measure(data, count);
+        pending[ch] = data.slice(count);
+    };
+
+    return {
+        add(channels) {
+            channels.forEach((block, ch) => append(ch, block));
+        },
+
+        // Measures the last samples against zeros past the end
+        finish() {
+            for (let ch = 0; ch < numChannels; ch++) {
+                append(ch, new Float64Array(after));
+            }
+            return peak;
+        }
+    };
+}
+
+function peakOf(data) {
+    let peak = 0;
+    for (let i = 0; i < data.length; i++) {
+        const value = Math.abs(data[i]);
+        if (value > peak) peak = value;
+    }
+    return peak;
+}
+
+function gainForPeak(peak) {
+    return peak > 0 ? PEAK_TARGET / peak : 1;
+}
+
+function applyGain(data, gain) {
+    if (gain === 1) return;
+    for (let i = 0; i < data.length; i++) {
+        data[i] *= gain;
+    }
+}
+
+// K-weighting pre-filter (high shelf + RLB high-pass) for any sample rate,
+// as two direct-form biquads sharing one state array
+function createKWeighting(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const b0 = (Vh + Vb * K / Q + K * K) / a0;
+    const b1 = 2 * (K * K - Vh) / a0;
+    const b2 = (Vh - Vb * K / Q + K * K) / a0;
+    const a1 = 2 * (K * K - 1) / a0;
+    const a2 = (1 - K / Q + K * K) / a0;
+
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const c1 = 2 * (K * K - 1) / a0;
+    const c2 = (1 - K / Q + K * K) / a0;
+
+    return function(x, state) {
+        // Stage 1: shelf (transposed direct form II)
+        const y1 = b0 * x + state[0];
+        state[0] = b1 * x - a1 * y1 + state[1];
+        state[1] = b2 * x - a2 * y1;
+
+        // Stage 2: high-pass with numerator 1, -2, 1
+        const y2 = y1 + state[2];
+        state[2] = -2 * y1 - c1 * y2 + state[3];
+        state[3] = y1 - c2 * y2;
+        return y2;
+    };
+}
+
+// Polyphase taps for the three in-between phases of a 4x windowed-sinc
+// interpolator (48 taps, 12 per phase)
+let oversamplingPhases = null;
+function getOversamplingPhases() {
+    if (oversamplingPhases) return oversamplingPhases;
+
+    const factor = 4;
+    const taps = 12;
+    oversamplingPhases = [];
+    for (let phase = 1; phase < factor; phase++) {
+        const coefficients = new Float64Array(taps);
+        for (let k = 0; k < taps; k++) {
+            // Distance in input samples from the interpolated point
+            const t = k - taps / 2 + phase / factor;
+            const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+            const window = 0.5 + 0.5 * Math.cos(Math.PI * t / (taps / 2 + 1));
+            coefficients[k] = sinc * window;
+        }
+        // Unity gain at DC
+        const sum = coefficients.reduce((total, c) => total + c, 0);
+        oversamplingPhases.push(coefficients.map(c => c / sum));
+    }
+    return oversamplingPhases;
+}
@@ -0,0 +1,123 @@
+import { createPhaseRandom } from './random.js';
+
+// Interleaved sample data <-> Float32Array channels, for the WAV and AIFF
+// codecs. An encoding is { bytesPerSample, float, signed, littleEndian }.
+
+// A function reading the sample at a byte offset as -1..1, or null for an
+// encoding without one. Integer samples with fewer significant bits than
+// their container are left-justified, so the container size sets the scale.
+export function createSampleReader(view, { bytesPerSample, float = false, signed = true, littleEndian = true }) {
+    const le = littleEndian;
+    if (float) {
+        if (bytesPerSample === 4) return (at) => view.getFloat32(at, le);
+        if (bytesPerSample === 8) return (at) => view.getFloat64(at, le);
+        return null;
+    }
+    switch (bytesPerSample) {
+    case 1:
+        return signed ? (at) => view.getInt8(at) / 128 : (at) => (view.getUint8(at) - 128) / 128;
+    case 2:
+        return (at) => view.getInt16(at, le) / 32768;
+    case 3:
+        return le
+            ? (at) => ((view.getInt8(at + 2) << 16) | (view.getUint8(at + 1) << 8) | view.getUint8(at)) / 8388608
+            : (at) => ((view.getInt8(at) << 16) | (view.getUint8(at + 1) << 8) | view.getUint8(at + 2)) / 8388608;
+    case 4:
+        return (at) => view.getInt32(at, le) / 2147483648;
+    default:
+        return null;
+    }
+}
+
+// Split `length` frames of interleaved samples starting at `offset` into
+// channels. frameSize defaults to one sample per channel (WAV blockAlign may
+// be larger).
+export function readInterleaved(view, offset, length, numberOfChannels, encoding, frameSize = 0) {
+    const read = createSampleReader(view, encoding);
+    const stride = frameSize || encoding.bytesPerSample * numberOfChannels;
+    const channels = [];
+    for (let ch = 0; ch < numberOfChannels; ch++) {
+        const samples = new Float32Array(length);
+        for (let i = 0, at = offset + ch * encoding.bytesPerSample; i < length; i++, at += stride) {
+            samples[i] = read(at);
+        }
+        channels.push(samples);
+    }
+    return channels;
+}
+
+// Writes one sample at a byte offset: a float value for float encodings,
+// else an integer already scaled and clipped by a quantizer
+export function createSampleWriter(view, { bytesPerSample, float = false, littleEndian = true }) {
+    const le = littleEndian;
+    if (float) {
+        return bytesPerSample === 8 ? (at, value) => view.setFloat64(at, value, le) : (at, value) => view.setFloat32(at, value, le);
+    }
+    switch (bytesPerSample) {
+    case 1:
+        return (at, value) => view.setUint8(at, value + 128);
+    case 2:
+        return (at, value) => view.setInt16(at, value, le);
+    case 3:
+        return (at, value) => {
+            view.setUint8(at + (le ? 0 : 2), value & 0xff);
+            view.setUint8(at + 1, (value >> 8) & 0xff);
+            view.setInt8(at + (le ? 2 : 0), value >> 16);
+        };
+    default:
+        return (at, value) => view.setInt32(at, value, le);
+    }
+}
+
+// Error feedback filter of the "E-weighted" noise shaper by Lipshitz,
+// Vanderkooy and Wannamaker (1991): moves the requantization noise away from
+// the 2-5 kHz region where hearing is most sensitive, towards Nyquist.
+// Designed for 44.1 kHz; at 48 kHz the curve is nearly the same.
+const NOISE_SHAPING_FILTER = [2.033, -2.165, 1.959, -1.590, 0.6149];
+
+// Fixed seed so the same audio always encodes to the same file
+const DITHER_SEED = 0x64697468;
+
+// quantize(sample) -> the integer sample at bitDepth, rounded to the nearest
+// step. dither: 'tpdf' adds triangular noise of +-1 step, which turns
+// truncation distortion on quiet material into a constant, benign hiss.
+// noiseShaping: filter the requantization error, see above. One quantizer
+// per channel; `channel` picks its dither stream.
+export function createQuantizer(bitDepth, { dither = 'tpdf', noiseShaping = false, channel = 0 } = {}) {
+    const scale = Math.pow(2, bitDepth - 1);
+    const min = -scale;
+    const max = scale - 1;
+    const random = dither === 'tpdf' ? createPhaseRandom(DITHER_SEED, channel, 0) : null;
+    const errors = noiseShaping ? new Float64Array(NOISE_SHAPING_FILTER.length) : null;
+
+    return function quantize(sample) {
+        let value = sample * scale;
+        if (errors) {
+            for (let k = 0; k < errors.length; k++) {
+                value -= NOISE_SHAPING_FILTER[k] * errors[k];
+            }
+        }
+        let quantized = Math.round(random ? value + random() + random() - 1 : value);
+        quantized = quantized < min ? min : quantized > max ? max : quantized;
+        if (errors) {
+            // Clipping makes the error huge; keep the feedback loop stable
+            const error = Math.max(-2, Math.min(2, quantized - value));
+            errors.copyWithin(1, 0, errors.length - 1);
+            errors[0] = error;
+        }
+        return quantized;
+    };
+}
+
+export function readTag(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+}
+
+// A DataView over a whole file given as ArrayBuffer or any typed array view
+export function toDataView(bytes) {
+    return bytes instanceof ArrayBuffer
+        ? new DataView(bytes)
+        : new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
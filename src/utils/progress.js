@@ -0,0 +1,89 @@
+// Structured progress reporting, shared by every engine. Listeners get
+//
+//   { stage, fraction, framesDone, framesTotal, etaMs, samplesPerSecond }
+//
+// stage              'decode', 'analyze', 'stretch', 'normalize' or 'encode'
+// fraction           0..1 within the stage
+// framesDone/Total   work units of the stage (analysis frames while
+//                    stretching, sample frames while encoding); null for
+//                    stages that run as one step
+// etaMs              estimated time left in the stage, null until known
+// samplesPerSecond   throughput so far (output samples while stretching,
+//                    all channels together), null until known
+//
+// Every stage reports fraction 0 when it starts and 1 when it is done;
+// updates in between are throttled to one per `interval` milliseconds.
+
+export const PROGRESS_STAGES = ['decode', 'analyze', 'stretch', 'normalize', 'encode'];
+
+const DEFAULT_INTERVAL = 50;
+
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+// One listener for the onProgress option and the positional progress
+// callback of stretch(). The callback keeps its original arguments
+// (fraction, channel, numChannels) for the stretch stage; the fraction covers
+// all channels, so channel is always 0. Null when nobody listens.
+export function createProgressListener(onProgress, progressCallback = null, numChannels = 1) {
+    if (!onProgress && !progressCallback) {
+        return null;
+    }
+    return (event) => {
+        if (onProgress) {
+            onProgress(event);
+        }
+        if (progressCallback && event.stage === 'stretch') {
+            progressCallback(event.fraction, 0, numChannels);
+        }
+    };
+}
+
+// Track one stage. advance(frames) returns true when it sent an event, which
+// is a good moment for a long loop to yield to the event loop.
+export function createStageProgress(listener, stage, framesTotal = null, options = {}) {
+    const { samplesPerFrame = 1, interval = DEFAULT_INTERVAL } = options;
+    const startTime = now();
+    let framesDone = 0;
+    let lastReport = -Infinity;
+
+    const report = (fraction) => {
+        const time = now();
+        const elapsed = time - startTime;
+        const counted = framesTotal !== null;
+        lastReport = time;
+        listener({
+            stage,
+            fraction,
+            framesDone: counted ? framesDone : null,
+            framesTotal,
+            etaMs: fraction >= 1 ? 0 : counted && framesDone > 0 ? elapsed * (framesTotal - framesDone) / framesDone : null,
+            samplesPerSecond: counted && framesDone > 0 && elapsed > 0 ? framesDone * samplesPerFrame * 1000 / elapsed : null
+        });
+    };
+
+    if (listener) {
+        report(0);
+    }
+
+    return {
+        advance(frames = 1) {
+            framesDone += frames;
+            if (!listener || now() - lastReport < interval) {
+                return false;
+            }
+            report(framesTotal > 0 ? Math.min(1, framesDone / framesTotal) : 0);
+            return true;
+        },
+
+        done() {
+            if (framesTotal !== null) {
+                framesDone = framesTotal;
+            }
+            if (listener) {
+                report(1);
+            }
+        }
+    };
+}
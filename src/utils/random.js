@@ -0,0 +1,28 @@
+// Phase randomization source for the spectral engines.
+//
+// Without a seed this is just Math.random. With a seed, every (channel, frame)
+// pair gets its own mulberry32 stream, so frames can be rendered in any order -
+// one after another on the main thread or scattered across workers - and still
+// receive exactly the same phases.
+//
+// The function must stay self-contained: the worker code strings embed it via
+// toString(), so it cannot reference anything else in this module.
+export function createPhaseRandom(seed, channel, frame) {
+    if (seed === undefined || seed === null) {
+        return Math.random;
+    }
+
+    // Mix seed, channel and frame into a 32-bit starting state
+    let state = Number(seed) >>> 0;
+    state = Math.imul(state ^ Math.imul(channel + 1, 0x9e3779b1), 0x85ebca6b);
+    state = Math.imul(state ^ (state >>> 13) ^ Math.imul(frame + 1, 0xc2b2ae35), 0x27d4eb2f);
+    state ^= state >>> 16;
+
+    // mulberry32
+    return function() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
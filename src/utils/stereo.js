@@ -0,0 +1,57 @@
+import { PaulStretchError } from './errors.js';
+
+// How the channels share (or don't share) their random phases.
+//
+//   'independent'   every channel gets its own phases: wide, decorrelated (default)
+//   'linked'        all channels reuse the phases of channel 0, so the stereo
+//                   image and mono fold-down survive the stretch
+//   'midSide'       stretch mid (L+R)/2 and side (L-R)/2 independently, then
+//                   decode; the mono sum is a clean stretch of the mono source
+
+export const STEREO_MODES = ['independent', 'linked', 'midSide'];
+
+export function validateStereoMode(mode, numChannels) {
+    if (!STEREO_MODES.includes(mode)) {
+        throw new PaulStretchError(`Unknown stereoMode '${mode}'; use ${STEREO_MODES.map(m => `'${m}'`).join(', ')}`);
+    }
+    if (mode === 'midSide' && numChannels > 2) {
+        throw new PaulStretchError(`stereoMode 'midSide' needs mono or stereo input, got ${numChannels} channels`);
+    }
+    return mode;
+}
+
+// Channels to feed the stretcher, plus how to pick phases for each of them.
+// Unseeded linked stretches draw one seed up front so that every channel
+// (and every worker) agrees on the phases.
+export function prepareStereo(mode, inputs, seed) {
+    const hasSeed = seed !== undefined && seed !== null;
+    return {
+        inputs: mode === 'midSide' && inputs.length === 2 ? encodeMidSide(inputs[0], inputs[1]) : inputs,
+        seed: mode === 'linked' && !hasSeed ? Math.floor(Math.random() * 4294967296) : seed,
+        phaseChannel: (channel) => mode === 'linked' ? 0 : channel
+    };
+}
+
+// Turn stretched mid/side channels back into left/right, in place
+export function finishStereo(mode, channels) {
+    if (mode !== 'midSide' || channels.length !== 2) {
+        return;
+    }
+    const [mid, side] = channels;
+    for (let i = 0; i < mid.length; i++) {
+        const m = mid[i];
+        const s = side[i];
+        mid[i] = m + s;
+        side[i] = m - s;
+    }
+}
+
+function encodeMidSide(left, right) {
+    const mid = new Float32Array(left.length);
+    const side = new Float32Array(left.length);
+    for (let i = 0; i < left.length; i++) {
+        mid[i] = (left[i] + right[i]) / 2;
+        side[i] = (left[i] - right[i]) / 2;
+    }
+    return [mid, side];
+}
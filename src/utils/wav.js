@@ -0,0 +1,370 @@
+import { PaulStretchError } from './errors.js';
+import { createQuantizer, createSampleWriter, readInterleaved, readTag, toDataView } from './pcm.js';
+
+// RIFF/WAVE reading and writing on plain channel arrays, shared by toBlob,
+// loadAudio and the command-line tool.
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+export const WAV_BIT_DEPTHS = [16, 24, 32];
+export const DITHER_TYPES = ['tpdf', 'none'];
+// 'auto' writes RIFF and switches to RF64 when the file outgrows 4 GB
+export const WAV_CONTAINERS = ['auto', 'riff', 'rf64', 'wave64'];
+
+// Largest RIFF size field; the file may be 8 bytes longer
+const RIFF_LIMIT = 0xffffffff;
+
+// Default size of the Blob parts encodeWavParts yields
+export const WAV_PART_SIZE = 16 * 1024 * 1024;
+
+// Sony Wave64 chunk ids are GUIDs. 'riff' has its own; the others are the
+// four-character id followed by the same 12 bytes.
+const WAVE64_RIFF = [0x72, 0x69, 0x66, 0x66, 0x2e, 0x91, 0xcf, 0x11, 0xa5, 0xd6, 0x28, 0xdb, 0x04, 0xc1, 0x00, 0x00];
+const WAVE64_SUFFIX = [0xf3, 0xac, 0xd3, 0x11, 0x8c, 0xd1, 0x00, 0xc0, 0x4f, 0x8e, 0xdb, 0x8a];
+
+// Complete sample format settings from toBlob-style options:
+//   bitDepth       16 (default), 24 or 32-bit integer PCM
+//   float          32-bit IEEE float instead (bitDepth may only be 32)
+//   dither         'tpdf' (default) or 'none'; integer PCM only
+//   noiseShaping   shape the dither and rounding noise (default false)
+//   container      'auto' (default), 'riff', 'rf64' or 'wave64'
+export function validateWavEncoding(options = {}) {
+    const { float = false, dither = 'tpdf', noiseShaping = false, container = 'auto' } = options;
+    const bitDepth = options.bitDepth !== undefined ? options.bitDepth : (float ? 32 : 16);
+    if (typeof float !== 'boolean') {
+        throw new PaulStretchError('float must be true or false');
+    }
+    if (float ? bitDepth !== 32 : !WAV_BIT_DEPTHS.includes(bitDepth)) {
+        throw new PaulStretchError(float
+            ? `Float WAV is 32-bit, got bitDepth ${bitDepth}`
+            : `Unsupported bitDepth ${bitDepth}; use ${WAV_BIT_DEPTHS.join(', ')}`);
+    }
+    if (!DITHER_TYPES.includes(dither)) {
+        throw new PaulStretchError(`Unknown dither '${dither}'; use ${DITHER_TYPES.map(d => `'${d}'`).join(' or ')}`);
+    }
+    if (typeof noiseShaping !== 'boolean') {
+        throw new PaulStretchError('noiseShaping must be true or false');
+    }
+    if (!WAV_CONTAINERS.includes(container)) {
+        throw new PaulStretchError(`Unknown container '${container}'; use ${WAV_CONTAINERS.map(c => `'${c}'`).join(', ')}`);
+    }
+    return { bitDepth, float, dither, noiseShaping, container };
+}
+
+// The container a RIFF file of riffFileSize bytes ends up in
+export function resolveWavContainer(container, riffFileSize) {
+    const fits = riffFileSize - 8 <= RIFF_LIMIT;
+    if (container === 'riff' && !fits) {
+        throw new PaulStretchError(`${riffFileSize} bytes do not fit a RIFF file; use container 'rf64' or 'wave64'`);
+    }
+    return container === 'auto' ? (fits ? 'riff' : 'rf64') : container;
+}
+
+function createHeader(size) {
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let pos = 0;
+
+    return {
+        bytes,
+        setBytes(values) {
+            bytes.set(values, pos);
+            pos += values.length;
+        },
+        setString(str) {
+            for (let i = 0; i < str.length; i++) {
+                view.setUint8(pos++, str.charCodeAt(i));
+            }
+        },
+        setUint16(data) {
+            view.setUint16(pos, data, true);
+            pos += 2;
+        },
+        setUint32(data) {
+            view.setUint32(pos, data, true);
+            pos += 4;
+        },
+        // Exact up to 2^53, far beyond any file
+        setUint64(data) {
+            view.setUint32(pos, data % 4294967296, true);
+            view.setUint32(pos + 4, Math.floor(data / 4294967296), true);
+            pos += 8;
+        },
+        // WAVEFORMATEX; non-PCM formats carry cbSize
+        setFormat({ float, numberOfChannels, sampleRate, blockAlign, bitDepth }) {
+            this.setUint16(float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM);
+            this.setUint16(numberOfChannels);
+            this.setUint32(sampleRate);
+            this.setUint32(sampleRate * blockAlign);
+            this.setUint16(blockAlign);
+            this.setUint16(bitDepth);
+            if (float) {
+                this.setUint16(0);
+            }
+        }
+    };
+}
+
+// RIFF, or RF64 (EBU Tech 3306) with the 64-bit sizes in a ds64 chunk and
+// 0xFFFFFFFF in the 32-bit fields
+function writeRiffHeader(format, rf64) {
+    const { float, numberOfSamples, dataSize } = format;
+    const formatSize = float ? 18 : 16;
+    const headerSize = 12 + (rf64 ? 36 : 0) + 8 + formatSize + (float ? 12 : 0) + 8;
+    const fileSize = headerSize + dataSize + (dataSize % 2);
+    const header = createHeader(headerSize);
+
+    header.setString(rf64 ? 'RF64' : 'RIFF');
+    header.setUint32(rf64 ? 0xffffffff : fileSize - 8);
+    header.setString('WAVE');
+
+    if (rf64) {
+        header.setString('ds64');
+        header.setUint32(28);
+        header.setUint64(fileSize - 8);
+        header.setUint64(dataSize);
+        header.setUint64(numberOfSamples);
+        header.setUint32(0); // no table of other oversized chunks
+    }
+
+    header.setString('fmt ');
+    header.setUint32(formatSize);
+    header.setFormat(format);
+
+    if (float) {
+        header.setString('fact');
+        header.setUint32(4);
+        header.setUint32(Math.min(numberOfSamples, 0xffffffff));
+    }
+
+    header.setString('data');
+    header.setUint32(rf64 ? 0xffffffff : dataSize);
+    return header.bytes;
+}
+
+// Sony Wave64: GUID chunk ids, 64-bit sizes that include the 24-byte chunk
+// header, chunks aligned to 8 bytes
+function writeWave64Header(format) {
+    const { float, numberOfSamples, dataSize } = format;
+    const formatSize = float ? 18 : 16;
+    const formatChunkSize = 24 + formatSize;
+    const align = (size) => Math.ceil(size / 8) * 8;
+    const headerSize = 40 + align(formatChunkSize) + (float ? 32 : 0) + 24;
+    const fileSize = headerSize + align(dataSize);
+    const header = createHeader(headerSize);
+    const setGuid = (id) => {
+        header.setString(id);
+        header.setBytes(WAVE64_SUFFIX);
+    };
+
+    header.setBytes(WAVE64_RIFF);
+    header.setUint64(fileSize);
+    setGuid('wave');
+
+    setGuid('fmt ');
+    header.setUint64(formatChunkSize);
+    header.setFormat(format);
+    header.setBytes(new Uint8Array(align(formatChunkSize) - formatChunkSize));
+
+    if (float) {
+        setGuid('fact');
+        header.setUint64(32);
+        header.setUint64(numberOfSamples);
+    }
+
+    setGuid('data');
+    header.setUint64(24 + dataSize);
+    return header.bytes;
+}
+
+// channels: Float32Array[] of equal length. options: see validateWavEncoding.
+// Yields the file as Uint8Array parts of about partSize bytes, header first,
+// so nothing ever needs one buffer of the whole file: new Blob([...parts]).
+// progress: an optional createStageProgress tracker for the 'encode' stage.
+export function* encodeWavParts(channels, sampleRate, options = {}, { progress = null, partSize = WAV_PART_SIZE } = {}) {
+    const { bitDepth, float, dither, noiseShaping, container } = validateWavEncoding(options);
+    const numberOfSamples = channels[0].length;
+    const numberOfChannels = channels.length;
+
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = numberOfSamples * blockAlign;
+    const format = { float, numberOfChannels, sampleRate, blockAlign, bitDepth, numberOfSamples, dataSize };
+
+    const riffHeader = writeRiffHeader(format, false);
+    const resolved = resolveWavContainer(container, riffHeader.length + dataSize + (dataSize % 2));
+    yield resolved === 'wave64' ? writeWave64Header(format) : resolved === 'rf64' ? writeRiffHeader(format, true) : riffHeader;
+
+    const quantizers = float ? null : channels.map((data, channel) => createQuantizer(bitDepth, { dither, noiseShaping, channel }));
+    const framesPerPart = Math.max(1, Math.floor(partSize / blockAlign));
+
+    for (let start = 0; start < numberOfSamples; start += framesPerPart) {
+        const end = Math.min(numberOfSamples, start + framesPerPart);
+        const part = new Uint8Array((end - start) * blockAlign);
+        const write = createSampleWriter(new DataView(part.buffer), { bytesPerSample, float });
+        let pos = 0;
+        for (let i = start; i < end; i++) {
+            if (progress && i % 4096 === 0) {
+                progress.advance(i === 0 ? 0 : 4096);
+            }
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                const sample = channels[channel][i];
+                write(pos, float ? sample : quantizers[channel](sample));
+                pos += bytesPerSample;
+            }
+        }
+        yield part;
+    }
+
+    // RIFF chunks end on an even byte, Wave64 chunks on a multiple of 8
+    const padding = resolved === 'wave64' ? (8 - dataSize % 8) % 8 : dataSize % 2;
+    if (padding > 0) {
+        yield new Uint8Array(padding);
+    }
+
+    if (progress) {
+        progress.done();
+    }
+}
+
+// The whole file in one ArrayBuffer, for files that comfortably fit memory
+export function encodeWav(channels, sampleRate, options = {}, progress = null) {
+    const parts = Array.from(encodeWavParts(channels, sampleRate, options, { progress, partSize: Infinity }));
+    const bytes = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+        bytes.set(part, pos);
+        pos += part.length;
+    }
+    return bytes.buffer;
+}
+
+// Format tags the decoder names in its errors
+const CODEC_NAMES = {
+    0x0002: 'MS ADPCM',
+    0x0006: 'A-law',
+    0x0007: 'mu-law',
+    0x0011: 'IMA ADPCM',
+    0x0050: 'MPEG',
+    0x0055: 'MP3',
+    0x0161: 'WMA',
+    0x2000: 'AC-3',
+    0xf1ac: 'FLAC'
+};
+
+// The 14 bytes that follow the format tag in every standard
+// WAVE_FORMAT_EXTENSIBLE sub-format GUID
+const KSDATAFORMAT_SUFFIX = [0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xaa, 0x00, 0x38, 0x9b, 0x71];
+
+function readUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 4294967296;
+}
+
+function readFormat(view, body, size) {
+    const format = {
+        tag: view.getUint16(body, true),
+        numberOfChannels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+        channelMask: null
+    };
+    if (format.tag === WAVE_FORMAT_EXTENSIBLE) {
+        if (size < 40) {
+            throw new PaulStretchError('Invalid WAVE_FORMAT_EXTENSIBLE fmt chunk');
+        }
+        format.channelMask = view.getUint32(body + 20, true);
+        const guid = body + 24;
+        const standard = KSDATAFORMAT_SUFFIX.every((byte, i) => view.getUint8(guid + 2 + i) === byte);
+        // Non-standard GUIDs (ambisonics, vendor codecs) keep the extensible tag
+        format.tag = standard ? view.getUint16(guid, true) : WAVE_FORMAT_EXTENSIBLE;
+    }
+    return format;
+}
+
+function isWave64(view) {
+    return view.byteLength >= 40 &&
+        WAVE64_RIFF.every((byte, i) => view.getUint8(i) === byte) &&
+        readTag(view, 24) === 'wave';
+}
+
+// [{ id, body, size }] of the top-level chunks, body being the offset of the
+// chunk data. RIFF chunks are padded to an even size; RF64 files carry the
+// real data size in the ds64 chunk and 0xFFFFFFFF in the data header.
+// Wave64 sizes count the 24-byte GUID header and chunks align to 8 bytes.
+function readChunks(view) {
+    const chunks = [];
+    if (isWave64(view)) {
+        for (let pos = 40; pos + 24 <= view.byteLength;) {
+            const size = readUint64(view, pos + 16);
+            if (size < 24) break;
+            chunks.push({ id: readTag(view, pos), body: pos + 24, size: size - 24 });
+            pos += Math.ceil(size / 8) * 8;
+        }
+        return chunks;
+    }
+
+    const container = view.byteLength >= 12 ? readTag(view, 0) : '';
+    if (!['RIFF', 'RF64', 'BW64'].includes(container) || readTag(view, 8) !== 'WAVE') {
+        throw new PaulStretchError('Not a WAV file');
+    }
+    let ds64DataSize = null;
+    for (let pos = 12; pos + 8 <= view.byteLength;) {
+        const id = readTag(view, pos);
+        let size = view.getUint32(pos + 4, true);
+        if (id === 'ds64' && size >= 16) {
+            ds64DataSize = readUint64(view, pos + 16);
+        } else if (id === 'data' && size === 0xffffffff && ds64DataSize !== null) {
+            size = ds64DataSize;
+        }
+        chunks.push({ id, body: pos + 8, size });
+        pos += 8 + size + (size % 2);
+    }
+    return chunks;
+}
+
+// bytes: ArrayBuffer or typed array holding a whole RIFF, RF64, BW64 or
+// Sony Wave64 file. Returns { sampleRate, channels: Float32Array[], channelMask }, where
+// channelMask is the speaker mask of WAVE_FORMAT_EXTENSIBLE files (else null).
+// Reads 8/16/24/32-bit PCM and 32/64-bit IEEE float.
+export function decodeWav(bytes) {
+    const view = toDataView(bytes);
+    let format = null;
+    let data = null;
+    for (const { id, body, size } of readChunks(view)) {
+        if (id === 'fmt ') {
+            format = readFormat(view, body, size);
+        } else if (id === 'data') {
+            // Truncated files keep whatever data they have
+            data = { offset: body, size: Math.min(size, view.byteLength - body) };
+        }
+    }
+    if (!format || !data) {
+        throw new PaulStretchError(`WAV file without ${format ? 'data' : 'fmt '} chunk`);
+    }
+
+    const { tag, numberOfChannels, sampleRate, blockAlign, bitsPerSample, channelMask } = format;
+    const bytesPerSample = Math.ceil(bitsPerSample / 8);
+    let encoding = null;
+    if (tag === WAVE_FORMAT_PCM && bytesPerSample >= 1 && bytesPerSample <= 4) {
+        // 8-bit WAV is unsigned, everything wider signed
+        encoding = { bytesPerSample, signed: bytesPerSample > 1 };
+    } else if (tag === WAVE_FORMAT_IEEE_FLOAT && (bitsPerSample === 32 || bitsPerSample === 64)) {
+        encoding = { bytesPerSample, float: true };
+    }
+    if (!encoding) {
+        const codec = tag === WAVE_FORMAT_EXTENSIBLE
+            ? 'a non-standard WAVE_FORMAT_EXTENSIBLE sub-format'
+            : `${CODEC_NAMES[tag] ? `${CODEC_NAMES[tag]}, ` : ''}format 0x${tag.toString(16).padStart(4, '0')}, ${bitsPerSample} bits`;
+        throw new PaulStretchError(`Unsupported WAV codec (${codec}); the built-in decoder reads PCM and IEEE float`);
+    }
+    if (numberOfChannels < 1 || sampleRate < 1 || blockAlign < numberOfChannels * bytesPerSample) {
+        throw new PaulStretchError('Invalid WAV fmt chunk');
+    }
+
+    const length = Math.floor(data.size / blockAlign);
+    const channels = readInterleaved(view, data.offset, length, numberOfChannels, encoding, blockAlign);
+    return { sampleRate, channels, channelMask };
+}
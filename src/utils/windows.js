@@ -0,0 +1,74 @@
+import { PaulStretchError } from './errors.js';
+
+// Analysis / synthesis window shapes.
+//
+//   'paulstretch'       (1 - x^2)^1.25, the curve of the original PaulStretch
+//   'hann'
+//   'blackman-harris'   4-term, very low sidelobes
+//   'kaiser'            or { type: 'kaiser', beta } (beta defaults to 8)
+
+export const WINDOW_TYPES = ['paulstretch', 'hann', 'blackman-harris', 'kaiser'];
+
+const DEFAULT_KAISER_BETA = 8;
+
+// Returns { type, beta } for a window name or object
+export function validateWindow(window) {
+    const settings = typeof window === 'string' ? { type: window } : window;
+    if (!settings || !WINDOW_TYPES.includes(settings.type)) {
+        const name = settings && typeof settings === 'object' ? settings.type : settings;
+        throw new PaulStretchError(`Unknown window '${name}'; use ${WINDOW_TYPES.map(t => `'${t}'`).join(', ')}`);
+    }
+    if (settings.type !== 'kaiser') {
+        return { type: settings.type };
+    }
+
+    const beta = settings.beta !== undefined ? settings.beta : DEFAULT_KAISER_BETA;
+    if (typeof beta !== 'number' || !(beta >= 0) || !isFinite(beta)) {
+        throw new PaulStretchError('Kaiser window beta must be a non-negative number');
+    }
+    return { type: 'kaiser', beta };
+}
+
+export function createWindow(size, window = 'paulstretch') {
+    const { type, beta } = validateWindow(window);
+    const winArray = new Float32Array(size);
+    const last = size - 1;
+
+    for (let i = 0; i < size; i++) {
+        // Position across the window: 0..1 and -1..1
+        const t = last > 0 ? i / last : 0.5;
+        const x = 2 * t - 1;
+
+        switch (type) {
+            case 'paulstretch':
+                winArray[i] = Math.pow(1 - x * x, 1.25);
+                break;
+            case 'hann':
+                winArray[i] = 0.5 * (1 - Math.cos(2 * Math.PI * t));
+                break;
+            case 'blackman-harris':
+                winArray[i] = 0.35875
+                    - 0.48829 * Math.cos(2 * Math.PI * t)
+                    + 0.14128 * Math.cos(4 * Math.PI * t)
+                    - 0.01168 * Math.cos(6 * Math.PI * t);
+                break;
+            case 'kaiser':
+                winArray[i] = besselI0(beta * Math.sqrt(Math.max(0, 1 - x * x))) / besselI0(beta);
+                break;
+        }
+    }
+    return winArray;
+}
+
+// Zeroth-order modified Bessel function of the first kind (power series)
+function besselI0(x) {
+    const quarterSquare = x * x / 4;
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; k < 64; k++) {
+        term *= quarterSquare / (k * k);
+        sum += term;
+        if (term < sum * 1e-16) break;
+    }
+    return sum;
+}
@@ -0,0 +1,80 @@
+import { getNodeBuiltin } from './environment.js';
+
+// Threads for the worker pool: web Workers where they exist, Node's
+// worker_threads otherwise. Both look like a web Worker to the pool:
+// onmessage({ data }), onerror({ message }), postMessage(data, transfer)
+// and terminate().
+
+// The worker code talks to `self`; give it one on top of the parent port
+const NODE_WORKER_PRELUDE = `const { parentPort } = require('worker_threads');
+const self = {
+    onmessage: null,
+    postMessage: (data, transfer) => parentPort.postMessage(data, transfer)
+};
+parentPort.on('message', (data) => self.onmessage({ data }));
+`;
+
+// 'web', 'node', or null when this environment has no threads to offer
+export function getWorkerKind() {
+    if (typeof Worker !== 'undefined') {
+        return 'web';
+    }
+    return getNodeBuiltin('worker_threads') ? 'node' : null;
+}
+
+export function getDefaultWorkerCount() {
+    if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) {
+        return navigator.hardwareConcurrency;
+    }
+    const os = getNodeBuiltin('os');
+    if (os) {
+        return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    }
+    return 4;
+}
+
+// spawn() starts one more worker running `code`; dispose() releases what the
+// workers were started from once none will be spawned any more
+export function createWorkerSource(code, kind) {
+    if (kind === 'node') {
+        const { Worker: NodeWorker } = getNodeBuiltin('worker_threads');
+        const source = NODE_WORKER_PRELUDE + code;
+        return {
+            spawn: () => spawnNodeWorker(NodeWorker, source),
+            dispose() {}
+        };
+    }
+
+    // Kept until dispose(): crashed workers are respawned from it
+    const url = URL.createObjectURL(new Blob([code], { type: 'application/javascript' }));
+    return {
+        spawn: () => new Worker(url),
+        dispose: () => URL.revokeObjectURL(url)
+    };
+}
+
+function spawnNodeWorker(NodeWorker, source) {
+    const thread = new NodeWorker(source, { eval: true });
+    let terminated = false;
+    const worker = {
+        onmessage: null,
+        onerror: null,
+        postMessage: (data, transfer) => thread.postMessage(data, transfer),
+        terminate() {
+            terminated = true;
+            thread.terminate();
+        }
+    };
+    const fail = (message) => {
+        if (!terminated && worker.onerror) {
+            worker.onerror({ message });
+        }
+    };
+
+    thread.on('message', (data) => {
+        if (worker.onmessage) worker.onmessage({ data });
+    });
+    thread.on('error', (error) => fail(error.message));
+    thread.on('exit', (code) => fail(`Worker exited with code ${code}`));
+    return worker;
+}
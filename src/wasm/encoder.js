@@ -0,0 +1,145 @@
+// Just enough of the WebAssembly binary format to assemble the frame kernel
+// at runtime, so the package ships no .wasm file and needs no build step.
+// Instructions are plain byte arrays; nest them freely, `flat` sorts it out.
+
+export const I32 = 0x7f;
+export const F64 = 0x7c;
+export const V128 = 0x7b;
+
+export function uleb(value) {
+    const bytes = [];
+    do {
+        let byte = value & 0x7f;
+        value >>>= 7;
+        if (value !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (value !== 0);
+    return bytes;
+}
+
+export function sleb(value) {
+    const bytes = [];
+    for (;;) {
+        const byte = value & 0x7f;
+        value >>= 7;
+        const done = (value === 0 && (byte & 0x40) === 0) || (value === -1 && (byte & 0x40) !== 0);
+        bytes.push(done ? byte : byte | 0x80);
+        if (done) return bytes;
+    }
+}
+
+function f64Bytes(value) {
+    return Array.from(new Uint8Array(new Float64Array([value]).buffer));
+}
+
+function flat(code) {
+    return Array.isArray(code) ? code.flatMap(flat) : [code];
+}
+
+function vector(items) {
+    return [...uleb(items.length), ...items.flat()];
+}
+
+function section(id, items) {
+    const body = vector(items);
+    return [id, ...uleb(body.length), ...body];
+}
+
+// Export names are plain ASCII
+function name(text) {
+    return vector(Array.from(text, char => [char.charCodeAt(0)]));
+}
+
+// --- Instructions ---------------------------------------------------------
+
+export const get = (index) => [0x20, uleb(index)];
+export const set = (index) => [0x21, uleb(index)];
+export const tee = (index) => [0x22, uleb(index)];
+export const i32 = (value) => [0x41, sleb(value)];
+export const f64 = (value) => [0x44, f64Bytes(value)];
+
+export const op = {
+    select: 0x1b,
+    i32LtU: 0x49,
+    i32GeU: 0x4f,
+    i32GtU: 0x4b,
+    i32Add: 0x6a,
+    i32Sub: 0x6b,
+    i32DivU: 0x6e,
+    i32And: 0x71,
+    i32Shl: 0x74,
+    i32ShrU: 0x76,
+    f64Neg: 0x9a,
+    f64Nearest: 0x9e,
+    f64Sqrt: 0x9f,
+    f64Add: 0xa0,
+    f64Sub: 0xa1,
+    f64Mul: 0xa2,
+    i32TruncF64S: 0xaa
+};
+
+export const i32Load = (offset = 0) => [0x28, 2, uleb(offset)];
+export const f64Load = (offset = 0) => [0x2b, 3, uleb(offset)];
+export const f64Store = (offset = 0) => [0x39, 3, uleb(offset)];
+
+// SIMD opcodes carry a 0xfd prefix and a LEB128 sub-opcode
+const simd = (code, ...immediates) => [0xfd, uleb(code), immediates];
+export const v128Load = (offset = 0) => simd(0x00, 4, uleb(offset));
+export const v128Store = (offset = 0) => simd(0x0b, 4, uleb(offset));
+export const f64x2Const = (lane0, lane1) => simd(0x0c, f64Bytes(lane0), f64Bytes(lane1));
+export const f64x2Splat = simd(0x14);
+export const f64x2ExtractLane = (lane) => simd(0x21, lane);
+export const f64x2ReplaceLane = (lane) => simd(0x22, lane);
+export const f64x2Add = simd(0xf0);
+export const f64x2Sub = simd(0xf1);
+export const f64x2Mul = simd(0xf2);
+// Swap the two f64 lanes of the top two operands (pass the same vector twice)
+export const f64x2Swap = simd(0x0d, [8, 9, 10, 11, 12, 13, 14, 15, 0, 1, 2, 3, 4, 5, 6, 7]);
+
+// if (cond) { then } [else { otherwise }]
+export function when(cond, then, otherwise = null) {
+    return [cond, 0x04, 0x40, then, otherwise ? [0x05, otherwise] : [], 0x0b];
+}
+
+// while (!exit) { body }
+export function loop(exit, body) {
+    return [0x02, 0x40, 0x03, 0x40, exit, 0x0d, 1, body, 0x0c, 0, 0x0b, 0x0b];
+}
+
+// --- Module ---------------------------------------------------------------
+
+// functions: [{ name, params: [types], locals: [types], body }]
+// Every function returns nothing; the module exports its memory as `memory`.
+export function encodeModule(functions) {
+    const signatures = [];
+    const typeIndex = functions.map(({ params }) => {
+        const key = params.join(',');
+        let index = signatures.findIndex(signature => signature.join(',') === key);
+        if (index < 0) {
+            index = signatures.length;
+            signatures.push(params);
+        }
+        return index;
+    });
+
+    const types = signatures.map(params => [0x60, vector(params.map(type => [type])), 0]);
+    const declarations = typeIndex.map(index => uleb(index));
+    const memory = [[0x00, 1]];
+    const exports = [
+        [name('memory'), 0x02, 0],
+        ...functions.map((fn, index) => [name(fn.name), 0x00, uleb(index)])
+    ];
+    const bodies = functions.map(({ locals = [], body }) => {
+        const code = [...vector(locals.map(type => [1, type])), ...flat(body), 0x0b];
+        return [...uleb(code.length), ...code];
+    });
+
+    return new Uint8Array([
+        0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+        ...section(1, types.map(flat)),
+        ...section(3, declarations),
+        ...section(5, memory),
+        ...section(7, exports.map(flat)),
+        ...section(10, bodies)
+    ]);
+}
@@ -0,0 +1,294 @@
+import {
+    I32, F64, V128,
+    get, set, tee, i32, f64, op, loop, when,
+    i32Load, f64Load, f64Store,
+    v128Load, v128Store, f64x2Const, f64x2Splat, f64x2ExtractLane, f64x2ReplaceLane,
+    f64x2Add, f64x2Sub, f64x2Mul, f64x2Swap,
+    encodeModule
+} from './encoder.js';
+
+// WebAssembly SIMD building blocks for one PaulStretch frame. Complex
+// numbers are interleaved (re, im) f64 pairs, i.e. one v128 each; every
+// pointer is a byte offset into the exported memory. The host side that lays
+// out the memory and chains these calls is createWasmFrameKernel in
+// ../frame-kernel.js.
+//
+//   mul(dst, a, b, n)              dst[i] = a[i] * b[i] over n f64 (n even)
+//   cmul(dst, a, b, count)         complex dst[k] = a[k] * b[k]
+//   conjScale(ptr, count, scale)   complex ptr[k] = conj(ptr[k]) * scale
+//   fft(ptr, size, tw, rev)        in-place radix-2 forward FFT, size a power of two;
+//                                  tw holds (wr, wr, -wi, wi) per twiddle, rev the
+//                                  bit-reversal permutation as i32
+//   realSplit(z, spec, rtw, m)     half-size FFT z of a real signal -> spectrum X[0..m]
+//   realMerge(spec, z, rtw, m)     the inverse of realSplit
+//   magnitudes(spec, amp, count)   amp[k] = |spec[k]|
+//   polar(spec, amp, phase, count) spec[k] = amp[k] * (cos, sin)(phase[k])
+
+const PI_OVER_2_HI = 1.57079632673412561417e+00;
+const PI_OVER_2_LO = 6.07710050650619224932e-11;
+// fdlibm kernel polynomials for sin and cos on [-pi/4, pi/4]
+const SIN_COEFFICIENTS = [
+    -1.66666666666666324348e-01, 8.33333333332248946124e-03, -1.98412698298579493134e-04,
+    2.75573137070700676789e-06, -2.50507602534068634195e-08, 1.58969099521155010221e-10
+];
+const COS_COEFFICIENTS = [
+    4.16666666666666019037e-02, -1.38888888888741095749e-03, 2.48015872894767294178e-05,
+    -2.75573143513906633035e-07, 2.08757232129817482790e-09, -1.13596475577881948265e-11
+];
+
+// c0 + z * (c1 + z * (c2 + ...)) with z in a local
+function horner(z, coefficients) {
+    const code = [f64(coefficients[coefficients.length - 1])];
+    for (let i = coefficients.length - 2; i >= 0; i--) {
+        code.push(get(z), op.f64Mul, f64(coefficients[i]), op.f64Add);
+    }
+    return code;
+}
+
+// for (index = start; index < end; index += step) body, on i32 locals
+function forRange(index, start, end, step, body) {
+    return [
+        start, set(index),
+        loop([get(index), end, op.i32GeU], [body, get(index), step, op.i32Add, set(index)])
+    ];
+}
+
+function buildFunctions() {
+    // mul(dst, a, b, n); locals: i, end
+    const mul = {
+        name: 'mul',
+        params: [I32, I32, I32, I32],
+        locals: [I32, I32],
+        body: [
+            get(3), i32(3), op.i32Shl, set(5),
+            forRange(4, i32(0), get(5), i32(16), [
+                get(0), get(4), op.i32Add,
+                get(1), get(4), op.i32Add, v128Load(),
+                get(2), get(4), op.i32Add, v128Load(),
+                f64x2Mul, v128Store()
+            ])
+        ]
+    };
+
+    // cmul(dst, a, b, count); locals: i, end, a, b
+    const cmul = {
+        name: 'cmul',
+        params: [I32, I32, I32, I32],
+        locals: [I32, I32, V128, V128],
+        body: [
+            get(3), i32(4), op.i32Shl, set(5),
+            forRange(4, i32(0), get(5), i32(16), [
+                get(1), get(4), op.i32Add, v128Load(), set(6),
+                get(2), get(4), op.i32Add, v128Load(), set(7),
+                get(0), get(4), op.i32Add,
+                // a * b.re + swap(a) * b.im * (-1, 1)
+                get(6), get(7), f64x2ExtractLane(0), f64x2Splat, f64x2Mul,
+                get(6), get(6), f64x2Swap, get(7), f64x2ExtractLane(1), f64x2Splat, f64x2Mul,
+                f64x2Const(-1, 1), f64x2Mul,
+                f64x2Add, v128Store()
+            ])
+        ]
+    };
+
+    // conjScale(ptr, count, scale); locals: i, end, factor
+    const conjScale = {
+        name: 'conjScale',
+        params: [I32, I32, F64],
+        locals: [I32, I32, V128],
+        body: [
+            get(1), i32(4), op.i32Shl, set(4),
+            get(2), f64x2Splat, get(2), op.f64Neg, f64x2ReplaceLane(1), set(5),
+            forRange(3, i32(0), get(4), i32(16), [
+                get(0), get(3), op.i32Add,
+                get(0), get(3), op.i32Add, v128Load(), get(5), f64x2Mul,
+                v128Store()
+            ])
+        ]
+    };
+
+    // fft(ptr, size, tw, rev)
+    // locals: 4 i, 5 j, 6 len, 7 half, 8 step, 9 start, 10 k, 11 t, 12 even, 13 odd, 14 a, 15 b
+    const fft = {
+        name: 'fft',
+        params: [I32, I32, I32, I32],
+        locals: [I32, I32, I32, I32, I32, I32, I32, I32, I32, I32, V128, V128],
+        body: [
+            // Bit reversal
+            forRange(4, i32(0), get(1), i32(1), [
+                get(3), get(4), i32(2), op.i32Shl, op.i32Add, i32Load(), set(5),
+                when([get(4), get(5), op.i32LtU], [
+                    get(0), get(4), i32(4), op.i32Shl, op.i32Add, set(12),
+                    get(0), get(5), i32(4), op.i32Shl, op.i32Add, set(13),
+                    get(12), v128Load(), set(14),
+                    get(12), get(13), v128Load(), v128Store(),
+                    get(13), get(14), v128Store()
+                ])
+            ]),
+
+            // Cooley-Tukey decimation-in-time
+            i32(2), set(6),
+            loop([get(6), get(1), op.i32GtU], [
+                get(6), i32(1), op.i32ShrU, set(7),
+                get(1), get(6), op.i32DivU, set(8),
+                forRange(9, i32(0), get(1), get(6), [
+                    i32(0), set(11),
+                    forRange(10, i32(0), get(7), i32(1), [
+                        get(0), get(9), get(10), op.i32Add, i32(4), op.i32Shl, op.i32Add, tee(12),
+                        get(7), i32(4), op.i32Shl, op.i32Add, set(13),
+
+                        // b * w
+                        get(13), v128Load(), set(15),
+                        get(2), get(11), i32(5), op.i32Shl, op.i32Add, set(4),
+                        get(15), get(4), v128Load(), f64x2Mul,
+                        get(15), get(15), f64x2Swap, get(4), v128Load(16), f64x2Mul,
+                        f64x2Add, set(15),
+
+                        get(12), v128Load(), set(14),
+                        get(12), get(14), get(15), f64x2Add, v128Store(),
+                        get(13), get(14), get(15), f64x2Sub, v128Store(),
+
+                        get(11), get(8), op.i32Add, set(11)
+                    ])
+                ]),
+                get(6), i32(1), op.i32Shl, set(6)
+            ])
+        ]
+    };
+
+    // realSplit(z, spec, rtw, m)
+    // locals: 4 k, 5 kAddr, 6 mAddr, 7 kr, 8 ki, 9 mr, 10 mi, 11 er, 12 ei, 13 or, 14 oi, 15 c, 16 s
+    const realSplit = {
+        name: 'realSplit',
+        params: [I32, I32, I32, I32],
+        locals: [I32, I32, I32, F64, F64, F64, F64, F64, F64, F64, F64, F64, F64],
+        body: [
+            // DC and Nyquist
+            get(1), get(0), f64Load(), get(0), f64Load(8), op.f64Add, f64Store(),
+            get(1), f64(0), f64Store(8),
+            get(1), get(3), i32(4), op.i32Shl, op.i32Add, tee(6),
+            get(0), f64Load(), get(0), f64Load(8), op.f64Sub, f64Store(),
+            get(6), f64(0), f64Store(8),
+
+            forRange(4, i32(1), get(3), i32(1), [
+                get(4), i32(4), op.i32Shl, set(5),
+                get(0), get(3), get(4), op.i32Sub, i32(4), op.i32Shl, op.i32Add, set(6),
+                get(0), get(5), op.i32Add, f64Load(), set(7),
+                get(0), get(5), op.i32Add, f64Load(8), set(8),
+                get(6), f64Load(), set(9),
+                get(6), f64Load(8), set(10),
+                get(7), get(9), op.f64Add, f64(0.5), op.f64Mul, set(11),
+                get(8), get(10), op.f64Sub, f64(0.5), op.f64Mul, set(12),
+                get(8), get(10), op.f64Add, f64(0.5), op.f64Mul, set(13),
+                get(9), get(7), op.f64Sub, f64(0.5), op.f64Mul, set(14),
+                get(2), get(5), op.i32Add, f64Load(), set(15),
+                get(2), get(5), op.i32Add, f64Load(8), set(16),
+
+                // X = E + W * O
+                get(1), get(5), op.i32Add,
+                get(11), get(13), get(15), op.f64Mul, op.f64Add, get(14), get(16), op.f64Mul, op.f64Sub,
+                f64Store(),
+                get(1), get(5), op.i32Add,
+                get(12), get(13), get(16), op.f64Mul, op.f64Add, get(14), get(15), op.f64Mul, op.f64Add,
+                f64Store(8)
+            ])
+        ]
+    };
+
+    // realMerge(spec, z, rtw, m)
+    // locals: 4 k, 5 kAddr, 6 mAddr, 7 re, 8 im, 9 mre, 10 mim, 11 er, 12 ei, 13 dr, 14 di, 15 c, 16 s
+    const realMerge = {
+        name: 'realMerge',
+        params: [I32, I32, I32, I32],
+        locals: [I32, I32, I32, F64, F64, F64, F64, F64, F64, F64, F64, F64, F64],
+        body: [
+            get(0), get(3), i32(4), op.i32Shl, op.i32Add, set(6),
+            get(1), get(0), f64Load(), get(6), f64Load(), op.f64Add, f64(0.5), op.f64Mul, f64Store(),
+            get(1), get(0), f64Load(), get(6), f64Load(), op.f64Sub, f64(0.5), op.f64Mul, f64Store(8),
+
+            forRange(4, i32(1), get(3), i32(1), [
+                get(4), i32(4), op.i32Shl, set(5),
+                get(0), get(3), get(4), op.i32Sub, i32(4), op.i32Shl, op.i32Add, set(6),
+                get(0), get(5), op.i32Add, f64Load(), set(7),
+                get(0), get(5), op.i32Add, f64Load(8), set(8),
+                get(6), f64Load(), set(9),
+                get(6), f64Load(8), set(10),
+                get(7), get(9), op.f64Add, f64(0.5), op.f64Mul, set(11),
+                get(8), get(10), op.f64Sub, f64(0.5), op.f64Mul, set(12),
+                get(7), get(9), op.f64Sub, f64(0.5), op.f64Mul, set(13),
+                get(8), get(10), op.f64Add, f64(0.5), op.f64Mul, set(14),
+                get(2), get(5), op.i32Add, f64Load(), set(15),
+                get(2), get(5), op.i32Add, f64Load(8), set(16),
+
+                // Z = E + i * O, with O = D * conj(W)
+                get(1), get(5), op.i32Add,
+                get(11), get(14), get(15), op.f64Mul, get(13), get(16), op.f64Mul, op.f64Sub, op.f64Sub,
+                f64Store(),
+                get(1), get(5), op.i32Add,
+                get(12), get(13), get(15), op.f64Mul, get(14), get(16), op.f64Mul, op.f64Add, op.f64Add,
+                f64Store(8)
+            ])
+        ]
+    };
+
+    // magnitudes(spec, amp, count); locals: 3 k, 4 end, 5 v
+    const magnitudes = {
+        name: 'magnitudes',
+        params: [I32, I32, I32],
+        locals: [I32, I32, V128],
+        body: [
+            get(2), i32(4), op.i32Shl, set(4),
+            forRange(3, i32(0), get(4), i32(16), [
+                get(0), get(3), op.i32Add, v128Load(), tee(5), get(5), f64x2Mul, set(5),
+                get(1), get(3), i32(1), op.i32ShrU, op.i32Add,
+                get(5), f64x2ExtractLane(0), get(5), f64x2ExtractLane(1), op.f64Add, op.f64Sqrt,
+                f64Store()
+            ])
+        ]
+    };
+
+    // polar(spec, amp, phase, count)
+    // locals: 4 k, 5 quadrant, 6 q, 7 r, 8 z, 9 sin, 10 cos, 11 baseSin, 12 baseCos, 13 amp
+    const polar = {
+        name: 'polar',
+        params: [I32, I32, I32, I32],
+        locals: [I32, I32, F64, F64, F64, F64, F64, F64, F64, F64],
+        body: [
+            forRange(4, i32(0), get(3), i32(1), [
+                // Reduce the phase to r in [-pi/4, pi/4] plus a quadrant
+                get(2), get(4), i32(3), op.i32Shl, op.i32Add, f64Load(), tee(7),
+                f64(2 / Math.PI), op.f64Mul, op.f64Nearest, tee(6),
+                op.i32TruncF64S, i32(3), op.i32And, set(5),
+                get(7), get(6), f64(PI_OVER_2_HI), op.f64Mul, op.f64Sub,
+                get(6), f64(PI_OVER_2_LO), op.f64Mul, op.f64Sub, tee(7),
+                get(7), op.f64Mul, set(8),
+
+                // sin(r) = r + r z S(z), cos(r) = 1 - z / 2 + z^2 C(z)
+                get(7), get(7), get(8), op.f64Mul, horner(8, SIN_COEFFICIENTS), op.f64Mul, op.f64Add, set(9),
+                f64(1), get(8), f64(0.5), op.f64Mul, op.f64Sub,
+                get(8), get(8), op.f64Mul, horner(8, COS_COEFFICIENTS), op.f64Mul, op.f64Add, set(10),
+
+                // Odd quadrants swap sin and cos; quadrants 2, 3 negate sin, 1, 2 negate cos
+                get(10), get(9), get(5), i32(1), op.i32And, op.select, set(11),
+                get(9), get(10), get(5), i32(1), op.i32And, op.select, set(12),
+                get(11), op.f64Neg, get(11), get(5), i32(2), op.i32And, op.select, set(9),
+                get(12), op.f64Neg, get(12), get(5), i32(1), op.i32Add, i32(2), op.i32And, op.select, set(10),
+
+                get(1), get(4), i32(3), op.i32Shl, op.i32Add, f64Load(), set(13),
+                get(0), get(4), i32(4), op.i32Shl, op.i32Add, get(13), get(10), op.f64Mul, f64Store(),
+                get(0), get(4), i32(4), op.i32Shl, op.i32Add, get(13), get(9), op.f64Mul, f64Store(8)
+            ])
+        ]
+    };
+
+    return [mul, cmul, conjScale, fft, realSplit, realMerge, magnitudes, polar];
+}
+
+let moduleBytes = null;
+
+// The assembled module (about 1.5 kB)
+export function getFrameKernelBytes() {
+    if (!moduleBytes) {
+        moduleBytes = encodeModule(buildFunctions());
+    }
+    return moduleBytes;
+}
@@ -0,0 +1,237 @@
+/**
+ * @jest-environment node
+ */
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    EXIT_FAILED,
+    EXIT_INTERRUPTED,
+    EXIT_OK,
+    EXIT_USAGE,
+    expandGlob,
+    formatOutputPath,
+    main,
+    parseArgs
+} from '../src/cli.js';
+import { decodeWav, encodeWav } from '../src/utils/wav.js';
+import { decodeAudioFile } from '../src/utils/decode.js';
+import { PaulStretchError } from '../src/utils/errors.js';
+
+const sampleRate = 22050;
+
+function sine(frequency, length = 5512) {
+    return Float32Array.from({ length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+function createOutput() {
+    const output = { text: '', write(chunk) { output.text += chunk; } };
+    return output;
+}
+
+describe('WAV codec', () => {
+    test('reads back what it writes, to 16-bit precision', () => {
+        const channels = [sine(440), sine(660)];
+        const decoded = decodeWav(encodeWav(channels, sampleRate));
+
+        expect(decoded.sampleRate).toBe(sampleRate);
+        expect(decoded.channels).toHaveLength(2);
+        for (let ch = 0; ch < 2; ch++) {
+            expect(decoded.channels[ch]).toHaveLength(5512);
+            for (let i = 0; i < 5512; i += 101) {
+                expect(decoded.channels[ch][i]).toBeCloseTo(channels[ch][i], 4);
+            }
+        }
+    });
+
+    test('accepts a Uint8Array view into a larger buffer', () => {
+        const wav = new Uint8Array(encodeWav([sine(440, 100)], sampleRate));
+        const padded = new Uint8Array(wav.length + 8);
+        padded.set(wav, 8);
+        expect(decodeWav(padded.subarray(8)).channels[0]).toHaveLength(100);
+    });
+
+    test('rejects other files and encodings', () => {
+        expect(() => decodeWav(new Uint8Array(64))).toThrow(PaulStretchError);
+
+        const wav = new Uint8Array(encodeWav([sine(440, 100)], sampleRate));
+        new DataView(wav.buffer).setUint16(20, 0x55, true); // MP3
+        expect(() => decodeWav(wav)).toThrow(/Unsupported WAV codec \(MP3/);
+    });
+});
+
+describe('parseArgs', () => {
+    test('maps options to stretch settings', () => {
+        const args = parseArgs(['in.wav', '-s', '16', '-w', '0.3', '--seed', '7', '--normalize', 'peak-linked',
+            '-o', 'out.wav', '--pitch', '-7', '--no-workers', '--json']);
+
+        expect(args.inputs).toEqual(['in.wav']);
+        expect(args.output).toBe('out.wav');
+        expect(args.json).toBe(true);
+        expect(args.settings).toEqual({
+            stretchFactor: 16,
+            windowSize: 0.3,
+            seed: 7,
+            normalize: 'peak-linked',
+            pitchShift: -7,
+            useWorkers: false
+        });
+    });
+
+    test('reads LUFS targets and --name=value', () => {
+        expect(parseArgs(['--normalize', '-16']).settings.normalize).toEqual({ lufs: -16 });
+        expect(parseArgs(['--stretch=4', '--window-type=hann']).settings).toEqual({ stretchFactor: 4, window: 'hann' });
+    });
+
+    test('collects the output sample format', () => {
+        expect(parseArgs(['--bit-depth', '24', '--dither', 'none', '--noise-shaping']).encoding)
+            .toEqual({ bitDepth: 24, dither: 'none', noiseShaping: true });
+        expect(parseArgs(['--float']).encoding).toEqual({ float: true });
+        expect(parseArgs(['--container', 'rf64']).encoding).toEqual({ container: 'rf64' });
+        expect(parseArgs(['--format', 'flac', '--bit-depth', '24']).encoding).toEqual({ format: 'flac', bitDepth: 24 });
+        expect(() => parseArgs(['--format', 'flac', '--float'])).toThrow(/integer samples/);
+        expect(() => parseArgs(['--format', 'ogg'])).toThrow(/Unknown format 'ogg'/);
+        expect(() => parseArgs(['--container', 'aiff'])).toThrow(/Unknown container 'aiff'/);
+        expect(() => parseArgs(['--bit-depth', '20'])).toThrow(/Invalid bit depth/);
+        expect(() => parseArgs(['--float', '--bit-depth', '24'])).toThrow(/Float WAV is 32-bit/);
+    });
+
+    test('rejects unknown options and bad values', () => {
+        expect(() => parseArgs(['--bogus'])).toThrow(/Unknown option/);
+        expect(() => parseArgs(['-s', 'fast'])).toThrow(/Invalid stretch factor/);
+        expect(() => parseArgs(['--stereo', 'wide'])).toThrow(/Unknown stereoMode/);
+        expect(() => parseArgs(['-o'])).toThrow(/needs a value/);
+    });
+});
+
+describe('paulstretch command', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'paulstretch-cli-'));
+        await fs.mkdir(path.join(dir, 'takes', 'old'), { recursive: true });
+        const wav = new Uint8Array(encodeWav([sine(440), sine(550)], sampleRate));
+        await fs.writeFile(path.join(dir, 'takes', 'a.wav'), wav);
+        await fs.writeFile(path.join(dir, 'takes', 'b.wav'), wav);
+        await fs.writeFile(path.join(dir, 'takes', 'old', 'c.wav'), wav);
+        await fs.writeFile(path.join(dir, 'takes', 'notes.txt'), 'not audio');
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const run = async (argv, signal = null) => {
+        const stdout = createOutput();
+        const stderr = createOutput();
+        const code = await main(argv, { stdout, stderr, cwd: dir, signal });
+        return { code, stdout: stdout.text, stderr: stderr.text };
+    };
+
+    test('expands globs relative to the working directory', async () => {
+        expect(await expandGlob('takes/*.wav', dir)).toEqual([path.join('takes', 'a.wav'), path.join('takes', 'b.wav')]);
+        expect(await expandGlob('**/c.wav', dir)).toEqual([path.join('takes', 'old', 'c.wav')]);
+        expect(await expandGlob('takes/?.txt', dir)).toEqual([]);
+        expect(await expandGlob('plain.wav', dir)).toEqual(['plain.wav']);
+    });
+
+    test('fills output templates', () => {
+        expect(formatOutputPath('out/{name}-x{stretch}.wav', path.join('takes', 'a.wav'), { stretch: 16 }))
+            .toBe('out/a-x16.wav');
+        expect(() => formatOutputPath('{nope}.wav', 'a.wav', {})).toThrow(/Unknown output template field/);
+    });
+
+    test('renders a file with a seed, reproducibly', async () => {
+        const argv = ['takes/a.wav', '-s', '4', '-w', '0.05', '--seed', '7', '--no-workers', '--normalize', 'peak-linked'];
+        const first = await run([...argv, '-o', 'first.wav']);
+        const second = await run([...argv, '-o', 'second.wav']);
+
+        expect(first.code).toBe(EXIT_OK);
+        expect(first.stdout).toMatch(/takes\/a\.wav -> first\.wav/);
+        const rendered = decodeWav(await fs.readFile(path.join(dir, 'first.wav')));
+        expect(rendered.sampleRate).toBe(sampleRate);
+        expect(rendered.channels).toHaveLength(2);
+        expect(rendered.channels[0]).toHaveLength(4 * 5512);
+        expect(await fs.readFile(path.join(dir, 'second.wav'))).toEqual(await fs.readFile(path.join(dir, 'first.wav')));
+    });
+
+    test('writes the requested sample format', async () => {
+        const { code } = await run(['takes/a.wav', '-s', '2', '-w', '0.05', '--no-workers', '--float', '-o', 'float.wav']);
+
+        expect(code).toBe(EXIT_OK);
+        const bytes = await fs.readFile(path.join(dir, 'float.wav'));
+        expect(bytes.readUInt16LE(20)).toBe(3);
+        expect(bytes.readUInt16LE(34)).toBe(32);
+
+        await run(['takes/a.wav', '-s', '2', '-w', '0.05', '--no-workers', '--container', 'wave64', '-o', 'long.w64']);
+        const wave64 = await fs.readFile(path.join(dir, 'long.w64'));
+        expect(wave64.toString('latin1', 0, 4)).toBe('riff');
+        expect(Number(wave64.readBigUInt64LE(16))).toBe(wave64.length);
+        expect(decodeWav(wave64).channels[0].length).toBeGreaterThan(0);
+    });
+
+    test('writes FLAC with a .flac name by default, and reads it back', async () => {
+        const { code } = await run(['takes/a.wav', '-s', '2', '-w', '0.05', '--no-workers', '--seed', '1', '--format', 'flac']);
+
+        expect(code).toBe(EXIT_OK);
+        const bytes = await fs.readFile(path.join(dir, 'takes/a.stretched.flac'));
+        expect(bytes.toString('latin1', 0, 4)).toBe('fLaC');
+        // The header is rewritten with the MD5 signature once the samples are encoded
+        expect(bytes.subarray(26, 42).some(byte => byte !== 0)).toBe(true);
+        const decoded = decodeAudioFile(bytes);
+        expect(decoded.channels[0].length).toBeGreaterThan(0);
+
+        const again = await run(['takes/a.stretched.flac', '-s', '2', '-w', '0.05', '--no-workers', '-o', 'again.wav']);
+        expect(again.code).toBe(EXIT_OK);
+    });
+
+    test('renders globs into a directory and prints a JSON summary', async () => {
+        const { code, stdout } = await run(['takes/*.wav', '-s', '2', '-w', '0.05', '--no-workers', '-o', 'out/', '--json']);
+
+        expect(code).toBe(EXIT_OK);
+        const summary = JSON.parse(stdout);
+        expect(summary).toMatchObject({ ok: true, rendered: 2, failed: 0, interrupted: false });
+        expect(summary.files.map(file => file.output)).toEqual([path.join('out', 'a.wav'), path.join('out', 'b.wav')]);
+        expect(summary.files.map(file => file.input)).toEqual([path.join('takes', 'a.wav'), path.join('takes', 'b.wav')]);
+        expect(summary.files[0]).toMatchObject({ channels: 2, sampleRate, inputSeconds: 5512 / sampleRate, error: null });
+        expect(summary.files[0].outputSeconds).toBeCloseTo(2 * 5512 / sampleRate);
+    });
+
+    test('keeps going when a file fails and exits with 1', async () => {
+        await fs.writeFile(path.join(dir, 'takes', 'broken.wav'), 'RIFF');
+        const { code, stdout, stderr } = await run(['takes/*.wav', '-w', '0.05', '--no-workers', '-o', 'out/{name}.wav', '--json']);
+
+        expect(code).toBe(EXIT_FAILED);
+        const summary = JSON.parse(stdout);
+        expect(summary).toMatchObject({ ok: false, rendered: 2, failed: 1 });
+        expect(summary.files[2]).toMatchObject({ input: path.join('takes', 'broken.wav'), error: expect.stringMatching(/^Unknown audio format/) });
+        expect(stderr).toBe('');
+    });
+
+    test('exits with 2 on bad usage, before rendering anything', async () => {
+        expect((await run([])).code).toBe(EXIT_USAGE);
+        expect((await run(['missing/*.wav'])).code).toBe(EXIT_USAGE);
+
+        const clash = await run(['takes/*.wav', '-o', 'out.wav']);
+        expect(clash.code).toBe(EXIT_USAGE);
+        expect(clash.stderr).toMatch(/Several inputs need an output directory/);
+        await expect(fs.stat(path.join(dir, 'out.wav'))).rejects.toThrow();
+
+        expect((await run(['takes/a.wav', '-o', 'takes/{name}.wav'])).code).toBe(EXIT_USAGE);
+    });
+
+    test('stops when interrupted and exits with 130', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const { code, stdout } = await run(['takes/*.wav', '--no-workers', '-o', 'out/', '--json'], controller.signal);
+
+        expect(code).toBe(EXIT_INTERRUPTED);
+        expect(JSON.parse(stdout)).toMatchObject({ ok: false, interrupted: true, rendered: 0 });
+        expect(JSON.parse(stdout).files).toHaveLength(1);
+    });
+
+    test('prints help and version', async () => {
+        expect((await run(['--help'])).stdout).toMatch(/^Usage: paulstretch/);
+        expect((await run(['-V'])).stdout).toMatch(/^\d+\.\d+\.\d+\n$/);
+    });
+});
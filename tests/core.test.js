@@ -0,0 +1,128 @@
+/**
+ * @jest-environment node
+ */
+import { PaulStretchCore, SampleBuffer, stretchChannels } from '../src/index.js';
+import { PaulStretchError } from '../src/utils/errors.js';
+import { getWorkerKind } from '../src/utils/workers.js';
+import { encodeWav } from '../src/utils/wav.js';
+
+const sampleRate = 44100;
+
+function sine(frequency, length = 11025) {
+    return Float32Array.from({ length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+describe('stretchChannels', () => {
+    test('stretches raw channels without Web Audio', async () => {
+        expect(typeof AudioContext).toBe('undefined');
+        expect(typeof window).toBe('undefined');
+
+        const output = await stretchChannels([sine(440), sine(660)], sampleRate, {
+            stretchFactor: 4.0,
+            windowSize: 0.02,
+            useWorkers: false
+        });
+
+        expect(output).toHaveLength(2);
+        expect(output[0]).toBeInstanceOf(Float32Array);
+        expect(output[0]).toHaveLength(44100);
+        expect(Math.max(...output[1].map(Math.abs))).toBeCloseTo(0.95, 5);
+    });
+
+    test('renders the same samples as the core with a seed', async () => {
+        const options = { stretchFactor: 2.0, windowSize: 0.02, useWorkers: false, seed: 4 };
+        const channels = [sine(440)];
+        const output = await stretchChannels(channels, sampleRate, options);
+        const core = new PaulStretchCore(options);
+        const reference = await core.stretch(SampleBuffer.fromChannels(channels, sampleRate));
+
+        expect(output[0]).toEqual(reference.getChannelData(0));
+    });
+
+    test('rejects channels that do not fit together', async () => {
+        await expect(stretchChannels([], sampleRate)).rejects.toThrow(PaulStretchError);
+        await expect(stretchChannels([sine(440, 100), sine(440, 200)], sampleRate)).rejects.toThrow(PaulStretchError);
+        await expect(stretchChannels([[0, 1, 0]], sampleRate)).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretchCore in Node', () => {
+    test('runs its worker pool on worker_threads', async () => {
+        expect(getWorkerKind()).toBe('node');
+        const options = { stretchFactor: 3.0, windowSize: 0.02, seed: 9, numWorkers: 2 };
+        const input = SampleBuffer.fromChannels([sine(440), sine(550)], sampleRate);
+
+        const core = new PaulStretchCore(options);
+        let output;
+        try {
+            expect(core.useWorkers).toBe(true);
+            expect(core.workers).toHaveLength(2);
+            output = await core.stretch(input);
+        } finally {
+            core.dispose();
+        }
+
+        const single = await new PaulStretchCore({ ...options, useWorkers: false }).stretch(input);
+        expect(output).toBeInstanceOf(SampleBuffer);
+        expect(output.getChannelData(0)).toEqual(single.getChannelData(0));
+        expect(output.getChannelData(1)).toEqual(single.getChannelData(1));
+    });
+
+    test('streams blocks of raw channels', async () => {
+        const core = new PaulStretchCore({ stretchFactor: 2.0, windowSize: 0.02, useWorkers: false, seed: 1 });
+        const stream = core.stretchStream(SampleBuffer.fromChannels([sine(440)], sampleRate), { blockSize: 5000 });
+        let length = 0;
+        for await (const [data] of stream) {
+            length += data.length;
+        }
+        expect(length).toBe(stream.length);
+    });
+});
+
+describe('PaulStretchCore loadAudio', () => {
+    test('decodes WAV bytes into a SampleBuffer', async () => {
+        const core = new PaulStretchCore({ useWorkers: false });
+        const wav = Buffer.from(encodeWav([sine(440), sine(660)], 32000));
+        const buffer = await core.loadAudio(wav);
+
+        expect(buffer).toBeInstanceOf(SampleBuffer);
+        expect(buffer.sampleRate).toBe(32000);
+        expect(buffer.numberOfChannels).toBe(2);
+        expect(buffer.length).toBe(11025);
+    });
+
+    test('explains what it cannot decode without Web Audio', async () => {
+        const core = new PaulStretchCore({ useWorkers: false });
+        const wav = new Uint8Array(encodeWav([sine(440)], sampleRate));
+        new DataView(wav.buffer).setUint16(20, 0x11, true);
+
+        await expect(core.loadAudio(wav)).rejects.toThrow(/Failed to load audio: Unsupported WAV codec \(IMA ADPCM/);
+        await expect(core.loadAudio(Uint8Array.of(0xff, 0xfb, 0x90, 0x64))).rejects.toThrow(/only WAV, AIFF and FLAC/);
+        await expect(core.loadAudio({})).rejects.toThrow(/Input must be/);
+    });
+});
+
+describe('SampleBuffer', () => {
+    test('looks like an AudioBuffer', () => {
+        const buffer = new SampleBuffer({ numberOfChannels: 2, length: 4410, sampleRate });
+        expect(buffer.duration).toBeCloseTo(0.1);
+        expect(buffer.getChannelData(1)).toEqual(new Float32Array(4410));
+
+        buffer.copyToChannel(Float32Array.of(1, 2, 3), 1, 4408);
+        const copy = new Float32Array(2);
+        buffer.copyFromChannel(copy, 1, 4408);
+        expect(Array.from(copy)).toEqual([1, 2]);
+    });
+
+    test('wraps channels without copying them', () => {
+        const data = sine(440, 100);
+        expect(SampleBuffer.fromChannels([data], sampleRate).getChannelData(0)).toBe(data);
+    });
+
+    test('rejects invalid shapes', () => {
+        expect(() => new SampleBuffer({ numberOfChannels: 0, length: 10, sampleRate })).toThrow(PaulStretchError);
+        expect(() => new SampleBuffer({ length: -1, sampleRate })).toThrow(PaulStretchError);
+        expect(() => new SampleBuffer({ length: 10, sampleRate: 0 })).toThrow(PaulStretchError);
+        expect(() => new SampleBuffer({ length: 10, sampleRate }).getChannelData(1)).toThrow(PaulStretchError);
+    });
+});
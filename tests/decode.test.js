@@ -0,0 +1,203 @@
+import { decodeAudioFile, detectAudioFormat } from '../src/utils/decode.js';
+import { decodeAiff } from '../src/utils/aiff.js';
+import { decodeWav } from '../src/utils/wav.js';
+import { PaulStretchError } from '../src/utils/errors.js';
+
+// Ramps from -1 towards 1, one value per channel and frame
+const frames = 64;
+const expected = (ch, i) => (i / frames) * 2 - 1 + ch * 0.01;
+
+function bytesOf(...parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const bytes = new Uint8Array(total);
+    let pos = 0;
+    for (const part of parts) {
+        bytes.set(part, pos);
+        pos += part.length;
+    }
+    return bytes;
+}
+
+function ascii(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+function chunk(id, body, littleEndian) {
+    const header = new DataView(new ArrayBuffer(8));
+    ascii(id).forEach((byte, i) => header.setUint8(i, byte));
+    header.setUint32(4, body.length, littleEndian);
+    return bytesOf(new Uint8Array(header.buffer), body, new Uint8Array(body.length % 2));
+}
+
+// Interleaved samples written by write(view, at, value)
+function samples(numberOfChannels, bytesPerSample, write) {
+    const view = new DataView(new ArrayBuffer(frames * numberOfChannels * bytesPerSample));
+    for (let i = 0; i < frames; i++) {
+        for (let ch = 0; ch < numberOfChannels; ch++) {
+            write(view, (i * numberOfChannels + ch) * bytesPerSample, expected(ch, i));
+        }
+    }
+    return new Uint8Array(view.buffer);
+}
+
+function wav({ tag = 1, numberOfChannels = 2, sampleRate = 48000, bits, data, extensible = null, container = 'RIFF' }) {
+    const blockAlign = numberOfChannels * Math.ceil(bits / 8);
+    const fmt = new DataView(new ArrayBuffer(extensible ? 40 : 16));
+    fmt.setUint16(0, extensible ? 0xfffe : tag, true);
+    fmt.setUint16(2, numberOfChannels, true);
+    fmt.setUint32(4, sampleRate, true);
+    fmt.setUint32(8, sampleRate * blockAlign, true);
+    fmt.setUint16(12, blockAlign, true);
+    fmt.setUint16(14, bits, true);
+    if (extensible) {
+        fmt.setUint16(16, 22, true);
+        fmt.setUint16(18, extensible.validBits, true);
+        fmt.setUint32(20, extensible.channelMask, true);
+        fmt.setUint16(24, tag, true);
+        [0, 0, 0, 0, 0x10, 0, 0x80, 0, 0, 0xaa, 0, 0x38, 0x9b, 0x71].forEach((byte, i) => fmt.setUint8(26 + i, byte));
+    }
+
+    let dataChunk = chunk('data', data, true);
+    const extra = [];
+    if (container === 'RF64') {
+        const ds64 = new DataView(new ArrayBuffer(28));
+        ds64.setUint32(8, data.length, true);
+        extra.push(chunk('ds64', new Uint8Array(ds64.buffer), true));
+        new DataView(dataChunk.buffer).setUint32(4, 0xffffffff, true);
+    }
+    const body = bytesOf(ascii('WAVE'), ...extra, chunk('LIST', ascii('INFOjunk!'), true),
+        chunk('fmt ', new Uint8Array(fmt.buffer), true), dataChunk);
+    const file = chunk(container, body, true);
+    if (container === 'RF64') {
+        new DataView(file.buffer).setUint32(4, 0xffffffff, true);
+    }
+    return file;
+}
+
+function extended(value) {
+    const view = new DataView(new ArrayBuffer(10));
+    const exponent = Math.floor(Math.log2(value));
+    view.setUint16(0, exponent + 16383, false);
+    const mantissa = value / Math.pow(2, exponent - 63);
+    view.setUint32(2, Math.floor(mantissa / 4294967296), false);
+    view.setUint32(6, mantissa % 4294967296, false);
+    return new Uint8Array(view.buffer);
+}
+
+function aiff({ numberOfChannels = 2, sampleRate = 44100, bits, data, compression = null }) {
+    const comm = new DataView(new ArrayBuffer(compression ? 24 : 18));
+    comm.setInt16(0, numberOfChannels, false);
+    comm.setUint32(2, frames, false);
+    comm.setInt16(6, bits, false);
+    extended(sampleRate).forEach((byte, i) => comm.setUint8(8 + i, byte));
+    if (compression) {
+        ascii(compression).forEach((byte, i) => comm.setUint8(18 + i, byte));
+    }
+    const ssnd = bytesOf(new Uint8Array(8), data);
+    return chunk('FORM', bytesOf(ascii(compression ? 'AIFC' : 'AIFF'),
+        chunk('COMM', new Uint8Array(comm.buffer), false), chunk('SSND', ssnd, false)), false);
+}
+
+function expectRamps(decoded, numberOfChannels, precision) {
+    expect(decoded.channels).toHaveLength(numberOfChannels);
+    for (let ch = 0; ch < numberOfChannels; ch++) {
+        expect(decoded.channels[ch]).toHaveLength(frames);
+        for (let i = 0; i < frames; i++) {
+            expect(decoded.channels[ch][i]).toBeCloseTo(expected(ch, i), precision);
+        }
+    }
+}
+
+const pcm16 = (view, at, value) => view.setInt16(at, Math.round(value * 32767), true);
+
+describe('decodeWav', () => {
+    test('reads 8-bit unsigned PCM', () => {
+        const data = samples(2, 1, (view, at, value) => view.setUint8(at, Math.round(value * 127) + 128));
+        expectRamps(decodeWav(wav({ bits: 8, data })), 2, 1);
+    });
+
+    test('reads 16, 24 and 32-bit PCM', () => {
+        expectRamps(decodeWav(wav({ bits: 16, data: samples(2, 2, pcm16) })), 2, 4);
+
+        const data24 = samples(2, 3, (view, at, value) => {
+            const int = Math.round(value * 8388607);
+            view.setUint8(at, int & 0xff);
+            view.setUint8(at + 1, (int >> 8) & 0xff);
+            view.setInt8(at + 2, int >> 16);
+        });
+        expectRamps(decodeWav(wav({ bits: 24, data: data24 })), 2, 6);
+
+        const data32 = samples(2, 4, (view, at, value) => view.setInt32(at, Math.round(value * 2147483647), true));
+        expectRamps(decodeWav(wav({ bits: 32, data: data32 })), 2, 6);
+    });
+
+    test('reads 32 and 64-bit IEEE float', () => {
+        const float32 = samples(1, 4, (view, at, value) => view.setFloat32(at, value, true));
+        expectRamps(decodeWav(wav({ tag: 3, numberOfChannels: 1, bits: 32, data: float32 })), 1, 6);
+
+        const float64 = samples(1, 8, (view, at, value) => view.setFloat64(at, value, true));
+        expectRamps(decodeWav(wav({ tag: 3, numberOfChannels: 1, bits: 64, data: float64 })), 1, 6);
+    });
+
+    test('keeps the native sample rate and the WAVE_FORMAT_EXTENSIBLE layout', () => {
+        const data = samples(2, 2, pcm16);
+        const decoded = decodeWav(wav({ sampleRate: 96000, bits: 16, data, extensible: { validBits: 16, channelMask: 0x3 } }));
+        expect(decoded.sampleRate).toBe(96000);
+        expect(decoded.channelMask).toBe(0x3);
+        expectRamps(decoded, 2, 4);
+        expect(decodeWav(wav({ bits: 16, data })).channelMask).toBeNull();
+    });
+
+    test('reads RF64 with the data size from ds64', () => {
+        const decoded = decodeWav(wav({ container: 'RF64', bits: 16, data: samples(2, 2, pcm16) }));
+        expectRamps(decoded, 2, 4);
+    });
+
+    test('names codecs it cannot read', () => {
+        const data = samples(2, 2, pcm16);
+        expect(() => decodeWav(wav({ tag: 0x55, bits: 16, data }))).toThrow(/Unsupported WAV codec \(MP3, format 0x0055/);
+        expect(() => decodeWav(wav({ tag: 3, bits: 16, data }))).toThrow(/format 0x0003, 16 bits/);
+        expect(() => decodeWav(ascii('RIFF\0\0\0\0WAVE'))).toThrow('WAV file without fmt  chunk');
+    });
+});
+
+describe('decodeAiff', () => {
+    const pcm16be = (view, at, value) => view.setInt16(at, Math.round(value * 32767), false);
+
+    test('reads big-endian PCM and the extended sample rate', () => {
+        const decoded = decodeAiff(aiff({ bits: 16, data: samples(2, 2, pcm16be) }));
+        expect(decoded.sampleRate).toBe(44100);
+        expectRamps(decoded, 2, 4);
+
+        const data8 = samples(1, 1, (view, at, value) => view.setInt8(at, Math.round(value * 127)));
+        expect(decodeAiff(aiff({ numberOfChannels: 1, sampleRate: 22050, bits: 8, data: data8 })).sampleRate).toBe(22050);
+        expectRamps(decodeAiff(aiff({ numberOfChannels: 1, bits: 8, data: data8 })), 1, 1);
+    });
+
+    test('reads AIFF-C little-endian and float data', () => {
+        expectRamps(decodeAiff(aiff({ bits: 16, data: samples(2, 2, pcm16), compression: 'sowt' })), 2, 4);
+
+        const float32 = samples(2, 4, (view, at, value) => view.setFloat32(at, value, false));
+        expectRamps(decodeAiff(aiff({ bits: 32, data: float32, compression: 'fl32' })), 2, 6);
+    });
+
+    test('rejects compressed AIFF-C', () => {
+        expect(() => decodeAiff(aiff({ bits: 16, data: samples(2, 2, pcm16be), compression: 'ima4' })))
+            .toThrow(/Unsupported AIFF-C compression 'ima4'/);
+    });
+});
+
+describe('decodeAudioFile', () => {
+    test('detects the container', () => {
+        expect(detectAudioFormat(wav({ bits: 16, data: samples(2, 2, pcm16) }))).toBe('wav');
+        expect(detectAudioFormat(aiff({ bits: 16, data: samples(2, 2, pcm16) }).buffer)).toBe('aiff');
+        expect(detectAudioFormat(ascii('ID3\u0004 not a wav'))).toBeNull();
+    });
+
+    test('decodes either format and rejects others', () => {
+        expect(decodeAudioFile(wav({ bits: 16, data: samples(2, 2, pcm16) })).channels).toHaveLength(2);
+        expect(decodeAudioFile(aiff({ bits: 16, data: samples(2, 2, pcm16) })).channels).toHaveLength(2);
+        expect(() => decodeAudioFile(new Uint8Array(100))).toThrow(PaulStretchError);
+        expect(() => decodeAudioFile(wav({ bits: 16, data: new Uint8Array(0) }))).toThrow('The file holds no samples');
+    });
+});
@@ -0,0 +1,141 @@
+import { FFT } from '../src/utils/fft.js';
+import { ReferenceFFT } from '../src/utils/fft-reference.js';
+import Benchmark from '../src/benchmark.js';
+
+// Reference O(n^2) DFT
+function dft(real, imag) {
+    const n = real.length;
+    const outReal = new Float64Array(n);
+    const outImag = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+        for (let t = 0; t < n; t++) {
+            const angle = -2 * Math.PI * k * t / n;
+            outReal[k] += real[t] * Math.cos(angle) - imag[t] * Math.sin(angle);
+            outImag[k] += real[t] * Math.sin(angle) + imag[t] * Math.cos(angle);
+        }
+    }
+    return [outReal, outImag];
+}
+
+function randomSignal(n, seed) {
+    let state = seed;
+    const next = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648 * 2 - 1;
+    };
+    return [Float64Array.from({ length: n }, next), Float64Array.from({ length: n }, next)];
+}
+
+function maxDifference(a, b) {
+    let max = 0;
+    for (let i = 0; i < a.length; i++) {
+        max = Math.max(max, Math.abs(a[i] - b[i]));
+    }
+    return max;
+}
+
+describe('FFT', () => {
+    test.each([1, 2, 4, 8, 64, 6, 12, 97, 441, 882])('size %i matches the reference DFT', (size) => {
+        const [real, imag] = randomSignal(size, size);
+        const [expectedReal, expectedImag] = dft(real, imag);
+
+        new FFT(size).forward(real, imag);
+
+        expect(maxDifference(real, expectedReal)).toBeLessThan(1e-9 * size);
+        expect(maxDifference(imag, expectedImag)).toBeLessThan(1e-9 * size);
+    });
+
+    test.each([1024, 1000, 11026])('inverse undoes forward for size %i', (size) => {
+        const [real, imag] = randomSignal(size, 7);
+        const original = [real.slice(), imag.slice()];
+        const fft = new FFT(size);
+
+        fft.forward(real, imag);
+        fft.inverse(real, imag);
+
+        expect(maxDifference(real, original[0])).toBeLessThan(1e-9);
+        expect(maxDifference(imag, original[1])).toBeLessThan(1e-9);
+    });
+
+    test('works on Float32Array buffers', () => {
+        const size = 30;
+        const real = Float32Array.from({ length: size }, (_, i) => Math.cos(2 * Math.PI * 3 * i / size));
+        const imag = new Float32Array(size);
+
+        new FFT(size).forward(real, imag);
+
+        // A cosine at bin 3 puts half its energy in bins 3 and size - 3
+        expect(real[3]).toBeCloseTo(size / 2, 4);
+        expect(real[size - 3]).toBeCloseTo(size / 2, 4);
+        expect(Math.abs(real[4])).toBeLessThan(1e-4);
+    });
+
+    test.each([2, 16, 1024, 882, 30])('realForward packs the half spectrum of size %i', (size) => {
+        const [signal] = randomSignal(size, size + 1);
+        const [expectedReal, expectedImag] = dft(signal, new Float64Array(size));
+        const data = signal.slice();
+
+        new FFT(size).realForward(data);
+
+        const half = size / 2;
+        expect(data[0]).toBeCloseTo(expectedReal[0], 9);
+        expect(data[1]).toBeCloseTo(expectedReal[half], 9);
+        for (let k = 1; k < half; k++) {
+            expect(data[2 * k]).toBeCloseTo(expectedReal[k], 9);
+            expect(data[2 * k + 1]).toBeCloseTo(expectedImag[k], 9);
+        }
+    });
+
+    test.each([16384, 11026])('realInverse undoes realForward for size %i', (size) => {
+        const [signal] = randomSignal(size, 11);
+        const data = signal.slice();
+        const fft = new FFT(size);
+
+        fft.realForward(data);
+        fft.realInverse(data);
+
+        expect(maxDifference(data, signal)).toBeLessThan(1e-9);
+    });
+
+    test('real transforms reject odd sizes', () => {
+        expect(() => new FFT(15).realForward(new Float64Array(15))).toThrow();
+    });
+
+    test('can be rebuilt from its source, as the worker code does', () => {
+        const WorkerFFT = new Function(`return ${FFT.toString()};`)();
+        const [real, imag] = randomSignal(45, 3);
+        const [expectedReal] = dft(real, imag);
+
+        new WorkerFFT(45).forward(real, imag);
+        const packed = Float64Array.from({ length: 64 }, (_, i) => Math.sin(i));
+        const original = packed.slice();
+        const workerFFT = new WorkerFFT(64);
+        workerFFT.realForward(packed);
+        workerFFT.realInverse(packed);
+
+        expect(maxDifference(real, expectedReal)).toBeLessThan(1e-9);
+        expect(maxDifference(packed, original)).toBeLessThan(1e-12);
+    });
+});
+
+describe('benchmarkFFT', () => {
+    test('the reference is the same transform', () => {
+        const [real, imag] = randomSignal(1024, 5);
+        const expected = [real.slice(), imag.slice()];
+        new ReferenceFFT(1024).forward(real, imag);
+        new FFT(1024).forward(expected[0], expected[1]);
+
+        expect(maxDifference(real, expected[0])).toBeLessThan(1e-9);
+        expect(maxDifference(imag, expected[1])).toBeLessThan(1e-9);
+    });
+
+    test('reports both transforms the way runBenchmark does', () => {
+        const benchmark = new Benchmark();
+        const results = benchmark.benchmarkFFT(1024, 2);
+
+        expect(Object.keys(results)).toEqual(['Reference FFT', 'Real FFT']);
+        expect(results['Reference FFT'].speedup).toBe('1.00x');
+        expect(results['Real FFT']).toMatchObject({ success: true, speedup: expect.stringMatching(/^\d+\.\d\dx$/) });
+        expect(benchmark.results[0]).toMatchObject({ fftSize: 1024, results });
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * @jest-environment node
+ */
+import crypto from 'crypto';
+import { decodeFlac, encodeFlac, encodeFlacParts, validateFlacEncoding } from '../src/utils/flac.js';
+import { decodeAudioFile, detectAudioFormat } from '../src/utils/decode.js';
+import { createMd5 } from '../src/utils/md5.js';
+import { PaulStretchError } from '../src/utils/errors.js';
+import { concatParts } from './helpers/wav-parser.js';
+
+const sampleRate = 44100;
+
+// Channels of exact integer sample values, so dither: 'none' stores them as is
+function fromIntegers(channels, bitDepth) {
+    const scale = Math.pow(2, bitDepth - 1);
+    return channels.map(values => Float32Array.from(values, value => value / scale));
+}
+
+// Here and in the generators below, + 0 turns -0 into 0 for toEqual
+function toIntegers(channels, bitDepth) {
+    const scale = Math.pow(2, bitDepth - 1);
+    return channels.map(samples => Array.from(samples, sample => Math.round(sample * scale) + 0));
+}
+
+function noise(length, amplitude, seed = 1) {
+    let state = seed;
+    return Array.from({ length }, () => {
+        state = (state * 16807) % 2147483647;
+        return Math.round((state / 2147483647 - 0.5) * 2 * amplitude) + 0;
+    });
+}
+
+function tone(length, amplitude, frequency) {
+    return Array.from({ length }, (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)) + 0);
+}
+
+// STREAMINFO read with plain byte arithmetic, independent of the codec
+function streamInfo(bytes) {
+    const b = (i) => bytes[8 + i];
+    return {
+        magic: String.fromCharCode(...bytes.subarray(0, 4)),
+        lastBlock: (bytes[4] & 0x80) !== 0,
+        type: bytes[4] & 0x7f,
+        length: (bytes[5] << 16) | (bytes[6] << 8) | bytes[7],
+        minBlockSize: (b(0) << 8) | b(1),
+        maxBlockSize: (b(2) << 8) | b(3),
+        minFrameSize: (b(4) << 16) | (b(5) << 8) | b(6),
+        maxFrameSize: (b(7) << 16) | (b(8) << 8) | b(9),
+        sampleRate: (b(10) << 12) | (b(11) << 4) | (b(12) >> 4),
+        channels: ((b(12) >> 1) & 0x7) + 1,
+        bitDepth: (((b(12) & 1) << 4) | (b(13) >> 4)) + 1,
+        totalSamples: (b(13) & 0xf) * 4294967296 + ((b(14) << 24) >>> 0) + ((b(15) << 16) | (b(16) << 8) | b(17)),
+        md5: Buffer.from(bytes.subarray(26, 42)).toString('hex')
+    };
+}
+
+// MD5 of the interleaved little-endian samples, as FLAC defines its signature
+function samplesMd5(integers, bitDepth) {
+    const bytesPerSample = bitDepth / 8;
+    const buffer = Buffer.alloc(integers[0].length * integers.length * bytesPerSample);
+    let pos = 0;
+    for (let i = 0; i < integers[0].length; i++) {
+        for (const channel of integers) {
+            buffer.writeIntLE(channel[i], pos, bytesPerSample);
+            pos += bytesPerSample;
+        }
+    }
+    return crypto.createHash('md5').update(buffer).digest('hex');
+}
+
+describe('createMd5', () => {
+    const hex = (bytes) => Buffer.from(bytes).toString('hex');
+
+    test('matches the RFC 1321 test suite', () => {
+        const digest = (text) => {
+            const md5 = createMd5();
+            md5.update(Buffer.from(text, 'latin1'));
+            return hex(md5.digest());
+        };
+        expect(digest('')).toBe('d41d8cd98f00b204e9800998ecf8427e');
+        expect(digest('abc')).toBe('900150983cd24fb0d6963f7d28e17f72');
+        expect(digest('12345678901234567890123456789012345678901234567890123456789012345678901234567890'))
+            .toBe('57edf4a22be3c955ac49da2e2107b67a');
+    });
+
+    test('gives the same digest however the input is split', () => {
+        const data = crypto.randomBytes(10000);
+        const md5 = createMd5();
+        for (let pos = 0; pos < data.length; pos += 63) {
+            md5.update(data.subarray(pos, pos + 63));
+        }
+        expect(hex(md5.digest())).toBe(crypto.createHash('md5').update(data).digest('hex'));
+    });
+});
+
+describe('decodeFlac', () => {
+    // RFC 9639 Appendix D.1: one stereo sample in a verbatim frame with a wasted bit
+    const example = Uint8Array.from(Buffer.from(
+        '664c6143800000221000100000000f00000f0ac442f0000000013e84b41807dc69030758' +
+        '6a3dad1a2e0ffff869180000bf0358fd03128baa9a', 'hex'));
+
+    test('reads the example file from the specification', () => {
+        const decoded = decodeFlac(example);
+        expect(decoded.sampleRate).toBe(44100);
+        expect(toIntegers(decoded.channels, 16)).toEqual([[25588], [10416]]);
+        expect(detectAudioFormat(example)).toBe('flac');
+    });
+
+    test('checks the frame CRCs', () => {
+        const damaged = example.slice();
+        damaged[damaged.length - 4] ^= 0x10;
+        expect(() => decodeFlac(damaged)).toThrow('FLAC frame CRC mismatch');
+        expect(() => decodeFlac(new Uint8Array(50))).toThrow('Not a FLAC file');
+    });
+});
+
+describe('encodeFlac', () => {
+    function roundTrip(integers, bitDepth, options = {}) {
+        const bytes = new Uint8Array(encodeFlac(fromIntegers(integers, bitDepth), sampleRate, { bitDepth, dither: 'none', ...options }));
+        const decoded = decodeFlac(bytes);
+        expect(toIntegers(decoded.channels, bitDepth)).toEqual(integers);
+        return bytes;
+    }
+
+    test('round-trips 16-bit stereo losslessly', () => {
+        const hiss = noise(20000, 40);
+        const left = tone(20000, 12000, 440).map((value, i) => value + hiss[i]);
+        const right = left.map((value, i) => Math.round(value * 0.7) + (i % 3));
+        roundTrip([left, right], 16);
+        // A short last block
+        roundTrip([left.slice(0, 4096 * 2 + 7), right.slice(0, 4096 * 2 + 7)], 16);
+    });
+
+    test('round-trips 24-bit audio, any block size and channel count', () => {
+        const channels = Array.from({ length: 6 }, (_, ch) => tone(3000, 4000000 / (ch + 1), 100 * (ch + 1)));
+        roundTrip(channels, 24, { blockSize: 1000 });
+        roundTrip([noise(3000, 8388607)], 24, { blockSize: 17 });
+        // Values beyond the 16-bit range in the side channel
+        roundTrip([noise(5000, 8388607, 3), noise(5000, 8388607, 4)], 24, { lpcOrder: 32 });
+        roundTrip([tone(5000, 30000, 50), tone(5000, 30000, 51)], 16, { lpcOrder: 0 });
+    });
+
+    test('round-trips silence, constant blocks and wasted bits', () => {
+        roundTrip([new Array(5000).fill(0), new Array(5000).fill(-7)], 16);
+        roundTrip([tone(5000, 20000, 300).map(value => value * 256)], 24);
+        roundTrip([[1], [-1]], 16);
+    });
+
+    test('writes STREAMINFO with the MD5 of the samples', () => {
+        const integers = [tone(10000, 9000, 220), noise(10000, 300)];
+        const bytes = roundTrip(integers, 16);
+        const info = streamInfo(bytes);
+        expect(info).toMatchObject({
+            magic: 'fLaC',
+            lastBlock: true,
+            type: 0,
+            length: 34,
+            minBlockSize: 4096,
+            maxBlockSize: 4096,
+            sampleRate,
+            channels: 2,
+            bitDepth: 16,
+            totalSamples: 10000,
+            md5: samplesMd5(integers, 16)
+        });
+        expect(info.minFrameSize).toBeGreaterThan(0);
+        expect(info.minFrameSize).toBeLessThanOrEqual(info.maxFrameSize);
+        expect(info.maxFrameSize).toBeLessThan(bytes.length);
+
+        // The example from the specification stores the same signature
+        const example = streamInfo(new Uint8Array(encodeFlac(fromIntegers([[25588], [10416]], 16), 44100, { dither: 'none' })));
+        expect(example.md5).toBe('3e84b41807dc690307586a3dad1a2e0f');
+        expect(streamInfo(roundTrip([tone(100, 5e6, 1000)], 24, { blockSize: 1000 }))).toMatchObject({
+            bitDepth: 24, minBlockSize: 1000, totalSamples: 100, md5: samplesMd5([tone(100, 5e6, 1000)], 24)
+        });
+    });
+
+    test('compresses tonal material and correlated channels', () => {
+        const left = tone(44100, 16000, 220).map((value, i) => value + Math.round(6000 * Math.sin(i / 300)));
+        const stereo = encodeFlac(fromIntegers([left, left.map(value => value >> 1)], 16), sampleRate, { dither: 'none' });
+        const wavSize = 44100 * 2 * 2;
+        expect(stereo.byteLength).toBeLessThan(wavSize * 0.35);
+        // Noise does not compress, but costs little more than its raw size
+        const random = encodeFlac(fromIntegers([noise(44100, 32767)], 16), sampleRate, { dither: 'none' });
+        expect(random.byteLength).toBeLessThan(44100 * 2 * 1.01);
+    });
+
+    test('dithers like the WAV encoder, to the same file every time', () => {
+        const quiet = [Float32Array.from(tone(8000, 3, 440), value => value / 32768 / 8)];
+        const first = new Uint8Array(encodeFlac(quiet, sampleRate));
+        expect(new Uint8Array(encodeFlac(quiet, sampleRate))).toEqual(first);
+        expect(toIntegers(decodeFlac(first).channels, 16)[0].some(value => value !== 0)).toBe(true);
+        expect(toIntegers(decodeFlac(encodeFlac(quiet, sampleRate, { dither: 'none' })).channels, 16)[0].every(value => value === 0)).toBe(true);
+    });
+
+    test('yields the header first and fills it in when done', () => {
+        const channels = fromIntegers([tone(20000, 9000, 440), tone(20000, 9000, 660)], 16);
+        const generator = encodeFlacParts(channels, sampleRate, {}, { partSize: 4000 });
+        const header = generator.next().value;
+        expect(header).toHaveLength(42);
+        expect(header.every(byte => byte === 0)).toBe(true);
+
+        const parts = [header, ...generator];
+        expect(parts.length).toBeGreaterThan(3);
+        expect(streamInfo(header).magic).toBe('fLaC');
+        expect(concatParts(parts)).toEqual(new Uint8Array(encodeFlac(channels, sampleRate)));
+        expect(decodeAudioFile(concatParts(parts)).channels).toHaveLength(2);
+    });
+
+    test('keeps the frames before a truncation', () => {
+        const bytes = new Uint8Array(encodeFlac(fromIntegers([tone(20000, 9000, 440)], 16), sampleRate, { dither: 'none' }));
+        const decoded = decodeFlac(bytes.subarray(0, bytes.length - 100));
+        expect(decoded.channels[0].length % 4096).toBe(0);
+        expect(decoded.channels[0].length).toBeGreaterThan(0);
+        expect(decoded.channels[0].length).toBeLessThan(20000);
+    });
+});
+
+describe('validateFlacEncoding', () => {
+    test('fills in the defaults', () => {
+        expect(validateFlacEncoding()).toEqual({ bitDepth: 16, dither: 'tpdf', noiseShaping: false, blockSize: 4096, lpcOrder: 8 });
+    });
+
+    test('rejects what FLAC cannot store', () => {
+        expect(() => validateFlacEncoding({ bitDepth: 32 })).toThrow(/Unsupported FLAC bitDepth 32/);
+        expect(() => validateFlacEncoding({ float: true })).toThrow(/integer samples/);
+        expect(() => validateFlacEncoding({ container: 'rf64' })).toThrow(/WAV only/);
+        expect(() => validateFlacEncoding({ blockSize: 8 })).toThrow(PaulStretchError);
+        expect(() => validateFlacEncoding({ lpcOrder: 33 })).toThrow(PaulStretchError);
+        expect(() => Array.from(encodeFlacParts(new Array(9).fill(new Float32Array(10)), sampleRate))).toThrow(/1 to 8 channels/);
+    });
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { FFT } from '../src/utils/fft.js';
+import { createWindow } from '../src/utils/windows.js';
+import { PaulStretchError } from '../src/utils/errors.js';
+import {
+    createJsFrameKernel,
+    createWasmFrameKernel,
+    getFrameKernelWorkerCode,
+    resolveFrameBackend,
+    validateBackend
+} from '../src/frame-kernel.js';
+import { getFrameKernelBytes } from '../src/wasm/frame-kernel.js';
+
+function testSignal(length) {
+    return Float32Array.from({ length }, (_, i) =>
+        0.6 * Math.sin(2 * Math.PI * 441 * i / 44100) + 0.3 * Math.sin(2 * Math.PI * 3000 * i / 44100 + 1));
+}
+
+function testPhases(count) {
+    return Float32Array.from({ length: count }, (_, i) => (i * 2.399963) % (2 * Math.PI));
+}
+
+function maxRelativeDifference(a, b) {
+    let difference = 0;
+    let scale = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference = Math.max(difference, Math.abs(a[i] - b[i]));
+        scale = Math.max(scale, Math.abs(a[i]));
+    }
+    return difference / scale;
+}
+
+describe('WebAssembly frame kernel', () => {
+    test('module validates', () => {
+        expect(WebAssembly.validate(getFrameKernelBytes())).toBe(true);
+        expect(resolveFrameBackend('wasm')).toBeInstanceOf(WebAssembly.Module);
+    });
+
+    test.each([16, 1024, 882, 2206])('matches the JS kernel for %i-sample frames', (winSize) => {
+        const winArray = createWindow(winSize, 'paulstretch');
+        const input = testSignal(winSize + 100);
+        const phases = testPhases(winSize / 2 + 1);
+
+        const js = createJsFrameKernel(FFT, winSize, winArray);
+        const wasm = createWasmFrameKernel(resolveFrameBackend('wasm'), winSize, winArray);
+
+        js.analyze(input, 37);
+        wasm.analyze(input, 37);
+        expect(maxRelativeDifference(js.amplitudes, wasm.amplitudes)).toBeLessThan(1e-12);
+
+        const jsOut = new Float32Array(winSize);
+        const wasmOut = new Float32Array(winSize);
+        js.synthesize(phases, jsOut);
+        wasm.synthesize(phases, wasmOut);
+        expect(maxRelativeDifference(jsOut, wasmOut)).toBeLessThan(1e-6);
+    });
+
+    test('amplitudes can be rewritten between analyze and synthesize', () => {
+        const winSize = 256;
+        const wasm = createWasmFrameKernel(resolveFrameBackend('wasm'), winSize, createWindow(winSize, 'hann'));
+        const output = new Float32Array(winSize);
+
+        wasm.analyze(testSignal(winSize), 0);
+        wasm.amplitudes.fill(0);
+        wasm.synthesize(testPhases(winSize / 2 + 1), output);
+
+        expect(output.every(value => value === 0)).toBe(true);
+    });
+
+    test('kernels can be rebuilt from their source, as the worker code does', () => {
+        const { createWasmFrameKernel: rebuilt } = new Function(
+            `${getFrameKernelWorkerCode()}\nreturn { createJsFrameKernel, createWasmFrameKernel };`)();
+        const winSize = 64;
+        const kernel = rebuilt(resolveFrameBackend('wasm'), winSize, createWindow(winSize, 'hann'));
+
+        kernel.analyze(testSignal(winSize), 0);
+        expect(kernel.amplitudes.some(value => value > 0)).toBe(true);
+    });
+});
+
+describe('resolveFrameBackend', () => {
+    test('js never compiles the module', () => {
+        expect(resolveFrameBackend('js')).toBeNull();
+    });
+
+    test('falls back to JS without WebAssembly', () => {
+        const original = global.WebAssembly;
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            jest.isolateModules(() => {
+                global.WebAssembly = undefined;
+                const { resolveFrameBackend: resolveFresh } = require('../src/frame-kernel.js');
+                expect(resolveFresh('auto')).toBeNull();
+                expect(warn).not.toHaveBeenCalled();
+                expect(resolveFresh('wasm')).toBeNull();
+                expect(warn).toHaveBeenCalled();
+            });
+        } finally {
+            global.WebAssembly = original;
+            warn.mockRestore();
+        }
+    });
+
+    test('rejects unknown backends', () => {
+        expect(() => validateBackend('gpu')).toThrow(PaulStretchError);
+    });
+});
@@ -0,0 +1,30 @@
+// Runs worker code strings on the main thread so the worker paths can be
+// exercised under jsdom, which has no Worker implementation.
+export function createInlineWorkerClass(workerCode) {
+    return class InlineWorker {
+        constructor() {
+            this.onmessage = null;
+            this.onerror = null;
+            this.terminated = false;
+            this.scope = {
+                onmessage: null,
+                postMessage: (data) => {
+                    setTimeout(() => {
+                        if (!this.terminated && this.onmessage) this.onmessage({ data });
+                    }, 0);
+                }
+            };
+            new Function('self', workerCode)(this.scope);
+        }
+
+        postMessage(data) {
+            setTimeout(() => {
+                if (!this.terminated) this.scope.onmessage({ data });
+            }, 0);
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+    };
+}
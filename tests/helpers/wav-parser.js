@@ -0,0 +1,104 @@
+// A deliberately separate WAV reader for the encoder tests: it returns the
+// header fields as stored and the raw sample values (integers for PCM), so
+// the tests do not trust src/utils/wav.js to check itself. Reads RIFF, RF64
+// (result.ds64) and Sony Wave64 (result.guids, 64-bit sizes).
+
+// Blob parts or an ArrayBuffer as one Uint8Array
+export function concatParts(parts) {
+    if (parts instanceof ArrayBuffer) {
+        return new Uint8Array(parts);
+    }
+    const bytes = new Uint8Array(parts.reduce((size, part) => size + part.byteLength, 0));
+    let pos = 0;
+    for (const part of parts) {
+        bytes.set(new Uint8Array(part.buffer || part, part.byteOffset || 0, part.byteLength), pos);
+        pos += part.byteLength;
+    }
+    return bytes;
+}
+
+export function parseWav(input) {
+    const bytes = input instanceof Uint8Array ? input : concatParts(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const tag = (at) => String.fromCharCode(...bytes.subarray(at, at + 4));
+    const uint64 = (at) => view.getUint32(at, true) + view.getUint32(at + 4, true) * 4294967296;
+    const wave64 = tag(0) === 'riff';
+
+    const result = {
+        riff: tag(0),
+        riffSize: wave64 ? uint64(16) : view.getUint32(4, true),
+        wave: tag(wave64 ? 24 : 8),
+        guids: wave64 ? [Array.from(bytes.subarray(0, 16))] : null,
+        chunks: [],
+        ds64: null,
+        format: null,
+        factLength: null,
+        dataSize: null,
+        samples: null
+    };
+
+    let dataOffset = null;
+    for (let pos = wave64 ? 40 : 12; pos + (wave64 ? 24 : 8) <= bytes.length;) {
+        const id = tag(pos);
+        let size;
+        let body;
+        let next;
+        if (wave64) {
+            result.guids.push(Array.from(bytes.subarray(pos, pos + 16)));
+            size = uint64(pos + 16) - 24;
+            body = pos + 24;
+            next = pos + Math.ceil((size + 24) / 8) * 8;
+        } else {
+            size = view.getUint32(pos + 4, true);
+            body = pos + 8;
+            next = body + size + (size % 2);
+        }
+        result.chunks.push(id);
+        if (id === 'ds64') {
+            result.ds64 = {
+                riffSize: uint64(body),
+                dataSize: uint64(body + 8),
+                sampleCount: uint64(body + 16),
+                tableLength: view.getUint32(body + 24, true)
+            };
+        } else if (id === 'fmt ') {
+            result.format = {
+                size,
+                audioFormat: view.getUint16(body, true),
+                numChannels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                byteRate: view.getUint32(body + 8, true),
+                blockAlign: view.getUint16(body + 12, true),
+                bitsPerSample: view.getUint16(body + 14, true),
+                cbSize: size >= 18 ? view.getUint16(body + 16, true) : null
+            };
+        } else if (id === 'fact') {
+            result.factLength = wave64 ? uint64(body) : view.getUint32(body, true);
+        } else if (id === 'data') {
+            result.dataSize = size;
+            dataOffset = body;
+        }
+        pos = next;
+    }
+
+    const { audioFormat, numChannels, bitsPerSample, blockAlign } = result.format;
+    const width = bitsPerSample / 8;
+    const read = (at) => {
+        if (audioFormat === 3) return view.getFloat32(at, true);
+        if (width === 2) return view.getInt16(at, true);
+        if (width === 3) return (view.getInt8(at + 2) << 16) | (view.getUint8(at + 1) << 8) | view.getUint8(at);
+        return view.getInt32(at, true);
+    };
+    // A header on its own parses with no samples
+    const dataSize = result.dataSize === 0xffffffff && result.ds64 ? result.ds64.dataSize : result.dataSize;
+    const frames = Math.floor(Math.min(dataSize, bytes.length - dataOffset) / blockAlign);
+    result.samples = [];
+    for (let ch = 0; ch < numChannels; ch++) {
+        const values = [];
+        for (let i = 0; i < frames; i++) {
+            values.push(read(dataOffset + i * blockAlign + ch * width));
+        }
+        result.samples.push(values);
+    }
+    return result;
+}
@@ -0,0 +1,71 @@
+import { PaulStretchError } from '../src/utils/errors.js';
+import { createLimiter, validateLimiter } from '../src/utils/limiter.js';
+import { PEAK_TARGET } from '../src/utils/normalize.js';
+
+const sampleRate = 48000;
+
+function block(length, value = 0.1) {
+    return [new Float32Array(length).fill(value), new Float32Array(length).fill(-value)];
+}
+
+function peakOf(channels) {
+    return Math.max(...channels.map(data => data.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0)));
+}
+
+describe('createLimiter', () => {
+    test('passes material below the ceiling unchanged', () => {
+        const limit = createLimiter(sampleRate);
+        const channels = block(4800, 0.5);
+        limit(channels);
+        expect(channels[0].every(value => value === 0.5)).toBe(true);
+    });
+
+    test('keeps peaks under the ceiling and ramps down before them', () => {
+        const limit = createLimiter(sampleRate, { ceiling: -6 });
+        const channels = block(4800);
+        channels[1][2400] = 2;
+        limit(channels);
+
+        expect(peakOf(channels)).toBeLessThanOrEqual(Math.pow(10, -6 / 20) + 1e-6);
+        expect(Math.abs(channels[0][2399])).toBeLessThan(0.1);
+        expect(channels[0][2400 - 240]).toBeCloseTo(0.1, 6);
+    });
+
+    test('looks ahead into the next block', () => {
+        const limit = createLimiter(sampleRate);
+        const first = block(1000);
+        const second = block(1000);
+        second[0][10] = 4;
+        limit(first, second);
+        limit(second);
+
+        expect(first[0][999]).toBeLessThan(0.1);
+        expect(peakOf(second)).toBeLessThanOrEqual(PEAK_TARGET + 1e-6);
+    });
+
+    test('releases the gain afterwards', () => {
+        const limit = createLimiter(sampleRate, { release: 0.01 });
+        const first = block(100);
+        first[0][50] = 1.9;
+        limit(first);
+        const later = block(sampleRate / 10);
+        limit(later);
+
+        expect(later[0][0]).toBeLessThan(0.1);
+        expect(later[0][later[0].length - 1]).toBeCloseTo(0.1, 5);
+    });
+});
+
+describe('validateLimiter', () => {
+    test('fills in the defaults', () => {
+        expect(validateLimiter(true)).toEqual({ ceiling: 20 * Math.log10(PEAK_TARGET), lookahead: 0.005, release: 0.1 });
+        expect(validateLimiter({ ceiling: -1 }).ceiling).toBe(-1);
+    });
+
+    test('rejects invalid settings', () => {
+        expect(() => validateLimiter('soft')).toThrow(PaulStretchError);
+        expect(() => validateLimiter({ ceiling: 'max' })).toThrow(PaulStretchError);
+        expect(() => validateLimiter({ release: 0 })).toThrow(PaulStretchError);
+        expect(() => validateLimiter({ lookahead: -1 })).toThrow(PaulStretchError);
+    });
+});
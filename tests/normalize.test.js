@@ -0,0 +1,123 @@
+import { PaulStretchError } from '../src/utils/errors.js';
+import {
+    PEAK_TARGET,
+    createLevelMeter,
+    measureLoudness,
+    measureTruePeak,
+    normalizeChannels,
+    validateNormalization
+} from '../src/utils/normalize.js';
+
+const sampleRate = 48000;
+
+function sine(frequency, amplitude, seconds = 2, phase = 0) {
+    return Float32Array.from({ length: sampleRate * seconds },
+        (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate + phase));
+}
+
+function peakOf(data) {
+    return data.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0);
+}
+
+describe('measureLoudness', () => {
+    test('full-scale 997 Hz sine reads -3.01 LUFS', () => {
+        expect(measureLoudness([sine(997, 1)], sampleRate)).toBeCloseTo(-3.01, 1);
+    });
+
+    test('halving the level lowers loudness by 6 dB', () => {
+        const full = measureLoudness([sine(997, 1)], sampleRate);
+        const half = measureLoudness([sine(997, 0.5)], sampleRate);
+        expect(full - half).toBeCloseTo(6.02, 1);
+    });
+
+    test('silence and very short input are -Infinity', () => {
+        expect(measureLoudness([new Float32Array(sampleRate)], sampleRate)).toBe(-Infinity);
+        expect(measureLoudness([sine(997, 1, 0.2)], sampleRate)).toBe(-Infinity);
+    });
+});
+
+describe('measureTruePeak', () => {
+    test('finds inter-sample peaks above the sample peak', () => {
+        // fs/4 sine sampled 45 degrees off its crests: samples peak at 0.707
+        const data = sine(sampleRate / 4, 1, 0.1, Math.PI / 4);
+        expect(peakOf(data)).toBeCloseTo(Math.SQRT1_2, 3);
+        expect(measureTruePeak([data])).toBeGreaterThan(0.95);
+    });
+});
+
+describe('normalizeChannels', () => {
+    test('peak-per-channel scales every channel to the target', () => {
+        const channels = [sine(441, 0.2), sine(441, 0.6)];
+        normalizeChannels(channels, sampleRate, 'peak-per-channel');
+        expect(peakOf(channels[0])).toBeCloseTo(PEAK_TARGET, 3);
+        expect(peakOf(channels[1])).toBeCloseTo(PEAK_TARGET, 3);
+    });
+
+    test('peak-linked keeps the balance between channels', () => {
+        const channels = [sine(441, 0.2), sine(441, 0.6)];
+        normalizeChannels(channels, sampleRate, 'peak-linked');
+        expect(peakOf(channels[1])).toBeCloseTo(PEAK_TARGET, 3);
+        expect(peakOf(channels[0]) / peakOf(channels[1])).toBeCloseTo(1 / 3, 3);
+    });
+
+    test('none leaves the samples untouched', () => {
+        const channels = [sine(441, 0.2)];
+        const before = channels[0].slice();
+        normalizeChannels(channels, sampleRate, 'none');
+        expect(channels[0]).toEqual(before);
+    });
+
+    test('lufs target reaches the requested loudness', () => {
+        const channels = [sine(997, 0.9), sine(1500, 0.3)];
+        normalizeChannels(channels, sampleRate, { lufs: -20 });
+        expect(measureLoudness(channels, sampleRate)).toBeCloseTo(-20, 1);
+    });
+
+    test('truePeak ceiling wins over the loudness target', () => {
+        const channels = [sine(997, 0.1)];
+        normalizeChannels(channels, sampleRate, { lufs: 0, truePeak: -1 });
+        expect(measureTruePeak(channels)).toBeCloseTo(Math.pow(10, -1 / 20), 3);
+        expect(measureLoudness(channels, sampleRate)).toBeLessThan(0);
+    });
+
+    test('silent input stays silent', () => {
+        const channels = [new Float32Array(sampleRate)];
+        normalizeChannels(channels, sampleRate, { lufs: -14 });
+        normalizeChannels(channels, sampleRate, 'peak-linked');
+        expect(peakOf(channels[0])).toBe(0);
+    });
+});
+
+describe('createLevelMeter', () => {
+    test.each(['peak-per-channel', 'peak-linked', { lufs: -16 }, { lufs: -16, truePeak: -1 }])(
+        '%p measured block by block gives the gains of the whole signal', (mode) => {
+            const channels = [sine(997, 0.4), sine(1500, 0.8, 2, 1)];
+            const whole = createLevelMeter(mode, 2, sampleRate);
+            whole.add(channels);
+            const blocks = createLevelMeter(mode, 2, sampleRate);
+            for (let start = 0; start < channels[0].length; start += 1001) {
+                blocks.add(channels.map(data => data.subarray(start, start + 1001)));
+            }
+
+            expect(blocks.gains()).toEqual(whole.gains());
+            const normalized = channels.map(data => data.slice());
+            normalizeChannels(normalized, sampleRate, mode);
+            whole.gains().forEach((gain, ch) => {
+                expect(normalized[ch]).toEqual(channels[ch].map(value => value * gain));
+            });
+        });
+});
+
+describe('validateNormalization', () => {
+    test('accepts the known modes', () => {
+        for (const mode of ['none', 'peak-linked', 'peak-per-channel', { lufs: -16 }, { lufs: -23, truePeak: -1 }]) {
+            expect(validateNormalization(mode)).toBe(mode);
+        }
+    });
+
+    test('rejects anything else', () => {
+        expect(() => validateNormalization('loud')).toThrow(PaulStretchError);
+        expect(() => validateNormalization({ truePeak: -1 })).toThrow(PaulStretchError);
+        expect(() => validateNormalization({ lufs: -16, truePeak: 'max' })).toThrow(PaulStretchError);
+    });
+});
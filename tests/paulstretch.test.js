@@ -1,6 +1,20 @@
 import { jest } from '@jest/globals';
 import PaulStretch from '../src/index.js';
-import { PaulStretchError } from '../src/utils/errors.js';
+import PaulStretchFFT from '../src/paulstretch-fft.js';
+import PaulStretchOptimized from '../src/paulstretch-optimized.js';
+import {
+    AbortError,
+    PaulStretchError,
+    WorkerCrashError,
+    WorkerError,
+    WorkerTimeoutError
+} from '../src/utils/errors.js';
+import { computeFramePositions, createStretchEnvelope } from '../src/utils/envelope.js';
+import { normalizeChannels } from '../src/utils/normalize.js';
+import { encodeWav } from '../src/utils/wav.js';
+import { decodeFlac } from '../src/utils/flac.js';
+import { concatParts, parseWav } from './helpers/wav-parser.js';
+import { createInlineWorkerClass } from './helpers/inline-worker.js';
 
 // Mock AudioBuffer class
 class MockAudioBuffer {
@@ -167,6 +181,73 @@ global.document = {
     }
 };
 
+// Worker test fixtures. Workers run the real worker code on the main thread
+// (see helpers/inline-worker.js) while global.Worker is set.
+const createInput = (ps) => ps.audioContext.createBuffer(2, 11025, 44100);
+
+const createWorkerClass = () => createInlineWorkerClass(new PaulStretch({ useWorkers: false })._getWorkerCode());
+
+// Answers every chunk with a silent segment of the right length, after
+// delay(params) milliseconds, without rendering it. StubWorker.chunks records
+// the params of every chunk sent.
+const createStubWorkerClass = (delay = () => 0) => {
+    const InlineWorker = createWorkerClass();
+    const chunks = [];
+    const StubWorker = class extends InlineWorker {
+        postMessage(data) {
+            if (data.action === 'startJob') this.halfWinSize = data.params.winSize / 2;
+            if (data.action !== 'processFrames') {
+                super.postMessage(data);
+                return;
+            }
+            const { params } = data;
+            chunks.push(params);
+            const halfWinSize = this.halfWinSize;
+            const reply = {
+                taskId: params.taskId,
+                channelIndex: params.channelIndex,
+                chunkIndex: params.chunkIndex,
+                segment: new Float32Array((params.positions.length + 1) * halfWinSize),
+                success: true
+            };
+            setTimeout(() => {
+                if (!this.terminated) this.onmessage({ data: reply });
+            }, delay(params));
+        }
+    };
+    StubWorker.chunks = chunks;
+    return StubWorker;
+};
+
+async function withWorkers(WorkerClass, body) {
+    global.Worker = WorkerClass;
+    try {
+        return await body();
+    } finally {
+        delete global.Worker;
+    }
+}
+
+// createInput stretched on a pool of WorkerClass workers, or on the main
+// thread with the same settings
+const workerTestOptions = { stretchFactor: 2.0, windowSize: 0.02, numWorkers: 2, seed: 4 };
+
+function stretchWithWorkers(WorkerClass, options = {}) {
+    return withWorkers(WorkerClass, async () => {
+        const ps = new PaulStretch({ ...workerTestOptions, ...options });
+        try {
+            return await ps.stretch(createInput(ps));
+        } finally {
+            ps.dispose();
+        }
+    });
+}
+
+function stretchSingleThread(options = {}) {
+    const ps = new PaulStretch({ ...workerTestOptions, ...options, useWorkers: false });
+    return ps.stretch(createInput(ps));
+}
+
 describe('PaulStretch Constructor', () => {
     test('creates instance with default options', () => {
         const ps = new PaulStretch();
@@ -270,6 +351,48 @@ describe('PaulStretch loadAudio', () => {
         await expect(ps.loadAudio(blob)).rejects.toThrow('Failed to load audio');
     });
 
+    test('decodes WAV itself at the native sample rate', async () => {
+        const left = Float32Array.from({ length: 1000 }, (_, i) => Math.sin(i / 10) * 0.5);
+        const wav = encodeWav([left, left], 96000);
+        ps.audioContext.decodeAudioData = jest.fn();
+
+        for (const input of [wav, new Uint8Array(wav)]) {
+            const audioBuffer = await ps.loadAudio(input);
+            expect(audioBuffer.sampleRate).toBe(96000);
+            expect(audioBuffer.length).toBe(1000);
+            expect(audioBuffer.getChannelData(1)[10]).toBeCloseTo(left[10], 4);
+        }
+        expect(ps.audioContext.decodeAudioData).not.toHaveBeenCalled();
+    });
+
+    test('leaves codecs the built-in decoder lacks to decodeAudioData', async () => {
+        const wav = new Uint8Array(encodeWav([new Float32Array(100)], 44100));
+        new DataView(wav.buffer).setUint16(20, 0x55, true); // MP3 in a WAV container
+        const decodeAudioData = jest.spyOn(ps.audioContext, 'decodeAudioData');
+
+        const audioBuffer = await ps.loadAudio(wav);
+        expect(audioBuffer.numberOfChannels).toBe(2);
+        expect(decodeAudioData).toHaveBeenCalledTimes(1);
+        // A copy, so the caller's buffer is not detached
+        expect(decodeAudioData.mock.calls[0][0]).not.toBe(wav.buffer);
+
+        decodeAudioData.mockRejectedValue(new Error('Unable to decode audio data'));
+        await expect(ps.loadAudio(wav)).rejects.toThrow(/Unsupported WAV codec \(MP3/);
+    });
+
+    test('leaves rates the AudioContext rejects to decodeAudioData', async () => {
+        const wav = encodeWav([new Float32Array(100)], 1000);
+        const createBuffer = jest.spyOn(ps.audioContext, 'createBuffer').mockImplementationOnce(() => {
+            throw new Error('The sample rate provided (1000) is outside the range [3000, 768000]');
+        });
+        const decodeAudioData = jest.spyOn(ps.audioContext, 'decodeAudioData');
+
+        const audioBuffer = await ps.loadAudio(wav);
+        expect(createBuffer.mock.calls[0][2]).toBe(1000);
+        expect(decodeAudioData).toHaveBeenCalledTimes(1);
+        expect(audioBuffer.sampleRate).toBe(44100);
+    });
+
     test('throws error when URL fetch fails', async () => {
         global.fetch = jest.fn().mockRejectedValue(new Error('Network error'));
         
@@ -505,6 +628,49 @@ describe('PaulStretch Utility Methods', () => {
             expect(blob.type).toBe('audio/mp3');
         });
 
+        test('writes the requested sample format', async () => {
+            const blob = await ps.toBlob(mockAudioBuffer, { bitDepth: 24, dither: 'none' });
+            const wav = parseWav(blob.chunks);
+
+            expect(blob.type).toBe('audio/wav');
+            expect(wav.format).toMatchObject({ audioFormat: 1, bitsPerSample: 24, numChannels: 2 });
+            expect(wav.samples[1][25]).toBe(Math.round(mockAudioBuffer.getChannelData(1)[25] * 8388608));
+
+            const float = parseWav((await ps.toBlob(mockAudioBuffer, { float: true })).chunks);
+            expect(float.format).toMatchObject({ audioFormat: 3, bitsPerSample: 32 });
+            expect(float.samples[0][25]).toBe(mockAudioBuffer.getChannelData(0)[25]);
+        });
+
+        test('builds the Blob from a header part and sample parts', async () => {
+            const blob = await ps.toBlob(mockAudioBuffer, { container: 'wave64', dither: 'none' });
+            const wav = parseWav(blob.chunks);
+
+            expect(blob.chunks.length).toBeGreaterThan(1);
+            expect(blob.chunks[0].length).toBe(104);
+            expect(blob.size).toBe(104 + mockAudioBuffer.length * 4);
+            expect(wav.riff).toBe('riff');
+            expect(wav.samples[0][25]).toBe(Math.round(mockAudioBuffer.getChannelData(0)[25] * 32768));
+        });
+
+        test('encodes FLAC', async () => {
+            const blob = await ps.toBlob(mockAudioBuffer, { format: 'flac', dither: 'none' });
+            const decoded = decodeFlac(concatParts(blob.chunks));
+
+            expect(blob.type).toBe('audio/flac');
+            expect(blob.size).toBeLessThan(mockAudioBuffer.length * 4 / 2);
+            expect(decoded.sampleRate).toBe(44100);
+            expect(decoded.channels[1]).toHaveLength(mockAudioBuffer.length);
+            expect(decoded.channels[1][25]).toBe(Math.round(mockAudioBuffer.getChannelData(1)[25] * 32768) / 32768);
+        });
+
+        test('rejects sample formats it cannot write', async () => {
+            await expect(ps.toBlob(mockAudioBuffer, { format: 'mp3' })).rejects.toThrow(/Unknown format 'mp3'/);
+            await expect(ps.toBlob(mockAudioBuffer, { format: 'flac', float: true })).rejects.toThrow(/integer samples/);
+            await expect(ps.toBlob(mockAudioBuffer, { container: 'w64' })).rejects.toThrow(/Unknown container/);
+            await expect(ps.toBlob(mockAudioBuffer, { bitDepth: 12 })).rejects.toThrow(PaulStretchError);
+            await expect(ps.toBlob(mockAudioBuffer, { dither: 'shaped' })).rejects.toThrow(/Unknown dither/);
+        });
+
         test('throws error for invalid AudioBuffer', async () => {
             await expect(ps.toBlob(null)).rejects.toThrow(PaulStretchError);
             await expect(ps.toBlob(null)).rejects.toThrow('Invalid audio buffer');
@@ -559,7 +725,7 @@ describe('PaulStretch Utility Methods', () => {
             
             await expect(ps.download(mockAudioBuffer, 'test-audio.wav', 'audio/wav')).resolves.toBeUndefined();
             
-            expect(toBlobSpy).toHaveBeenCalledWith(mockAudioBuffer, 'audio/wav');
+            expect(toBlobSpy).toHaveBeenCalledWith(mockAudioBuffer, 'audio/wav', { signal: undefined });
             expect(global.URL.createObjectURL).toHaveBeenCalled();
         });
 
@@ -568,7 +734,18 @@ describe('PaulStretch Utility Methods', () => {
             
             await expect(ps.download(mockAudioBuffer)).resolves.toBeUndefined();
             
-            expect(toBlobSpy).toHaveBeenCalledWith(mockAudioBuffer, 'audio/wav');
+            expect(toBlobSpy).toHaveBeenCalledWith(mockAudioBuffer, 'audio/wav', { signal: undefined });
+        });
+
+        test('names FLAC downloads .flac', async () => {
+            jest.spyOn(ps, 'toBlob').mockResolvedValue(new global.Blob([], { type: 'audio/flac' }));
+            const createSpy = jest.spyOn(document, 'createElement');
+
+            await ps.download(mockAudioBuffer, null, { format: 'flac' });
+            expect(createSpy.mock.results[0].value.download).toBe('stretched-audio.flac');
+            await ps.download(mockAudioBuffer, 'take.flac', { format: 'flac' });
+            expect(createSpy.mock.results[1].value.download).toBe('take.flac');
+            createSpy.mockRestore();
         });
 
         test('throws error in non-browser environment', async () => {
@@ -593,7 +770,7 @@ describe('PaulStretch Utility Methods', () => {
             
             const result = await ps.processAndPlay(file);
             
-            expect(loadSpy).toHaveBeenCalledWith(file);
+            expect(loadSpy).toHaveBeenCalledWith(file, { signal: undefined });
             expect(stretchSpy).toHaveBeenCalled();
             expect(playSpy).toHaveBeenCalled();
             expect(result).toBeInstanceOf(MockAudioBuffer);
@@ -618,9 +795,9 @@ describe('PaulStretch Utility Methods', () => {
             
             const result = await ps.processAndDownload(file, 'output.wav', 'audio/wav');
             
-            expect(loadSpy).toHaveBeenCalledWith(file);
+            expect(loadSpy).toHaveBeenCalledWith(file, { signal: undefined });
             expect(stretchSpy).toHaveBeenCalled();
-            expect(downloadSpy).toHaveBeenCalledWith(result, 'output.wav', 'audio/wav');
+            expect(downloadSpy).toHaveBeenCalledWith(result, 'output.wav', 'audio/wav', { signal: undefined });
             expect(result).toBeInstanceOf(MockAudioBuffer);
         });
 
@@ -632,7 +809,1117 @@ describe('PaulStretch Utility Methods', () => {
             
             await ps.processAndDownload(file);
             
-            expect(downloadSpy).toHaveBeenCalledWith(expect.any(MockAudioBuffer), 'stretched-audio.wav', 'audio/wav');
+            expect(downloadSpy).toHaveBeenCalledWith(expect.any(MockAudioBuffer), 'stretched-audio.wav', 'audio/wav', { signal: undefined });
+
+            await ps.processAndDownload(file, undefined, { format: 'flac' });
+            expect(downloadSpy).toHaveBeenLastCalledWith(expect.any(MockAudioBuffer), 'stretched-audio.flac', { format: 'flac' }, { signal: undefined });
+        });
+    });
+});
+
+describe('PaulStretch seed', () => {
+    const stretchWith = async (options) => {
+        const ps = new PaulStretch({ stretchFactor: 2.0, windowSize: 0.02, useWorkers: false, ...options });
+        const input = ps.audioContext.createBuffer(2, 11025, 44100);
+        return ps.stretch(input);
+    };
+
+    test('same seed renders identical output', async () => {
+        const a = await stretchWith({ seed: 42 });
+        const b = await stretchWith({ seed: 42 });
+
+        expect(a.getChannelData(0)).toEqual(b.getChannelData(0));
+        expect(a.getChannelData(1)).toEqual(b.getChannelData(1));
+    });
+
+    test('different seeds render different output', async () => {
+        const a = await stretchWith({ seed: 1 });
+        const b = await stretchWith({ seed: 2 });
+
+        expect(a.getChannelData(0)).not.toEqual(b.getChannelData(0));
+    });
+
+    test('channels get independent phases for the same seed', async () => {
+        const out = await stretchWith({ seed: 7 });
+
+        expect(out.getChannelData(0)).not.toEqual(out.getChannelData(1));
+    });
+
+    test('worker path matches the single-thread path for the same seed', async () => {
+        const single = await stretchWith({ seed: 1234 });
+
+        await withWorkers(createWorkerClass(), async () => {
+            const ps = new PaulStretch({ stretchFactor: 2.0, windowSize: 0.02, numWorkers: 3, seed: 1234 });
+            expect(ps.workers.length).toBe(3);
+
+            const parallel = await ps.stretch(createInput(ps));
+            ps.dispose();
+
+            expect(parallel.getChannelData(0)).toEqual(single.getChannelData(0));
+            expect(parallel.getChannelData(1)).toEqual(single.getChannelData(1));
+        });
+    });
+});
+
+describe('PaulStretch stretch envelope', () => {
+    const render = async (stretchFactor, options = {}) => {
+        const ps = new PaulStretch({ stretchFactor, windowSize: 0.02, useWorkers: false, seed: 3, ...options });
+        return ps.stretch(ps.audioContext.createBuffer(1, 11025, 44100));
+    };
+
+    test('output length integrates a breakpoint envelope', async () => {
+        // 0.25 s of input ramping linearly from 2x to 6x -> 0.25 * 4 = 1 s of output
+        const out = await render([{ time: 0, factor: 2 }, { time: 0.25, factor: 6 }]);
+        expect(out.length).toBe(44100);
+    });
+
+    test('breakpoints are held flat past the last point', async () => {
+        const out = await render([{ time: 0.1, factor: 4 }, { time: 0, factor: 2 }]);
+        // 0..0.1 s ramps 2x->4x (0.3 s), 0.1..0.25 s holds 4x (0.6 s)
+        expect(out.length).toBe(Math.floor(0.9 * 44100));
+    });
+
+    test('callback envelope has the length of the equivalent constant factor', async () => {
+        const constant = await render(3);
+        const callback = await render(() => 3);
+
+        expect(callback.length).toBe(constant.length);
+        expect(callback.getChannelData(0).every(Number.isFinite)).toBe(true);
+    });
+
+    test('worker path matches the single-thread path for an envelope', async () => {
+        const envelope = [{ time: 0, factor: 1.5 }, { time: 0.2, factor: 5 }];
+        const single = await render(envelope);
+
+        await withWorkers(createWorkerClass(), async () => {
+            const ps = new PaulStretch({ stretchFactor: envelope, windowSize: 0.02, numWorkers: 2, seed: 3 });
+            const parallel = await ps.stretch(ps.audioContext.createBuffer(1, 11025, 44100));
+            ps.dispose();
+
+            expect(parallel.getChannelData(0)).toEqual(single.getChannelData(0));
+        });
+    });
+
+    test('rejects invalid envelopes', async () => {
+        await expect(render([])).rejects.toThrow(PaulStretchError);
+        await expect(render([{ time: 0, factor: -1 }])).rejects.toThrow(PaulStretchError);
+        await expect(render(() => 0)).rejects.toThrow(PaulStretchError);
+        await expect(render('fast')).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretch freeze', () => {
+    let ps;
+    let input;
+
+    beforeEach(() => {
+        ps = new PaulStretch({ windowSize: 0.02, useWorkers: false, seed: 11 });
+        input = ps.audioContext.createBuffer(2, 11025, 44100);
+    });
+
+    test('renders the requested duration regardless of the input length', async () => {
+        const frozen = await ps.freeze(input, 0.1, 3);
+
+        expect(frozen.numberOfChannels).toBe(2);
+        expect(frozen.sampleRate).toBe(44100);
+        expect(frozen.length).toBe(3 * 44100);
+    });
+
+    test('keeps sounding for the whole output', async () => {
+        const frozen = await ps.freeze(input, 0.1, 1);
+        const data = frozen.getChannelData(0);
+
+        // Check every 1024-sample block after the initial fade-in carries energy
+        for (let start = 1024; start + 1024 <= data.length; start += 1024) {
+            let energy = 0;
+            for (let i = start; i < start + 1024; i++) energy += data[i] * data[i];
+            expect(energy).toBeGreaterThan(0);
+        }
+    });
+
+    test('is reproducible with a seed', async () => {
+        const a = await ps.freeze(input, 0.05, 0.5);
+        const b = await ps.freeze(input, 0.05, 0.5);
+
+        expect(a.getChannelData(1)).toEqual(b.getChannelData(1));
+    });
+
+    test('rejects invalid positions and durations', async () => {
+        await expect(ps.freeze(null, 0, 1)).rejects.toThrow('Invalid audio buffer');
+        await expect(ps.freeze(input, -1, 1)).rejects.toThrow(PaulStretchError);
+        await expect(ps.freeze(input, 10, 1)).rejects.toThrow(PaulStretchError);
+        await expect(ps.freeze(input, 0.1, 0)).rejects.toThrow(PaulStretchError);
+    });
+});
+
+// Stretch a mono 0.25 s input (the mock's 441 Hz sine unless `signal` is given)
+// into silent output buffers; mock buffers otherwise come pre-filled with the sine
+async function renderSpectral(options, signal = null) {
+    const ps = new PaulStretch({ stretchFactor: 2.0, windowSize: 0.02, useWorkers: false, seed: 5, ...options });
+    const input = ps.audioContext.createBuffer(1, 11025, 44100);
+    if (signal) {
+        input.copyToChannel(Float32Array.from({ length: input.length }, (_, i) => signal(i / 44100)), 0);
+    }
+    ps.audioContext.createBuffer = (channels, length, sampleRate) => {
+        const buffer = new MockAudioBuffer(channels, length, sampleRate);
+        for (let ch = 0; ch < channels; ch++) buffer.copyToChannel(new Float32Array(length), ch);
+        return buffer;
+    };
+    const output = await ps.stretch(input);
+    ps.dispose();
+    return output;
+}
+
+// Power of one frequency in a signal (single DFT bin)
+function powerAt(data, frequency, sampleRate = 44100) {
+    let re = 0;
+    let im = 0;
+    for (let i = 0; i < data.length; i++) {
+        const angle = 2 * Math.PI * frequency * i / sampleRate;
+        re += data[i] * Math.cos(angle);
+        im += data[i] * Math.sin(angle);
+    }
+    return (re * re + im * im) / data.length;
+}
+
+async function expectWorkerParity(options, signal = null) {
+    const single = await renderSpectral(options, signal);
+
+    const parallel = await withWorkers(createWorkerClass(),
+        () => renderSpectral({ ...options, useWorkers: true, numWorkers: 2 }, signal));
+    expect(parallel.getChannelData(0)).toEqual(single.getChannelData(0));
+}
+
+describe('PaulStretch pitchShift', () => {
+    // The mock buffers hold a 441 Hz sine, so zero crossings track pitch
+    const zeroCrossings = (data) => {
+        let count = 0;
+        for (let i = 1; i < data.length; i++) {
+            if ((data[i - 1] < 0) !== (data[i] < 0)) count++;
+        }
+        return count;
+    };
+
+    test('shifting up an octave doubles the frequency', async () => {
+        const plain = await renderSpectral({});
+        const octaveUp = await renderSpectral({ pitchShift: 12 });
+
+        const ratio = zeroCrossings(octaveUp.getChannelData(0)) / zeroCrossings(plain.getChannelData(0));
+        expect(ratio).toBeGreaterThan(1.9);
+        expect(ratio).toBeLessThan(2.1);
+    });
+
+    test('accepts semitones with cents', async () => {
+        const plain = await renderSpectral({});
+        const fifthDown = await renderSpectral({ pitchShift: { semitones: -7, cents: -2 } });
+
+        const ratio = zeroCrossings(fifthDown.getChannelData(0)) / zeroCrossings(plain.getChannelData(0));
+        expect(ratio).toBeCloseTo(Math.pow(2, -7.02 / 12), 1);
+    });
+
+    test('worker path matches the single-thread path', async () => {
+        await expectWorkerParity({ pitchShift: 5 });
+    });
+
+    test('rejects invalid values', async () => {
+        await expect(renderSpectral({ pitchShift: NaN })).resolves.toBeDefined(); // NaN is falsy: disabled
+        await expect(renderSpectral({ pitchShift: 'up' })).rejects.toThrow(PaulStretchError);
+        await expect(renderSpectral({ pitchShift: { semitones: Infinity } })).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretch harmonics', () => {
+    const twoTones = (t) => 0.5 * Math.sin(2 * Math.PI * 441 * t) + 0.5 * Math.sin(2 * Math.PI * 1000 * t);
+
+    test('keeps the harmonics and removes energy between them', async () => {
+        const plain = (await renderSpectral({}, twoTones)).getChannelData(0);
+        const tonal = (await renderSpectral({ harmonics: { frequency: 441, count: 1, bandwidth: 50 } }, twoTones)).getChannelData(0);
+
+        expect(powerAt(plain, 1000) / powerAt(plain, 441)).toBeGreaterThan(0.2);
+        expect(powerAt(tonal, 1000) / powerAt(tonal, 441)).toBeLessThan(0.01);
+    });
+
+    test('worker path matches the single-thread path', async () => {
+        await expectWorkerParity({ harmonics: { frequency: 220.5, count: 4 } }, twoTones);
+    });
+
+    test('rejects invalid settings', async () => {
+        await expect(renderSpectral({ harmonics: { count: 3 } })).rejects.toThrow(PaulStretchError);
+        await expect(renderSpectral({ harmonics: { frequency: 100, count: 1.5 } })).rejects.toThrow(PaulStretchError);
+        await expect(renderSpectral({ harmonics: { frequency: 100, bandwidth: -1 } })).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretch spread', () => {
+    test('smears a pure tone into neighbouring frequencies', async () => {
+        const plain = (await renderSpectral({})).getChannelData(0);
+        const spread = (await renderSpectral({ spread: 0.9 })).getChannelData(0);
+
+        const sideband = (data) => powerAt(data, 600) / powerAt(data, 441);
+        expect(sideband(spread)).toBeGreaterThan(sideband(plain) * 10);
+    });
+
+    test('worker path matches the single-thread path', async () => {
+        await expectWorkerParity({ spread: 0.3 });
+    });
+
+    test('rejects values outside 0..1', async () => {
+        await expect(renderSpectral({ spread: 1.5 })).rejects.toThrow(PaulStretchError);
+        await expect(renderSpectral({ spread: -0.2 })).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretch octaves', () => {
+    test('adds the requested octave layers', async () => {
+        const mixed = (await renderSpectral({ octaves: { '-1': 0.5, '0': 1, '1': 0.5 } })).getChannelData(0);
+
+        expect(powerAt(mixed, 220.5) / powerAt(mixed, 441)).toBeGreaterThan(0.05);
+        expect(powerAt(mixed, 882) / powerAt(mixed, 441)).toBeGreaterThan(0.05);
+    });
+
+    test('can drop the original layer entirely', async () => {
+        const octaveDown = (await renderSpectral({ octaves: { '0': 0, '-1': 1 } })).getChannelData(0);
+
+        expect(powerAt(octaveDown, 441) / powerAt(octaveDown, 220.5)).toBeLessThan(0.05);
+    });
+
+    test('worker path matches the single-thread path', async () => {
+        await expectWorkerParity({ octaves: { '-2': 0.2, '0': 1, '1.5': 0.4 } });
+    });
+
+    test('rejects unknown layers and invalid gains', async () => {
+        await expect(renderSpectral({ octaves: { '3': 1 } })).rejects.toThrow(PaulStretchError);
+        await expect(renderSpectral({ octaves: { '1': -1 } })).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretch filter', () => {
+    const twoTones = (t) => 0.5 * Math.sin(2 * Math.PI * 441 * t) + 0.5 * Math.sin(2 * Math.PI * 3000 * t);
+    const balance = (data) => powerAt(data, 3000) / powerAt(data, 441);
+
+    test('lowpass preset attenuates highs', async () => {
+        const plain = (await renderSpectral({}, twoTones)).getChannelData(0);
+        const lowpassed = (await renderSpectral({ filter: { type: 'lowpass', frequency: 800 } }, twoTones)).getChannelData(0);
+
+        expect(balance(lowpassed)).toBeLessThan(balance(plain) / 100);
+    });
+
+    test('highpass preset attenuates lows', async () => {
+        const plain = (await renderSpectral({}, twoTones)).getChannelData(0);
+        const highpassed = (await renderSpectral({ filter: { type: 'highpass', frequency: 2000 } }, twoTones)).getChannelData(0);
+
+        expect(balance(highpassed)).toBeGreaterThan(balance(plain) * 100);
+    });
+
+    test('point curves scale bins by their gain in dB', async () => {
+        const plain = (await renderSpectral({}, twoTones)).getChannelData(0);
+        const shelved = (await renderSpectral({
+            filter: [{ frequency: 1000, gain: 0 }, { frequency: 2000, gain: -20 }]
+        }, twoTones)).getChannelData(0);
+
+        // -20 dB in amplitude is 1/100 in power
+        expect(balance(shelved) / balance(plain)).toBeCloseTo(0.01, 2);
+    });
+
+    test('worker path matches the single-thread path', async () => {
+        await expectWorkerParity({ filter: { type: 'bandpass', low: 300, high: 1200, slope: 12 } }, twoTones);
+    });
+
+    test('rejects invalid filters', async () => {
+        await expect(renderSpectral({ filter: { type: 'notch', frequency: 100 } })).rejects.toThrow(PaulStretchError);
+        await expect(renderSpectral({ filter: { type: 'bandpass', low: 900, high: 300 } })).rejects.toThrow(PaulStretchError);
+        await expect(renderSpectral({ filter: [{ frequency: -5, gain: 0 }] })).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretch normalize', () => {
+    const peakOf = (data) => data.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0);
+
+    test('defaults to a 0.95 peak', async () => {
+        const output = await renderSpectral({});
+        expect(peakOf(output.getChannelData(0))).toBeCloseTo(0.95, 5);
+    });
+
+    test('none keeps the rendered level', async () => {
+        const quiet = (t) => 0.01 * Math.sin(2 * Math.PI * 441 * t);
+        const output = await renderSpectral({ normalize: 'none' }, quiet);
+        expect(peakOf(output.getChannelData(0))).toBeLessThan(0.5);
+    });
+
+    test('rejects unknown modes before rendering', async () => {
+        await expect(renderSpectral({ normalize: 'loudest' })).rejects.toThrow(PaulStretchError);
+        await expect(renderSpectral({ normalize: { truePeak: -1 } })).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretch stereoMode', () => {
+    const low = (t) => 0.5 * Math.sin(2 * Math.PI * 441 * t);
+    const high = (t) => 0.3 * Math.sin(2 * Math.PI * 3000 * t);
+
+    // Like renderSpectral, with one signal per channel
+    async function renderChannels(options, signals) {
+        const ps = new PaulStretch({ stretchFactor: 2.0, windowSize: 0.02, useWorkers: false, seed: 5, ...options });
+        const input = ps.audioContext.createBuffer(signals.length, 11025, 44100);
+        signals.forEach((signal, ch) => {
+            input.copyToChannel(Float32Array.from({ length: input.length }, (_, i) => signal(i / 44100)), ch);
         });
+        ps.audioContext.createBuffer = (channels, length, sampleRate) => {
+            const buffer = new MockAudioBuffer(channels, length, sampleRate);
+            for (let ch = 0; ch < channels; ch++) buffer.copyToChannel(new Float32Array(length), ch);
+            return buffer;
+        };
+        const output = await ps.stretch(input);
+        ps.dispose();
+        return output;
+    }
+
+    test('independent phases decorrelate identical channels', async () => {
+        const output = await renderChannels({}, [low, low]);
+        expect(output.getChannelData(0)).not.toEqual(output.getChannelData(1));
+    });
+
+    test('linked phases keep identical channels identical', async () => {
+        const seeded = await renderChannels({ stereoMode: 'linked' }, [low, low]);
+        expect(seeded.getChannelData(0)).toEqual(seeded.getChannelData(1));
+
+        const unseeded = await renderChannels({ stereoMode: 'linked', seed: null }, [low, low]);
+        expect(unseeded.getChannelData(0)).toEqual(unseeded.getChannelData(1));
+    });
+
+    test('midSide mono sum is the stretch of the mono sum', async () => {
+        const stereo = await renderChannels({ stereoMode: 'midSide', normalize: 'none' }, [low, high]);
+        const mono = await renderChannels({ normalize: 'none' }, [(t) => (low(t) + high(t)) / 2]);
+
+        const left = stereo.getChannelData(0);
+        const right = stereo.getChannelData(1);
+        const expected = mono.getChannelData(0);
+        let maxError = 0;
+        for (let i = 0; i < expected.length; i++) {
+            maxError = Math.max(maxError, Math.abs((left[i] + right[i]) / 2 - expected[i]));
+        }
+        expect(maxError).toBeLessThan(1e-5);
+    });
+
+    test('worker path matches the single-thread path', async () => {
+        await withWorkers(createWorkerClass(), async () => {
+            for (const stereoMode of ['linked', 'midSide']) {
+                const single = await renderChannels({ stereoMode }, [low, high]);
+                const parallel = await renderChannels({ stereoMode, useWorkers: true, numWorkers: 2 }, [low, high]);
+                expect(parallel.getChannelData(0)).toEqual(single.getChannelData(0));
+                expect(parallel.getChannelData(1)).toEqual(single.getChannelData(1));
+            }
+        });
+    });
+
+    test('rejects unknown modes and midSide on more than two channels', async () => {
+        await expect(renderChannels({ stereoMode: 'wide' }, [low, low])).rejects.toThrow(PaulStretchError);
+        await expect(renderChannels({ stereoMode: 'midSide' }, [low, low, low])).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretch window', () => {
+    test('uses the requested window length instead of the next power of two', () => {
+        const ps = new PaulStretch({ windowSize: 0.25, useWorkers: false });
+        expect(ps._getWindowSamples(44100)).toBe(11026);
+        expect(ps._getWindowSamples(48000)).toBe(12000);
+        ps.dispose();
+    });
+
+    test.each(['paulstretch', 'hann', 'blackman-harris', { type: 'kaiser', beta: 6 }])('%p renders', async (window) => {
+        const output = await renderSpectral({ window });
+        const data = output.getChannelData(0);
+        expect(data.length).toBe(22050);
+        expect(data.every(isFinite)).toBe(true);
+        expect(powerAt(data, 441)).toBeGreaterThan(powerAt(data, 3000) * 100);
     });
-});
\ No newline at end of file
+
+    test('worker path matches the single-thread path', async () => {
+        // 0.0201 s = 886 samples, not a power of two
+        await expectWorkerParity({ window: 'blackman-harris', windowSize: 0.0201 });
+    });
+
+    test('rejects unknown windows', async () => {
+        await expect(renderSpectral({ window: 'triangle' })).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretch backend', () => {
+    test('wasm output matches the js output', async () => {
+        const js = (await renderSpectral({ backend: 'js', windowSize: 0.0201 })).getChannelData(0);
+        const wasm = (await renderSpectral({ backend: 'wasm', windowSize: 0.0201 })).getChannelData(0);
+
+        let maxError = 0;
+        for (let i = 0; i < js.length; i++) {
+            maxError = Math.max(maxError, Math.abs(js[i] - wasm[i]));
+        }
+        expect(maxError).toBeLessThan(1e-5);
+    });
+
+    test('worker path matches the single-thread path on both backends', async () => {
+        await expectWorkerParity({ backend: 'wasm', spread: 0.5 });
+        await expectWorkerParity({ backend: 'js', spread: 0.5 });
+    });
+
+    test('rejects unknown backends', async () => {
+        await expect(renderSpectral({ backend: 'gpu' })).rejects.toThrow(PaulStretchError);
+    });
+});
+
+describe('PaulStretch worker pool', () => {
+    // Inline workers that log the messages they get and the transfer lists
+    // of their replies; `delay(index)` slows individual workers down
+    const createRecordingWorkerClass = (log, delay = () => 0) => {
+        const InlineWorker = createWorkerClass();
+        let count = 0;
+        return class RecordingWorker extends InlineWorker {
+            constructor() {
+                super();
+                const index = count++;
+                const reply = this.scope.postMessage;
+                this.scope.postMessage = (data, transfer = []) => {
+                    log.push({ worker: index, reply: data, transfer });
+                    setTimeout(() => reply(data), delay(index));
+                };
+                this.index = index;
+            }
+
+            postMessage(data, transfer = []) {
+                log.push({ worker: this.index, message: data, transfer });
+                super.postMessage(data);
+            }
+        };
+    };
+
+    const threeWorkers = { numWorkers: 3 };
+
+    test('sends the input once per worker, in shared memory', async () => {
+        const log = [];
+        await stretchWithWorkers(createRecordingWorkerClass(log), threeWorkers);
+
+        const starts = log.filter(entry => entry.message && entry.message.action === 'startJob');
+        expect(starts.map(entry => entry.worker).sort()).toEqual([0, 1, 2]);
+        for (const { message } of starts) {
+            expect(message.params.channels).toHaveLength(2);
+            expect(message.params.channels[0].buffer).toBeInstanceOf(SharedArrayBuffer);
+        }
+        // Every worker reads the same memory
+        expect(starts[1].message.params.channels[0]).toBe(starts[0].message.params.channels[0]);
+
+        const chunks = log.filter(entry => entry.message && entry.message.action === 'processFrames');
+        expect(chunks.length).toBeGreaterThan(3);
+        for (const { message } of chunks) {
+            expect(message.params.channels).toBeUndefined();
+            expect(message.params.inputData).toBeUndefined();
+        }
+
+        const ends = log.filter(entry => entry.message && entry.message.action === 'endJob');
+        expect(ends).toHaveLength(3);
+    });
+
+    test('transfers one copy per worker without SharedArrayBuffer', async () => {
+        const single = await stretchSingleThread();
+        const log = [];
+        const { SharedArrayBuffer: SavedSharedArrayBuffer } = global;
+        delete global.SharedArrayBuffer;
+        let parallel;
+        try {
+            parallel = await stretchWithWorkers(createRecordingWorkerClass(log), threeWorkers);
+        } finally {
+            global.SharedArrayBuffer = SavedSharedArrayBuffer;
+        }
+
+        const starts = log.filter(entry => entry.message && entry.message.action === 'startJob');
+        expect(starts).toHaveLength(3);
+        for (const { message, transfer } of starts) {
+            expect(transfer).toEqual(message.params.channels.map(data => data.buffer));
+        }
+        expect(starts[1].message.params.channels[0]).not.toBe(starts[0].message.params.channels[0]);
+
+        expect(parallel.getChannelData(0)).toEqual(single.getChannelData(0));
+        expect(parallel.getChannelData(1)).toEqual(single.getChannelData(1));
+    });
+
+    test('returns result segments as transferables', async () => {
+        const log = [];
+        await stretchWithWorkers(createRecordingWorkerClass(log), threeWorkers);
+
+        const results = log.filter(entry => entry.reply && entry.reply.success);
+        expect(results.length).toBeGreaterThan(0);
+        for (const { reply, transfer } of results) {
+            expect(transfer).toEqual([reply.segment.buffer]);
+        }
+    });
+
+    test('workers return one overlap-added segment per chunk', async () => {
+        const log = [];
+        await stretchWithWorkers(createRecordingWorkerClass(log), threeWorkers);
+
+        const halfWinSize = 441;
+        const chunks = new Map(log.filter(entry => entry.message && entry.message.action === 'processFrames')
+            .map(({ message }) => [message.params.taskId, message.params]));
+        const results = log.filter(entry => entry.reply && entry.reply.success);
+        expect(results).toHaveLength(chunks.size);
+        for (const { reply } of results) {
+            const { positions } = chunks.get(reply.taskId);
+            expect(reply.segment).toBeInstanceOf(Float32Array);
+            expect(reply.segment.length).toBe((positions.length + 1) * halfWinSize);
+        }
+    });
+
+    test('stitched segments match the single-thread path for any chunking', async () => {
+        const single = await stretchSingleThread();
+        for (const numWorkers of [1, 2, 5, 7]) {
+            const out = await stretchWithWorkers(createRecordingWorkerClass([]), { numWorkers });
+            expect(out.getChannelData(0)).toEqual(single.getChannelData(0));
+            expect(out.getChannelData(1)).toEqual(single.getChannelData(1));
+        }
+    });
+
+    test('caps the frames per chunk however long the input is', async () => {
+        // 4410-sample windows; a third of the 865 frames would be 288 per chunk
+        const StubWorker = createStubWorkerClass();
+        await withWorkers(StubWorker, async () => {
+            const ps = new PaulStretch({ stretchFactor: 48, windowSize: 0.1, numWorkers: 1, normalize: 'none' });
+            try {
+                await ps.stretch(ps.audioContext.createBuffer(1, 44100, 44100));
+            } finally {
+                ps.dispose();
+            }
+        });
+
+        const chunkSizes = StubWorker.chunks.map(params => params.positions.length);
+        expect(Math.max(...chunkSizes)).toBe(Math.floor((1 << 20) / 4410));
+        expect(chunkSizes.reduce((sum, size) => sum + size, 0)).toBe(865);
+    });
+
+    test('idle workers pull the next chunk, so a slow worker takes fewer', async () => {
+        const log = [];
+        const out = await stretchWithWorkers(createRecordingWorkerClass(log, index => (index === 0 ? 40 : 0)), threeWorkers);
+
+        const chunksPerWorker = [0, 1, 2].map(worker => log.filter(entry =>
+            entry.worker === worker && entry.message && entry.message.action === 'processFrames').length);
+        expect(chunksPerWorker[0]).toBeLessThan(chunksPerWorker[1]);
+        expect(chunksPerWorker[0]).toBeLessThan(chunksPerWorker[2]);
+
+        // Out-of-order arrival does not change the result
+        const single = await stretchSingleThread();
+        expect(out.getChannelData(0)).toEqual(single.getChannelData(0));
+    });
+});
+
+describe('PaulStretch worker supervision', () => {
+    // Inline workers that misbehave on request: fault(worker, task) returns
+    // 'crash' (error event), 'hang' (never answers), 'error' (reports a
+    // failure) or nothing for a normal answer. Workers are numbered by spawn
+    // order, so respawned workers get new numbers.
+    const createFaultyWorkerClass = (fault) => {
+        const InlineWorker = createWorkerClass();
+        const spawned = [];
+        const FaultyWorker = class extends InlineWorker {
+            constructor() {
+                super();
+                this.index = spawned.length;
+                this.tasks = 0;
+                spawned.push(this);
+            }
+
+            postMessage(data) {
+                if (data.action === 'processFrames') {
+                    const kind = fault(this.index, this.tasks++);
+                    if (kind === 'crash') {
+                        setTimeout(() => this.onerror({ message: 'out of memory' }), 0);
+                        return;
+                    }
+                    if (kind === 'hang') return;
+                    if (kind === 'error') {
+                        const reply = { taskId: data.params.taskId, error: 'bad frame', success: false };
+                        setTimeout(() => this.onmessage({ data: reply }), 0);
+                        return;
+                    }
+                }
+                super.postMessage(data);
+            }
+        };
+        FaultyWorker.spawned = spawned;
+        return FaultyWorker;
+    };
+
+    let warn;
+    beforeEach(() => {
+        warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        warn.mockRestore();
+    });
+
+    test('respawns a crashed worker and retries its chunk', async () => {
+        const FaultyWorker = createFaultyWorkerClass((worker, task) => (worker === 0 && task === 1 ? 'crash' : null));
+        const out = await stretchWithWorkers(FaultyWorker);
+
+        expect(FaultyWorker.spawned).toHaveLength(3);
+        expect(FaultyWorker.spawned[0].terminated).toBe(true);
+        expect(warn).not.toHaveBeenCalled();
+        expect(out.getChannelData(0)).toEqual((await stretchSingleThread()).getChannelData(0));
+    });
+
+    test('replaces a worker that does not answer within workerTimeout', async () => {
+        const FaultyWorker = createFaultyWorkerClass((worker, task) => (worker === 1 && task === 0 ? 'hang' : null));
+        const out = await stretchWithWorkers(FaultyWorker, { workerTimeout: 50 });
+
+        expect(FaultyWorker.spawned).toHaveLength(3);
+        expect(FaultyWorker.spawned[1].terminated).toBe(true);
+        expect(out.getChannelData(1)).toEqual((await stretchSingleThread()).getChannelData(1));
+    });
+
+    test('retries chunks whose worker reports an error', async () => {
+        const FaultyWorker = createFaultyWorkerClass((worker, task) => (task === 0 ? 'error' : null));
+        const out = await stretchWithWorkers(FaultyWorker);
+
+        expect(FaultyWorker.spawned).toHaveLength(2);
+        expect(warn).not.toHaveBeenCalled();
+        expect(out.getChannelData(0)).toEqual((await stretchSingleThread()).getChannelData(0));
+    });
+
+    test('falls back to a single thread after repeated failures', async () => {
+        const FaultyWorker = createFaultyWorkerClass(() => 'crash');
+        const out = await stretchWithWorkers(FaultyWorker, { workerRetries: 1 });
+
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('falling back to a single thread'));
+        expect(out.getChannelData(0)).toEqual((await stretchSingleThread()).getChannelData(0));
+    });
+
+    test('stops the other busy workers before falling back', async () => {
+        const FaultyWorker = createFaultyWorkerClass((worker) => (worker === 0 ? 'error' : 'hang'));
+        const out = await stretchWithWorkers(FaultyWorker, { workerRetries: 0, workerTimeout: 0 });
+
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('falling back to a single thread'));
+        expect(FaultyWorker.spawned[1].terminated).toBe(true);
+        expect(FaultyWorker.spawned).toHaveLength(3);
+        expect(out.getChannelData(0)).toEqual((await stretchSingleThread()).getChannelData(0));
+    });
+
+    test('a long input does not make its chunks outlast workerTimeout', async () => {
+        // A worker needs 0.2 ms per frame. Split in three, the 1297 frames of
+        // this stretch would take 86 ms per chunk.
+        const StubWorker = createStubWorkerClass(params => params.positions.length * 0.2);
+        await withWorkers(StubWorker, async () => {
+            const ps = new PaulStretch({
+                stretchFactor: 72,
+                windowSize: 0.1,
+                numWorkers: 1,
+                normalize: 'none',
+                workerTimeout: 65,
+                workerRetries: 0,
+                workerFallback: false
+            });
+            try {
+                await ps.stretch(ps.audioContext.createBuffer(1, 44100, 44100));
+            } finally {
+                ps.dispose();
+            }
+        });
+        expect(StubWorker.chunks.length).toBeGreaterThan(3);
+    });
+
+    test('surfaces typed errors when the fallback is off', async () => {
+        const crashing = stretchWithWorkers(createFaultyWorkerClass(() => 'crash'), { workerFallback: false });
+        await expect(crashing).rejects.toThrow(WorkerCrashError);
+        await expect(crashing).rejects.toThrow('out of memory');
+
+        const hanging = stretchWithWorkers(createFaultyWorkerClass(() => 'hang'),
+            { workerFallback: false, workerTimeout: 20, workerRetries: 0 });
+        await expect(hanging).rejects.toThrow(WorkerTimeoutError);
+
+        const failing = stretchWithWorkers(createFaultyWorkerClass(() => 'error'), { workerFallback: false });
+        await expect(failing).rejects.toThrow(WorkerError);
+        await expect(failing).rejects.toThrow(PaulStretchError);
+        await expect(failing).rejects.toThrow('bad frame');
+    });
+
+    test('exposes the error classes on the default export', () => {
+        expect(PaulStretch.WorkerError).toBe(WorkerError);
+        expect(PaulStretch.WorkerTimeoutError).toBe(WorkerTimeoutError);
+        expect(PaulStretch.WorkerCrashError).toBe(WorkerCrashError);
+        expect(new WorkerTimeoutError('x').name).toBe('WorkerTimeoutError');
+        expect(new WorkerCrashError('x')).toBeInstanceOf(WorkerError);
+    });
+});
+
+describe('PaulStretch cancellation', () => {
+
+    test('single-thread stretch rejects with an AbortError once aborted', async () => {
+        const ps = new PaulStretch({ stretchFactor: 8.0, windowSize: 0.02, useWorkers: false });
+        const controller = new AbortController();
+        const progress = [];
+
+        const stretching = ps.stretch(createInput(ps), (value) => {
+            progress.push(value);
+            controller.abort();
+        }, { signal: controller.signal });
+
+        await expect(stretching).rejects.toThrow(AbortError);
+        await expect(stretching).rejects.toThrow(PaulStretchError);
+        expect(progress).toHaveLength(1);
+        expect(progress[0]).toBeLessThan(1);
+    });
+
+    test('an already aborted signal rejects before any work', async () => {
+        const ps = new PaulStretch({ windowSize: 0.02, useWorkers: false });
+        const controller = new AbortController();
+        controller.abort();
+        const progressCallback = jest.fn();
+
+        await expect(ps.stretch(createInput(ps), progressCallback, { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(progressCallback).not.toHaveBeenCalled();
+    });
+
+    test('a signal that never fires does not change the output', async () => {
+        const ps = new PaulStretch({ stretchFactor: 2.0, windowSize: 0.02, useWorkers: false, seed: 8 });
+        const plain = await ps.stretch(createInput(ps));
+        const withSignal = await ps.stretch(createInput(ps), null, { signal: new AbortController().signal });
+
+        expect(withSignal.getChannelData(0)).toEqual(plain.getChannelData(0));
+    });
+
+    test('freeze rejects with an AbortError once aborted', async () => {
+        const ps = new PaulStretch({ windowSize: 0.02, useWorkers: false });
+        const controller = new AbortController();
+        const stretchEvents = [];
+        ps.onProgress = (event) => {
+            if (event.stage === 'stretch') {
+                stretchEvents.push(event);
+                controller.abort();
+            }
+        };
+
+        await expect(ps.freeze(createInput(ps), 0.1, 60, { signal: controller.signal })).rejects.toThrow(AbortError);
+        expect(stretchEvents).toHaveLength(1);
+        expect(stretchEvents[0].fraction).toBeLessThan(1);
+
+        await expect(ps.freeze(createInput(ps), 0.1, 1, { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('aborting a worker stretch terminates the busy workers', async () => {
+        const InlineWorker = createWorkerClass();
+        const spawned = [];
+        let onTask = () => {};
+        const WorkerClass = class extends InlineWorker {
+            constructor() {
+                super();
+                spawned.push(this);
+            }
+
+            postMessage(data) {
+                super.postMessage(data);
+                if (data.action === 'processFrames') onTask();
+            }
+        };
+        await withWorkers(WorkerClass, async () => {
+            const ps = new PaulStretch({ stretchFactor: 2.0, windowSize: 0.02, numWorkers: 2, seed: 8 });
+            const controller = new AbortController();
+            onTask = () => queueMicrotask(() => controller.abort());
+
+            await expect(ps.stretch(createInput(ps), null, { signal: controller.signal }))
+                .rejects.toThrow(AbortError);
+            onTask = () => {};
+            expect(spawned.filter(worker => worker.terminated).length).toBeGreaterThan(0);
+            expect(ps.workers).toHaveLength(2);
+            expect(ps.workerTasks.size).toBe(0);
+
+            // The pool keeps working afterwards
+            const out = await ps.stretch(createInput(ps));
+            ps.dispose();
+            expect(out.getChannelData(0)).toEqual((await stretchSingleThread({ seed: 8 })).getChannelData(0));
+        });
+    });
+
+    test('processAndPlay and processAndDownload accept a signal', async () => {
+        const ps = new PaulStretch({ windowSize: 0.02, useWorkers: false });
+        const controller = new AbortController();
+        controller.abort();
+        const file = new File(['test audio data'], 'test.mp3');
+
+        await expect(ps.processAndPlay(file, { signal: controller.signal })).rejects.toThrow(AbortError);
+        await expect(ps.processAndDownload(file, 'out.wav', 'audio/wav', { signal: controller.signal }))
+            .rejects.toThrow(AbortError);
+    });
+
+    describe('toBlob', () => {
+        // A second of noise, a few FLAC parts long
+        const createNoise = (ps) => {
+            const buffer = ps.audioContext.createBuffer(2, 44100, 44100);
+            let state = 1;
+            for (let ch = 0; ch < 2; ch++) {
+                buffer.getChannelData(ch).forEach((_, i, data) => {
+                    state = (state * 16807) % 2147483647;
+                    data[i] = state / 2147483647 - 0.5;
+                });
+            }
+            return buffer;
+        };
+
+        // The clock moves a full yield interval per reading, so every part
+        // is a chance to yield
+        let now;
+        beforeEach(() => {
+            let time = 0;
+            now = jest.spyOn(performance, 'now').mockImplementation(() => (time += 50));
+        });
+        afterEach(() => {
+            now.mockRestore();
+        });
+
+        test('lets other events run while it encodes', async () => {
+            const ps = new PaulStretch({ useWorkers: false });
+            let ticked = false;
+            setTimeout(() => { ticked = true; }, 0);
+
+            const blob = await ps.toBlob(createNoise(ps), { format: 'flac' });
+
+            expect(ticked).toBe(true);
+            expect(blob.type).toBe('audio/flac');
+        });
+
+        test('stops encoding once aborted', async () => {
+            const controller = new AbortController();
+            const fractions = [];
+            const ps = new PaulStretch({
+                useWorkers: false,
+                onProgress: (event) => {
+                    fractions.push(event.fraction);
+                    controller.abort();
+                }
+            });
+
+            await expect(ps.toBlob(createNoise(ps), { format: 'flac' }, { signal: controller.signal })).rejects.toThrow(AbortError);
+            expect(Math.max(...fractions)).toBeLessThan(1);
+            await expect(ps.toUrl(createNoise(ps), 'audio/wav', { signal: controller.signal })).rejects.toThrow(AbortError);
+        });
+    });
+
+    test('loadAudio passes the signal to fetch', async () => {
+        const ps = new PaulStretch({ useWorkers: false });
+        const controller = new AbortController();
+        global.fetch = jest.fn(() => {
+            controller.abort();
+            return Promise.reject(new Error('The user aborted a request.'));
+        });
+        try {
+            await expect(ps.loadAudio('https://example.com/a.wav', { signal: controller.signal }))
+                .rejects.toThrow(AbortError);
+            expect(global.fetch).toHaveBeenCalledWith('https://example.com/a.wav', { signal: controller.signal });
+        } finally {
+            delete global.fetch;
+        }
+    });
+
+    test('aborting play stops the source', async () => {
+        const ps = new PaulStretch({ useWorkers: false });
+        const source = { connect: jest.fn(), start: jest.fn(), stop: jest.fn(), onended: null };
+        ps.audioContext.createBufferSource = () => source;
+        const controller = new AbortController();
+
+        const playing = ps.play(createInput(ps), { signal: controller.signal });
+        await Promise.resolve();
+        controller.abort();
+
+        await expect(playing).rejects.toThrow(AbortError);
+        expect(source.stop).toHaveBeenCalled();
+    });
+});
+
+describe('PaulStretch progress events', () => {
+    const createFile = () => {
+        const file = new File(['test audio data'], 'test.wav');
+        file.arrayBuffer = jest.fn().mockResolvedValue(new ArrayBuffer(8));
+        return file;
+    };
+    const stagesOf = (events) => events.map(event => event.stage)
+        .filter((stage, i, stages) => stage !== stages[i - 1]);
+
+    const expectStretchEvents = (events) => {
+        const stretching = events.filter(event => event.stage === 'stretch');
+        expect(stretching[0]).toMatchObject({ fraction: 0, framesDone: 0 });
+        expect(stretching[stretching.length - 1]).toMatchObject({ fraction: 1, etaMs: 0 });
+        expect(stretching[0].framesTotal).toBeGreaterThan(0);
+        for (let i = 1; i < stretching.length; i++) {
+            expect(stretching[i].fraction).toBeGreaterThanOrEqual(stretching[i - 1].fraction);
+        }
+    };
+
+    test('stretch reports analyze, stretch and normalize in order', async () => {
+        const events = [];
+        const ps = new PaulStretch({ windowSize: 0.02, useWorkers: false, onProgress: event => events.push(event) });
+        await ps.stretch(createInput(ps));
+
+        expect(stagesOf(events)).toEqual(['analyze', 'stretch', 'normalize']);
+        for (const event of events) {
+            expect(Object.keys(event).sort()).toEqual(
+                ['etaMs', 'fraction', 'framesDone', 'framesTotal', 'samplesPerSecond', 'stage']);
+        }
+        expectStretchEvents(events);
+    });
+
+    test('the worker path reports the same stages and frame count', async () => {
+        await withWorkers(createWorkerClass(), async () => {
+            const events = [];
+            const ps = new PaulStretch({ windowSize: 0.02, numWorkers: 2, onProgress: event => events.push(event) });
+            await ps.stretch(createInput(ps));
+            ps.dispose();
+
+            const single = [];
+            const reference = new PaulStretch({ windowSize: 0.02, useWorkers: false, onProgress: event => single.push(event) });
+            await reference.stretch(createInput(reference));
+
+            expect(stagesOf(events)).toEqual(['analyze', 'stretch', 'normalize']);
+            expectStretchEvents(events);
+            const total = (list) => list.find(event => event.stage === 'stretch').framesTotal;
+            expect(total(events)).toBe(total(single));
+        });
+    });
+
+    test('the positional callback keeps its (progress, channel, numChannels) arguments', async () => {
+        const events = [];
+        const ps = new PaulStretch({ windowSize: 0.02, useWorkers: false, onProgress: event => events.push(event) });
+        const calls = [];
+        await ps.stretch(createInput(ps), (...args) => calls.push(args));
+
+        const fractions = events.filter(event => event.stage === 'stretch').map(event => event.fraction);
+        expect(calls.length).toBeGreaterThanOrEqual(2);
+        expect(calls).toEqual(fractions.map(fraction => [fraction, 0, 2]));
+        expect(calls[calls.length - 1][0]).toBe(1);
+    });
+
+    test('loadAudio reports decode and toBlob reports encode', async () => {
+        const events = [];
+        const ps = new PaulStretch({ useWorkers: false, onProgress: event => events.push(event) });
+        const audioBuffer = await ps.loadAudio(createFile());
+        await ps.toBlob(audioBuffer);
+
+        expect(stagesOf(events)).toEqual(['decode', 'encode']);
+        const encoding = events.filter(event => event.stage === 'encode');
+        expect(encoding[encoding.length - 1]).toMatchObject({ fraction: 1, framesDone: 44100, framesTotal: 44100 });
+    });
+
+    test.each([
+        ['PaulStretchFFT', PaulStretchFFT],
+        ['PaulStretchOptimized', PaulStretchOptimized]
+    ])('%s reports the same events', async (name, Engine) => {
+        const events = [];
+        const engine = new Engine({ windowSize: 0.02, useWorkers: false, onProgress: event => events.push(event) });
+        await engine.loadAudio(createFile());
+        await engine.stretch(createInput(engine));
+
+        expect(stagesOf(events)).toEqual(['decode', 'analyze', 'stretch', 'normalize']);
+        expectStretchEvents(events);
+    });
+});
+
+describe('PaulStretch stretchStream', () => {
+    const collect = async (stream) => {
+        const blocks = [];
+        for await (const block of stream) {
+            blocks.push(block);
+        }
+        return blocks;
+    };
+    const join = (blocks, ch) => {
+        const data = new Float32Array(blocks.reduce((length, block) => length + block[ch].length, 0));
+        let offset = 0;
+        for (const block of blocks) {
+            data.set(block[ch], offset);
+            offset += block[ch].length;
+        }
+        return data;
+    };
+
+    test('yields fixed-size blocks that add up to the output length', async () => {
+        const ps = new PaulStretch({ stretchFactor: 4.0, windowSize: 0.02, useWorkers: false, seed: 3 });
+        const stream = ps.stretchStream(createInput(ps), { blockSize: 4096 });
+        const blocks = await collect(stream);
+
+        expect(stream).toMatchObject({ numberOfChannels: 2, length: 44100, sampleRate: 44100 });
+        expect(blocks).toHaveLength(Math.ceil(44100 / 4096));
+        for (const block of blocks.slice(0, -1)) {
+            expect(block.map(data => data.length)).toEqual([4096, 4096]);
+        }
+        expect(blocks[blocks.length - 1][0]).toHaveLength(44100 % 4096);
+    });
+
+    test.each(['independent', 'midSide'])('renders the same samples as stretch() (%s)', async (stereoMode) => {
+        const options = { stretchFactor: 3.0, windowSize: 0.02, useWorkers: false, seed: 11, normalize: 'none', stereoMode };
+        const ps = new PaulStretch(options);
+        const input = createInput(ps);
+        const whole = await ps.stretch(input);
+        const blocks = await collect(ps.stretchStream(input, { blockSize: 1000 }));
+
+        // The mock buffers are not silent past the last frame
+        const winSize = ps._getWindowSamples(44100);
+        const rendered = computeFramePositions(createStretchEnvelope(3.0), input.length, 44100, winSize).length * winSize / 2;
+        for (let ch = 0; ch < 2; ch++) {
+            expect(join(blocks, ch).subarray(0, rendered)).toEqual(whole.getChannelData(ch).subarray(0, rendered));
+        }
+    });
+
+    test('normalizes from a first pass over the whole output', async () => {
+        const events = [];
+        const options = { stretchFactor: 2.0, windowSize: 0.02, useWorkers: false, seed: 5 };
+        const ps = new PaulStretch({ ...options, onProgress: event => events.push(event) });
+        const input = createInput(ps);
+        const normalized = await collect(ps.stretchStream(input, { blockSize: 3000 }));
+        const raw = await collect(new PaulStretch({ ...options, normalize: 'none' }).stretchStream(input, { blockSize: 3000 }));
+
+        const channels = [join(raw, 0), join(raw, 1)];
+        normalizeChannels(channels, 44100, 'peak-per-channel');
+        expect(join(normalized, 0)).toEqual(channels[0]);
+        expect(join(normalized, 1)).toEqual(channels[1]);
+        expect(events.map(event => event.stage).filter((stage, i, stages) => stage !== stages[i - 1]))
+            .toEqual(['analyze', 'normalize', 'stretch']);
+    });
+
+    test('unseeded streams still normalize both passes alike', async () => {
+        const ps = new PaulStretch({ stretchFactor: 2.0, windowSize: 0.02, useWorkers: false });
+        const blocks = await collect(ps.stretchStream(createInput(ps)));
+        const peak = Math.max(...join(blocks, 0).map(Math.abs));
+        expect(peak).toBeCloseTo(0.95, 6);
+    });
+
+    test('limiter renders once and keeps peaks under the ceiling', async () => {
+        const events = [];
+        const ps = new PaulStretch({ stretchFactor: 2.0, windowSize: 0.02, useWorkers: false, seed: 5, onProgress: event => events.push(event) });
+        const input = createInput(ps);
+        for (let ch = 0; ch < 2; ch++) {
+            input.getChannelData(ch).forEach((value, i, data) => { data[i] = value * 6; });
+        }
+        const blocks = await collect(ps.stretchStream(input, { blockSize: 2000, limiter: { ceiling: -3 } }));
+
+        for (let ch = 0; ch < 2; ch++) {
+            expect(Math.max(...join(blocks, ch).map(Math.abs))).toBeLessThanOrEqual(Math.pow(10, -3 / 20) + 1e-6);
+        }
+        expect(events.some(event => event.stage === 'normalize')).toBe(false);
+    });
+
+    test('aborting rejects the iteration with an AbortError', async () => {
+        const ps = new PaulStretch({ stretchFactor: 8.0, windowSize: 0.02, useWorkers: false, normalize: 'none' });
+        const controller = new AbortController();
+        const stream = ps.stretchStream(createInput(ps), { blockSize: 1024, signal: controller.signal });
+        let count = 0;
+
+        await expect((async () => {
+            for await (const block of stream) {
+                expect(block).toHaveLength(2);
+                if (++count === 2) controller.abort();
+            }
+        })()).rejects.toThrow(AbortError);
+        expect(count).toBe(2);
+    });
+
+    test('rejects invalid arguments up front', () => {
+        const ps = new PaulStretch({ useWorkers: false });
+        expect(() => ps.stretchStream(null)).toThrow(PaulStretchError);
+        expect(() => ps.stretchStream(createInput(ps), { blockSize: 0 })).toThrow(PaulStretchError);
+        expect(() => ps.stretchStream(createInput(ps), { limiter: { release: -1 } })).toThrow(PaulStretchError);
+    });
+});
@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+import { PROGRESS_STAGES, createProgressListener, createStageProgress } from '../src/utils/progress.js';
+
+describe('createProgressListener', () => {
+    test('is null when nobody listens', () => {
+        expect(createProgressListener(null, null)).toBeNull();
+    });
+
+    test('forwards every event to onProgress and stretch events to the callback', () => {
+        const onProgress = jest.fn();
+        const callback = jest.fn();
+        const listener = createProgressListener(onProgress, callback, 2);
+        const decode = { stage: 'decode', fraction: 1 };
+        const stretch = { stage: 'stretch', fraction: 0.5 };
+
+        listener(decode);
+        listener(stretch);
+
+        expect(onProgress.mock.calls).toEqual([[decode], [stretch]]);
+        expect(callback.mock.calls).toEqual([[0.5, 0, 2]]);
+    });
+});
+
+describe('createStageProgress', () => {
+    test('reports 0 on start and 1 when done', () => {
+        const events = [];
+        const progress = createStageProgress(event => events.push(event), 'normalize');
+        progress.done();
+
+        expect(events.map(event => event.fraction)).toEqual([0, 1]);
+        expect(events[0]).toEqual({
+            stage: 'normalize',
+            fraction: 0,
+            framesDone: null,
+            framesTotal: null,
+            etaMs: null,
+            samplesPerSecond: null
+        });
+        expect(events[1].etaMs).toBe(0);
+    });
+
+    test('counts frames and estimates time left and throughput', () => {
+        const events = [];
+        const progress = createStageProgress(event => events.push(event), 'stretch', 10, {
+            samplesPerFrame: 100,
+            interval: 0
+        });
+        const start = performance.now();
+        while (performance.now() - start < 5);
+
+        expect(progress.advance(4)).toBe(true);
+        const event = events[1];
+        expect(event.fraction).toBeCloseTo(0.4);
+        expect(event.framesDone).toBe(4);
+        expect(event.framesTotal).toBe(10);
+        expect(event.etaMs).toBeGreaterThan(0);
+        expect(event.samplesPerSecond).toBeGreaterThan(0);
+        expect(event.samplesPerSecond).toBeLessThan(400 * 1000 / 5 + 1);
+
+        progress.done();
+        expect(events[2]).toMatchObject({ fraction: 1, framesDone: 10, etaMs: 0 });
+    });
+
+    test('throttles updates in between', () => {
+        const listener = jest.fn();
+        const progress = createStageProgress(listener, 'stretch', 1000, { interval: 60000 });
+        for (let i = 0; i < 1000; i++) {
+            expect(progress.advance()).toBe(false);
+        }
+        progress.done();
+
+        expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    test('does nothing without a listener', () => {
+        const progress = createStageProgress(null, 'encode', 10, { interval: 0 });
+        expect(progress.advance(5)).toBe(false);
+        expect(() => progress.done()).not.toThrow();
+    });
+
+    test('knows every stage in pipeline order', () => {
+        expect(PROGRESS_STAGES).toEqual(['decode', 'analyze', 'stretch', 'normalize', 'encode']);
+    });
+});
@@ -0,0 +1,231 @@
+import { decodeWav, encodeWav, encodeWavParts, resolveWavContainer, validateWavEncoding } from '../src/utils/wav.js';
+import { createQuantizer } from '../src/utils/pcm.js';
+import { PaulStretchError } from '../src/utils/errors.js';
+import { concatParts, parseWav } from './helpers/wav-parser.js';
+
+const sampleRate = 48000;
+
+function sine(amplitude, length = 4800, frequency = 997) {
+    return Float32Array.from({ length }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+describe('encodeWav header', () => {
+    test.each([
+        [{}, 1, 16],
+        [{ bitDepth: 24 }, 1, 24],
+        [{ bitDepth: 32 }, 1, 32]
+    ])('writes integer PCM for %j', (options, audioFormat, bitsPerSample) => {
+        const channels = [sine(0.5, 100), sine(0.25, 100)];
+        const bytes = encodeWav(channels, sampleRate, options);
+        const wav = parseWav(bytes);
+        const blockAlign = 2 * bitsPerSample / 8;
+
+        expect(wav.riff).toBe('RIFF');
+        expect(wav.wave).toBe('WAVE');
+        expect(wav.riffSize).toBe(bytes.byteLength - 8);
+        expect(wav.chunks).toEqual(['fmt ', 'data']);
+        expect(wav.format).toEqual({
+            size: 16,
+            audioFormat,
+            numChannels: 2,
+            sampleRate,
+            byteRate: sampleRate * blockAlign,
+            blockAlign,
+            bitsPerSample,
+            cbSize: null
+        });
+        expect(wav.dataSize).toBe(100 * blockAlign);
+        expect(bytes.byteLength).toBe(44 + 100 * blockAlign);
+    });
+
+    test('writes IEEE float with cbSize and a fact chunk', () => {
+        const bytes = encodeWav([sine(0.5, 100)], sampleRate, { float: true });
+        const wav = parseWav(bytes);
+
+        expect(wav.chunks).toEqual(['fmt ', 'fact', 'data']);
+        expect(wav.format).toMatchObject({ size: 18, audioFormat: 3, bitsPerSample: 32, blockAlign: 4, cbSize: 0 });
+        expect(wav.factLength).toBe(100);
+        expect(wav.riffSize).toBe(bytes.byteLength - 8);
+        expect(wav.dataSize).toBe(400);
+    });
+});
+
+describe('encodeWav samples', () => {
+    test.each([16, 24, 32])('round-trips %i-bit PCM without dither', (bitDepth) => {
+        const input = sine(0.8);
+        const scale = Math.pow(2, bitDepth - 1);
+        const wav = parseWav(encodeWav([input], sampleRate, { bitDepth, dither: 'none' }));
+
+        for (let i = 0; i < input.length; i += 7) {
+            expect(wav.samples[0][i]).toBe(Math.round(input[i] * scale));
+        }
+        const decoded = decodeWav(encodeWav([input], sampleRate, { bitDepth, dither: 'none' }));
+        for (let i = 0; i < input.length; i += 7) {
+            expect(Math.abs(decoded.channels[0][i] - input[i])).toBeLessThanOrEqual(0.5 / scale + 1e-9);
+        }
+    });
+
+    test('stores float samples bit for bit, beyond full scale too', () => {
+        const input = Float32Array.of(0, 1e-9, -0.333, 1, 1.5, -2);
+        const wav = parseWav(encodeWav([input], sampleRate, { float: true }));
+        expect(wav.samples[0]).toEqual(Array.from(input));
+        expect(decodeWav(encodeWav([input], sampleRate, { float: true })).channels[0]).toEqual(input);
+    });
+
+    test('clips integer PCM at full scale', () => {
+        const input = Float32Array.of(1, 1.5, -1, -1.5);
+        expect(parseWav(encodeWav([input], sampleRate, { dither: 'none' })).samples[0]).toEqual([32767, 32767, -32768, -32768]);
+        expect(parseWav(encodeWav([input], sampleRate, { bitDepth: 24 })).samples[0]).toEqual([8388607, 8388607, -8388608, -8388608]);
+    });
+
+    test('dithers the same audio to the same file', () => {
+        const channels = [sine(0.001), sine(0.002)];
+        const first = new Uint8Array(encodeWav(channels, sampleRate));
+        const second = new Uint8Array(encodeWav(channels, sampleRate));
+        expect(second).toEqual(first);
+        // Each channel has its own dither stream
+        const wav = parseWav(encodeWav([new Float32Array(1000), new Float32Array(1000)], sampleRate));
+        expect(wav.samples[0]).not.toEqual(wav.samples[1]);
+    });
+});
+
+describe('TPDF dither', () => {
+    const count = 20000;
+
+    test('keeps detail below one step that rounding erases', () => {
+        const level = 0.3 / 32768; // a third of a 16-bit step
+        const input = new Float32Array(count).fill(level);
+
+        const rounded = parseWav(encodeWav([input], sampleRate, { dither: 'none' })).samples[0];
+        expect(rounded.every(value => value === 0)).toBe(true);
+
+        const dithered = parseWav(encodeWav([input], sampleRate)).samples[0];
+        const mean = dithered.reduce((sum, value) => sum + value, 0) / count;
+        expect(mean).toBeCloseTo(0.3, 1);
+        expect(Math.max(...dithered.map(Math.abs))).toBeLessThanOrEqual(2);
+    });
+
+    test('adds triangular noise of one step on each side', () => {
+        const quantize = createQuantizer(16, { dither: 'tpdf' });
+        let sum = 0;
+        let power = 0;
+        for (let i = 0; i < count; i++) {
+            const error = quantize(0) - 0;
+            expect(Math.abs(error)).toBeLessThanOrEqual(1);
+            sum += error;
+            power += error * error;
+        }
+        expect(sum / count).toBeCloseTo(0, 1);
+        // Variance 1/6 for the dither plus 1/12 for the rounding
+        expect(power / count).toBeCloseTo(0.25, 1);
+    });
+
+    test('noise shaping moves the noise out of the low frequencies', () => {
+        const size = 4096;
+        const input = sine(0.01, size, 440);
+        // Error power in the DFT bins up to 3 kHz
+        const lowBandPower = (noiseShaping) => {
+            const quantize = createQuantizer(16, { dither: 'tpdf', noiseShaping });
+            const errors = Array.from(input, sample => quantize(sample) - sample * 32768);
+            let power = 0;
+            for (let k = 1; k <= Math.round(3000 * size / sampleRate); k++) {
+                let re = 0;
+                let im = 0;
+                for (let i = 0; i < size; i++) {
+                    re += errors[i] * Math.cos(2 * Math.PI * k * i / size);
+                    im -= errors[i] * Math.sin(2 * Math.PI * k * i / size);
+                }
+                power += re * re + im * im;
+            }
+            return power;
+        };
+
+        expect(lowBandPower(true)).toBeLessThan(lowBandPower(false) / 4);
+    });
+});
+
+describe('large files', () => {
+    const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+    const guid = (id) => [...ascii(id), 0xf3, 0xac, 0xd3, 0x11, 0x8c, 0xd1, 0x00, 0xc0, 0x4f, 0x8e, 0xdb, 0x8a];
+
+    test('switches to RF64 past the 32-bit RIFF size', () => {
+        expect(resolveWavContainer('auto', 0xffffffff + 8)).toBe('riff');
+        expect(resolveWavContainer('auto', 0xffffffff + 9)).toBe('rf64');
+        expect(resolveWavContainer('wave64', 100)).toBe('wave64');
+        expect(() => resolveWavContainer('riff', 0xffffffff + 9)).toThrow(/do not fit a RIFF file/);
+
+        // 5 GB of 32-bit stereo; the header is yielded before any sample is read
+        const huge = { length: 625000000 };
+        const header = parseWav(encodeWavParts([huge, huge], sampleRate, { float: true }).next().value);
+        expect(header.riff).toBe('RF64');
+        expect(header.riffSize).toBe(0xffffffff);
+        expect(header.chunks).toEqual(['ds64', 'fmt ', 'fact', 'data']);
+        expect(header.ds64).toEqual({ riffSize: 5000000000 + 94 - 8, dataSize: 5000000000, sampleCount: 625000000, tableLength: 0 });
+        expect(header.factLength).toBe(625000000);
+        expect(header.dataSize).toBe(0xffffffff);
+    });
+
+    test('writes RF64 with a ds64 chunk on request', () => {
+        const channels = [sine(0.5, 101), sine(0.25, 101)];
+        const bytes = encodeWav(channels, sampleRate, { bitDepth: 24, container: 'rf64', dither: 'none' });
+        const wav = parseWav(bytes);
+
+        expect(wav.riff).toBe('RF64');
+        expect(wav.chunks).toEqual(['ds64', 'fmt ', 'data']);
+        expect(wav.ds64).toEqual({ riffSize: bytes.byteLength - 8, dataSize: 606, sampleCount: 101, tableLength: 0 });
+        expect(wav.samples).toEqual(parseWav(encodeWav(channels, sampleRate, { bitDepth: 24, dither: 'none' })).samples);
+        expect(decodeWav(bytes).channels).toEqual(decodeWav(encodeWav(channels, sampleRate, { bitDepth: 24, dither: 'none' })).channels);
+    });
+
+    test('writes Sony Wave64 with GUIDs, 64-bit sizes and 8-byte alignment', () => {
+        const input = sine(0.5, 101);
+        const bytes = encodeWav([input], sampleRate, { bitDepth: 24, container: 'wave64', dither: 'none' });
+        const wav = parseWav(bytes);
+
+        expect(wav.guids).toEqual([
+            [0x72, 0x69, 0x66, 0x66, 0x2e, 0x91, 0xcf, 0x11, 0xa5, 0xd6, 0x28, 0xdb, 0x04, 0xc1, 0x00, 0x00],
+            guid('fmt '),
+            guid('data')
+        ]);
+        expect(Array.from(new Uint8Array(bytes, 24, 16))).toEqual(guid('wave'));
+        expect(wav.riffSize).toBe(bytes.byteLength);
+        expect(wav.format).toMatchObject({ size: 16, audioFormat: 1, bitsPerSample: 24, blockAlign: 3 });
+        expect(wav.dataSize).toBe(303);
+        expect(bytes.byteLength % 8).toBe(0);
+        expect(bytes.byteLength).toBe(104 + 304);
+        expect(decodeWav(bytes).channels[0]).toEqual(decodeWav(encodeWav([input], sampleRate, { bitDepth: 24, dither: 'none' })).channels[0]);
+
+        const float = parseWav(encodeWav([input], sampleRate, { float: true, container: 'wave64' }));
+        expect(float.chunks).toEqual(['fmt ', 'fact', 'data']);
+        expect(float.format).toMatchObject({ size: 18, cbSize: 0 });
+        expect(float.factLength).toBe(101);
+        expect(float.samples[0]).toEqual(Array.from(input));
+    });
+
+    test('yields the same file in parts of the requested size', () => {
+        const channels = [sine(0.3, 1001)];
+        const options = { bitDepth: 24, noiseShaping: true };
+        for (const container of ['riff', 'wave64']) {
+            const parts = Array.from(encodeWavParts(channels, sampleRate, { ...options, container }, { partSize: 1000 }));
+            // Header, 1001 frames of 3 bytes in parts of 333 frames, padding
+            expect(parts).toHaveLength(1 + 4 + 1);
+            expect(parts.slice(1, -1).every(part => part.length <= 1000)).toBe(true);
+            expect(concatParts(parts)).toEqual(new Uint8Array(encodeWav(channels, sampleRate, { ...options, container })));
+        }
+    });
+});
+
+describe('validateWavEncoding', () => {
+    test('fills in the defaults', () => {
+        expect(validateWavEncoding()).toEqual({ bitDepth: 16, float: false, dither: 'tpdf', noiseShaping: false, container: 'auto' });
+        expect(validateWavEncoding({ float: true })).toMatchObject({ bitDepth: 32, float: true });
+    });
+
+    test('rejects formats it cannot write', () => {
+        expect(() => validateWavEncoding({ bitDepth: 20 })).toThrow(PaulStretchError);
+        expect(() => validateWavEncoding({ bitDepth: 16, float: true })).toThrow(/Float WAV is 32-bit/);
+        expect(() => validateWavEncoding({ dither: 'rectangular' })).toThrow(/Unknown dither/);
+        expect(() => validateWavEncoding({ noiseShaping: 'yes' })).toThrow(PaulStretchError);
+        expect(() => validateWavEncoding({ container: 'caf' })).toThrow(/Unknown container 'caf'/);
+    });
+});
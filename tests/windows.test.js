@@ -0,0 +1,51 @@
+import { PaulStretchError } from '../src/utils/errors.js';
+import { createWindow, validateWindow } from '../src/utils/windows.js';
+
+describe('createWindow', () => {
+    test.each(['paulstretch', 'hann', 'blackman-harris', 'kaiser', { type: 'kaiser', beta: 3 }])(
+        '%p is symmetric, peaks at 1 and vanishes at the edges', (window) => {
+            const size = 101;
+            const values = createWindow(size, window);
+
+            expect(values.length).toBe(size);
+            expect(values[50]).toBeCloseTo(1, 5);
+            for (let i = 0; i < size; i++) {
+                expect(values[i]).toBeCloseTo(values[size - 1 - i], 6);
+                expect(values[i]).toBeGreaterThanOrEqual(0);
+            }
+            if (window !== 'kaiser' && typeof window === 'string') {
+                expect(values[0]).toBeLessThan(1e-4);
+            }
+        });
+
+    test('classic curve is (1 - x^2)^1.25', () => {
+        const values = createWindow(5, 'paulstretch');
+        expect(values[1]).toBeCloseTo(Math.pow(0.75, 1.25), 6);
+    });
+
+    test('a larger kaiser beta narrows the window', () => {
+        const narrow = createWindow(65, { type: 'kaiser', beta: 12 });
+        const wide = createWindow(65, { type: 'kaiser', beta: 2 });
+        expect(narrow[16]).toBeLessThan(wide[16]);
+    });
+
+    test('odd and even sizes are both exact', () => {
+        expect(createWindow(11025, 'hann').length).toBe(11025);
+        expect(createWindow(11026, 'hann').length).toBe(11026);
+    });
+});
+
+describe('validateWindow', () => {
+    test('normalizes names and defaults the kaiser beta', () => {
+        expect(validateWindow('hann')).toEqual({ type: 'hann' });
+        expect(validateWindow('kaiser')).toEqual({ type: 'kaiser', beta: 8 });
+        expect(validateWindow({ type: 'kaiser', beta: 5 })).toEqual({ type: 'kaiser', beta: 5 });
+    });
+
+    test('rejects unknown windows and bad betas', () => {
+        expect(() => validateWindow('triangle')).toThrow(PaulStretchError);
+        expect(() => validateWindow({ type: 'gauss' })).toThrow(PaulStretchError);
+        expect(() => validateWindow({ type: 'kaiser', beta: -1 })).toThrow(PaulStretchError);
+        expect(() => validateWindow(null)).toThrow(PaulStretchError);
+    });
+});
@@ -1,10 +1,12 @@
 const path = require('path');
 
-module.exports = {
+module.exports = [{
     entry: './src/index.js',
     output: {
         path: path.resolve(__dirname, 'dist'),
         filename: 'paulstretch.js',
+        // UMD wrapper usable from Node as well, which has no `self`
+        globalObject: 'this',
         library: {
             name: 'PaulStretch',
             type: 'umd',
@@ -20,4 +22,27 @@ module.exports = {
             }
         }]
     }
-};
\ No newline at end of file
+}, {
+    // The `paulstretch` command, started by bin/paulstretch.js
+    entry: './src/cli.js',
+    target: 'node',
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: 'cli.js',
+        library: {
+            type: 'commonjs2'
+        }
+    },
+    module: {
+        rules: [{
+            test: /\.js$/,
+            exclude: /node_modules/,
+            use: {
+                loader: 'babel-loader',
+                options: {
+                    presets: [['@babel/preset-env', { targets: { node: '20' } }]]
+                }
+            }
+        }]
+    }
+}];